@@ -6,11 +6,20 @@
 const duckdb = require('duckdb');
 const path = require('path');
 const { createSchema } = require('./schema.cjs');
+const { migrate } = require('./migrator.cjs');
 
 let db = null;
 let connection = null;
 
-async function initializeDatabase() {
+/**
+ * Open the database and bring its schema up to date.
+ * Options:
+ * - migrate: false skips pending migrations (used by the migration CLI)
+ * - beforeMigrate: hook run before the first pending migration is applied
+ */
+async function initializeDatabase(options = {}) {
+  const { migrate: runMigrations = true, beforeMigrate } = options;
+
   // Conversation service has its own dedicated database
   const dbPath = path.join(__dirname, '../../../../data/conversation.duckdb');
   
@@ -22,12 +31,13 @@ async function initializeDatabase() {
       connection = db.connect();
       console.log('✅ [DB] Connection established');
       
-      // Create schema for conversation tables
+      // Create schema for conversation tables, then apply pending migrations
       createSchema(connection)
         .then(() => {
           console.log('✅ [DB] Schema verified');
-          resolve();
+          return runMigrations ? migrate(connection, { beforeApply: beforeMigrate }) : null;
         })
+        .then(() => resolve())
         .catch(reject);
     } catch (err) {
       console.error('❌ [DB] Failed to initialize:', err);
@@ -44,8 +54,15 @@ function getConnection() {
 }
 
 function query(sql, params = []) {
+  return queryOn(getConnection(), sql, params);
+}
+
+function run(sql, params = []) {
+  return runOn(getConnection(), sql, params);
+}
+
+function queryOn(conn, sql, params) {
   return new Promise((resolve, reject) => {
-    const conn = getConnection();
     conn.all(sql, ...params, (err, rows) => {
       if (err) {
         console.error('❌ [DB] Query error:', err);
@@ -57,9 +74,8 @@ function query(sql, params = []) {
   });
 }
 
-function run(sql, params = []) {
+function runOn(conn, sql, params) {
   return new Promise((resolve, reject) => {
-    const conn = getConnection();
     conn.run(sql, ...params, (err) => {
       if (err) {
         console.error('❌ [DB] Run error:', err);
@@ -71,6 +87,35 @@ function run(sql, params = []) {
   });
 }
 
+/**
+ * Run fn in a transaction on a connection of its own, so statements other
+ * requests send meanwhile are not part of it.
+ * fn gets { query, run } for that connection. Commits when fn resolves, rolls
+ * back and rethrows when it throws.
+ */
+async function transaction(fn) {
+  getConnection();
+  const conn = db.connect();
+  const tx = {
+    query: (sql, params = []) => queryOn(conn, sql, params),
+    run: (sql, params = []) => runOn(conn, sql, params)
+  };
+
+  try {
+    await tx.run('BEGIN TRANSACTION');
+    try {
+      const result = await fn(tx);
+      await tx.run('COMMIT');
+      return result;
+    } catch (error) {
+      await tx.run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  } finally {
+    conn.close(() => {});
+  }
+}
+
 function closeDatabase() {
   return new Promise((resolve) => {
     if (connection) {
@@ -95,5 +140,6 @@ module.exports = {
   getConnection,
   query,
   run,
+  transaction,
   closeDatabase
 };
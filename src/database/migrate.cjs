@@ -0,0 +1,63 @@
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   node src/database/migrate.cjs [up]            Apply pending migrations
+ *   node src/database/migrate.cjs status          Show applied and pending migrations
+ *   node src/database/migrate.cjs rollback [n]    Roll back the last n migrations (default 1)
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+
+const { initializeDatabase, getConnection, closeDatabase } = require('./connection.cjs');
+const { getStatus, migrate, rollback } = require('./migrator.cjs');
+const { dropHnswIndex } = require('../services/vectorStore.cjs');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  await initializeDatabase({ migrate: false });
+  const connection = getConnection();
+
+  switch (command) {
+    case 'up':
+      await migrate(connection, { beforeApply: dropHnswIndex });
+      break;
+
+    case 'status': {
+      const status = await getStatus(connection);
+      console.log(`Current version: ${status.currentVersion}`);
+      console.log(`Latest version:  ${status.latestVersion}`);
+      for (const m of status.applied) {
+        console.log(`  [applied] ${m.version}_${m.name} (${m.appliedAt})`);
+      }
+      for (const m of status.pending) {
+        console.log(`  [pending] ${m.version}_${m.name}`);
+      }
+      for (const m of status.unknown) {
+        console.log(`  [unknown] ${m.version}_${m.name} (applied by a newer service version)`);
+      }
+      break;
+    }
+
+    case 'rollback': {
+      const steps = arg !== undefined ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid rollback step count: ${arg}`);
+      }
+      await rollback(connection, steps, { beforeApply: dropHnswIndex });
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command} (expected up, status or rollback)`);
+  }
+}
+
+main()
+  .then(() => closeDatabase())
+  .catch(async (error) => {
+    console.error('❌ [MIGRATE] Failed:', error.message);
+    await closeDatabase();
+    process.exit(1);
+  });
@@ -1,39 +1,58 @@
 /**
  * Migration: Add embedding column to conversation_messages
+ *
+ * Databases created before migrations were tracked may already have the
+ * column as DOUBLE[]; those are converted to TEXT (JSON-encoded vectors).
  */
 
 async function up(connection) {
   return new Promise((resolve, reject) => {
-    const sql = `
-      ALTER TABLE conversation_messages 
-      ADD COLUMN IF NOT EXISTS embedding TEXT
-    `;
-    
-    connection.exec(sql, (err) => {
-      if (err) {
-        console.error('❌ [MIGRATION] Failed to add embedding column:', err);
-        return reject(err);
+    connection.all(
+      `SELECT data_type FROM information_schema.columns
+       WHERE table_name = 'conversation_messages' AND column_name = 'embedding'`,
+      (err, rows) => {
+        if (err) {
+          console.error('❌ [MIGRATION] Failed to inspect embedding column:', err);
+          return reject(err);
+        }
+
+        let sql;
+        if (rows.length === 0) {
+          sql = `ALTER TABLE conversation_messages ADD COLUMN embedding TEXT`;
+        } else if (rows[0].data_type !== 'VARCHAR') {
+          sql = `ALTER TABLE conversation_messages ALTER COLUMN embedding TYPE TEXT`;
+        } else {
+          console.log('✅ [MIGRATION] embedding column already TEXT');
+          return resolve();
+        }
+
+        connection.exec(sql, (err) => {
+          if (err) {
+            console.error('❌ [MIGRATION] Failed to add embedding column:', err);
+            return reject(err);
+          }
+
+          console.log('✅ [MIGRATION] Added embedding column to conversation_messages');
+          resolve();
+        });
       }
-      
-      console.log('✅ [MIGRATION] Added embedding column to conversation_messages');
-      resolve();
-    });
+    );
   });
 }
 
 async function down(connection) {
   return new Promise((resolve, reject) => {
     const sql = `
-      ALTER TABLE conversation_messages 
+      ALTER TABLE conversation_messages
       DROP COLUMN IF EXISTS embedding
     `;
-    
+
     connection.exec(sql, (err) => {
       if (err) {
         console.error('❌ [MIGRATION] Failed to drop embedding column:', err);
         return reject(err);
       }
-      
+
       console.log('✅ [MIGRATION] Dropped embedding column from conversation_messages');
       resolve();
     });
@@ -0,0 +1,49 @@
+/**
+ * Migration: Add session_message_archive table
+ * Holds message bodies offloaded from hibernated sessions
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS session_message_archive (
+        message_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_message_archive_session ON session_message_archive(session_id);
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to create session_message_archive:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Created session_message_archive table');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP INDEX IF EXISTS idx_message_archive_session;
+      DROP TABLE IF EXISTS session_message_archive;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop session_message_archive:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped session_message_archive table');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
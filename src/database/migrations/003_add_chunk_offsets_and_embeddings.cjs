@@ -0,0 +1,49 @@
+/**
+ * Migration: Add offsets and embeddings to session_message_chunks
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE session_message_chunks ADD COLUMN IF NOT EXISTS start_offset INTEGER;
+      ALTER TABLE session_message_chunks ADD COLUMN IF NOT EXISTS end_offset INTEGER;
+      ALTER TABLE session_message_chunks ADD COLUMN IF NOT EXISTS embedding TEXT;
+      CREATE INDEX IF NOT EXISTS idx_message_chunks_session ON session_message_chunks(session_id);
+      CREATE INDEX IF NOT EXISTS idx_message_chunks_message ON session_message_chunks(message_id);
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to extend session_message_chunks:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Added offsets and embedding to session_message_chunks');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP INDEX IF EXISTS idx_message_chunks_session;
+      DROP INDEX IF EXISTS idx_message_chunks_message;
+      ALTER TABLE session_message_chunks DROP COLUMN IF EXISTS embedding;
+      ALTER TABLE session_message_chunks DROP COLUMN IF EXISTS end_offset;
+      ALTER TABLE session_message_chunks DROP COLUMN IF EXISTS start_offset;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to revert session_message_chunks:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Removed offsets and embedding from session_message_chunks');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,56 @@
+/**
+ * Migration: Record which embedding model produced each stored vector
+ * Embeddings written before this migration all came from the Phi4 service.
+ * Rolling back drops and recreates the chunk indexes around the column drop,
+ * as migration 006 does.
+ */
+
+const LEGACY_EMBEDDING_MODEL = 'phi4:phi4-embedding';
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+      ALTER TABLE session_message_chunks ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+      UPDATE conversation_messages SET embedding_model = '${LEGACY_EMBEDDING_MODEL}'
+        WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+      UPDATE session_message_chunks SET embedding_model = '${LEGACY_EMBEDDING_MODEL}'
+        WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to add embedding_model columns:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Added embedding_model to messages and chunks');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP INDEX IF EXISTS idx_message_chunks_session;
+      DROP INDEX IF EXISTS idx_message_chunks_message;
+      ALTER TABLE session_message_chunks DROP COLUMN IF EXISTS embedding_model;
+      ALTER TABLE conversation_messages DROP COLUMN IF EXISTS embedding_model;
+      CREATE INDEX IF NOT EXISTS idx_message_chunks_session ON session_message_chunks(session_id);
+      CREATE INDEX IF NOT EXISTS idx_message_chunks_message ON session_message_chunks(message_id);
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop embedding_model columns:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped embedding_model from messages and chunks');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,54 @@
+/**
+ * Migration: Add embedding_jobs table
+ * Durable queue of messages awaiting (re-)embedding, one row per message.
+ * No secondary indexes: DuckDB cannot upsert (ON CONFLICT DO UPDATE) into indexed columns.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS embedding_jobs (
+        message_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        reason TEXT DEFAULT 'new',
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        embedding_model TEXT,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to create embedding_jobs:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Created embedding_jobs table');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP TABLE IF EXISTS embedding_jobs
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop embedding_jobs:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped embedding_jobs table');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
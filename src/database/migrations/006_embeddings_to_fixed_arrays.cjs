@@ -0,0 +1,81 @@
+/**
+ * Migration: Store embeddings as fixed-size FLOAT[N] arrays
+ * Lets DuckDB rank with array_cosine_similarity instead of parsing JSON in JS.
+ *
+ * N comes from EMBEDDING_DIMENSIONS. Embeddings of any other size cannot be
+ * converted; they are cleared and their messages queued for re-embedding.
+ * DuckDB cannot change a column type while indexes depend on the table, so
+ * the chunk indexes are dropped and recreated around the conversion. Nor can
+ * a table be updated before it is altered in the same transaction, so the
+ * mismatched vectors are dropped inside the ALTER's USING expression.
+ */
+
+const { EMBEDDING_DIMENSIONS } = require('../../services/embeddingService.cjs');
+
+const VECTOR_TYPE = `FLOAT[${EMBEDDING_DIMENSIONS}]`;
+const MISMATCHED = `embedding IS NOT NULL
+  AND coalesce(json_array_length(try_cast(embedding AS JSON)), -1) <> ${EMBEDDING_DIMENSIONS}`;
+const TO_VECTOR = `CAST(CAST(CASE WHEN ${MISMATCHED} THEN NULL ELSE embedding END AS FLOAT[]) AS ${VECTOR_TYPE})`;
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const sql = `
+      INSERT INTO embedding_jobs
+        (message_id, session_id, status, reason, attempts, last_error, next_attempt_at, created_at, updated_at)
+      SELECT id, session_id, 'pending', 'migration', 0, NULL, '${now}', '${now}', '${now}'
+      FROM conversation_messages
+      WHERE content <> '' AND (${MISMATCHED}
+        OR id IN (SELECT message_id FROM session_message_chunks WHERE ${MISMATCHED}))
+      ON CONFLICT (message_id) DO UPDATE SET
+        status = 'pending', reason = excluded.reason, attempts = 0, last_error = NULL,
+        next_attempt_at = excluded.next_attempt_at, updated_at = excluded.updated_at;
+
+      DROP INDEX IF EXISTS idx_message_chunks_session;
+      DROP INDEX IF EXISTS idx_message_chunks_message;
+      ALTER TABLE session_message_chunks ALTER COLUMN embedding TYPE ${VECTOR_TYPE} USING ${TO_VECTOR};
+      ALTER TABLE conversation_messages ALTER COLUMN embedding TYPE ${VECTOR_TYPE} USING ${TO_VECTOR};
+      UPDATE session_message_chunks SET embedding_model = NULL WHERE embedding IS NULL;
+      UPDATE conversation_messages SET embedding_model = NULL WHERE embedding IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_message_chunks_session ON session_message_chunks(session_id);
+      CREATE INDEX IF NOT EXISTS idx_message_chunks_message ON session_message_chunks(message_id);
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to convert embeddings to fixed-size arrays:', err);
+        return reject(err);
+      }
+
+      console.log(`✅ [MIGRATION] Converted embeddings to ${VECTOR_TYPE}`);
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP INDEX IF EXISTS idx_message_chunks_session;
+      DROP INDEX IF EXISTS idx_message_chunks_message;
+      ALTER TABLE session_message_chunks ALTER COLUMN embedding TYPE TEXT
+        USING CAST(embedding AS VARCHAR);
+      ALTER TABLE conversation_messages ALTER COLUMN embedding TYPE TEXT
+        USING CAST(embedding AS VARCHAR);
+      CREATE INDEX IF NOT EXISTS idx_message_chunks_session ON session_message_chunks(session_id);
+      CREATE INDEX IF NOT EXISTS idx_message_chunks_message ON session_message_chunks(message_id);
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to revert embeddings to text:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Reverted embeddings to JSON text');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
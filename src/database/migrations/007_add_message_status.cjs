@@ -0,0 +1,46 @@
+/**
+ * Migration: Add streaming status to conversation_messages
+ * status is 'complete' for every existing message; streamed messages move
+ * through 'streaming' (and 'interrupted' if the stream goes quiet) to
+ * 'complete' or 'aborted'. updated_at tracks the last append.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'complete';
+      ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to add message status:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Added status and updated_at to conversation_messages');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE conversation_messages DROP COLUMN IF EXISTS updated_at;
+      ALTER TABLE conversation_messages DROP COLUMN IF EXISTS status;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop message status:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped status and updated_at from conversation_messages');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,73 @@
+/**
+ * Migration: Add webhooks and webhook_deliveries tables
+ * Webhook subscriptions and their durable delivery queue. Deliveries that
+ * exhaust their retries stay behind with status 'dead' (the dead-letter list).
+ * No secondary indexes, as for embedding_jobs.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL DEFAULT '["*"]',
+        session_id TEXT,
+        description TEXT,
+        is_active BOOLEAN DEFAULT true,
+        last_success_at TIMESTAMP,
+        last_failure_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        session_id TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        response_status INTEGER,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to create webhook tables:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Created webhooks and webhook_deliveries tables');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP TABLE IF EXISTS webhook_deliveries;
+      DROP TABLE IF EXISTS webhooks;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop webhook tables:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped webhooks and webhook_deliveries tables');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
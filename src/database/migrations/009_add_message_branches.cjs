@@ -0,0 +1,63 @@
+/**
+ * Migration: Add message branching
+ * conversation_messages.parent_id turns each session into a message tree;
+ * conversation_sessions.active_leaf_id is the leaf whose path is shown.
+ * Existing sessions become a single branch: every message's parent is the
+ * one before it, and the newest message is the active leaf.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS parent_id TEXT;
+      ALTER TABLE conversation_sessions ADD COLUMN IF NOT EXISTS active_leaf_id TEXT;
+
+      UPDATE conversation_messages
+      SET parent_id = chain.previous_id
+      FROM (
+        SELECT id, LAG(id) OVER (PARTITION BY session_id ORDER BY created_at ASC, id ASC) AS previous_id
+        FROM conversation_messages
+      ) chain
+      WHERE conversation_messages.id = chain.id AND chain.previous_id IS NOT NULL;
+
+      UPDATE conversation_sessions
+      SET active_leaf_id = (
+        SELECT m.id FROM conversation_messages m
+        WHERE m.session_id = conversation_sessions.id
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT 1
+      );
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to add message branches:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Added parent_id to conversation_messages and active_leaf_id to conversation_sessions');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE conversation_sessions DROP COLUMN IF EXISTS active_leaf_id;
+      ALTER TABLE conversation_messages DROP COLUMN IF EXISTS parent_id;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop message branches:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped parent_id and active_leaf_id');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+/**
+ * Migration: Add message_revisions table
+ * One row per superseded version of a message: the content and metadata it
+ * had before an edit, who made the edit and when. Revisions are numbered
+ * from 1 per message.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS message_revisions (
+        id TEXT PRIMARY KEY,
+        message_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        content TEXT,
+        metadata TEXT,
+        edited_by TEXT,
+        edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to create message_revisions:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Created message_revisions table');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP TABLE IF EXISTS message_revisions
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop message_revisions:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped message_revisions table');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
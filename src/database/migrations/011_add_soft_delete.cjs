@@ -0,0 +1,54 @@
+/**
+ * Migration: Add soft delete
+ * deleted_at on sessions and messages moves them to the trash instead of
+ * removing them; facts extracted from a trashed message are hidden the same
+ * way through session_context.deleted_at. Trashed rows are purged for good
+ * once they are older than the retention window.
+ * down() has to lift the session_context indexes while deleted_at is dropped.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE conversation_sessions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE conversation_messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE session_context ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to add soft delete columns:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Added deleted_at to conversation_sessions, conversation_messages and session_context');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP INDEX IF EXISTS idx_session_context_session;
+      DROP INDEX IF EXISTS idx_session_context_type;
+      ALTER TABLE session_context DROP COLUMN IF EXISTS deleted_at;
+      ALTER TABLE conversation_messages DROP COLUMN IF EXISTS deleted_at;
+      ALTER TABLE conversation_sessions DROP COLUMN IF EXISTS deleted_at;
+      CREATE INDEX IF NOT EXISTS idx_session_context_session ON session_context(session_id);
+      CREATE INDEX IF NOT EXISTS idx_session_context_type ON session_context(context_type);
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop soft delete columns:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped deleted_at columns');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
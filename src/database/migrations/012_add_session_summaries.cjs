@@ -0,0 +1,54 @@
+/**
+ * Migration: Add session_summaries table
+ * One rolling summary per session. Each summarization folds the messages
+ * after last_message_id into summary; first_message_id..last_message_id is
+ * the stretch of the active branch it covers.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS session_summaries (
+        session_id TEXT PRIMARY KEY,
+        summary TEXT NOT NULL,
+        first_message_id TEXT,
+        last_message_id TEXT,
+        last_message_at TIMESTAMP,
+        message_count INTEGER DEFAULT 0,
+        method TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to create session_summaries:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Created session_summaries table');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP TABLE IF EXISTS session_summaries
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop session_summaries:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped session_summaries table');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
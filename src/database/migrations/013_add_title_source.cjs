@@ -0,0 +1,52 @@
+/**
+ * Migration: Add conversation_sessions.title_source
+ * Where a session's title came from: 'default' (the placeholder), 'auto'
+ * (generated), 'user' (set by the client) or 'import' (from an imported
+ * archive). Only 'default' and 'auto' titles are ever generated over.
+ * Existing sessions with a title other than the placeholder count as 'user'.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE conversation_sessions ADD COLUMN IF NOT EXISTS title_source TEXT DEFAULT 'default';
+
+      UPDATE conversation_sessions
+      SET title_source = CASE
+        WHEN title IS NULL OR title = 'New Chat Session' THEN 'default'
+        WHEN trigger_reason = 'import' THEN 'import'
+        ELSE 'user'
+      END;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to add title_source:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Added title_source to conversation_sessions');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE conversation_sessions DROP COLUMN IF EXISTS title_source;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop title_source:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped title_source');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
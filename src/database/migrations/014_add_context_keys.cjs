@@ -0,0 +1,59 @@
+/**
+ * Migration: Key session_context items
+ * context_key is the normalized context_data.key. Per session, context type
+ * and key the newest item not in the trash is the current value; older ones
+ * are its history. updated_at moves when a value is confirmed again.
+ * The session_context indexes block the column drops, so down() removes and
+ * rebuilds them.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      ALTER TABLE session_context ADD COLUMN IF NOT EXISTS context_key TEXT;
+      ALTER TABLE session_context ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+      UPDATE session_context
+      SET context_key = NULLIF(
+            regexp_replace(lower(trim(json_extract_string(context_data, '$.key'))), '[\\s-]+', '_', 'g'),
+            ''
+          ),
+          updated_at = created_at;
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to add context keys:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Added context_key and updated_at to session_context');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP INDEX IF EXISTS idx_session_context_session;
+      DROP INDEX IF EXISTS idx_session_context_type;
+      ALTER TABLE session_context DROP COLUMN IF EXISTS updated_at;
+      ALTER TABLE session_context DROP COLUMN IF EXISTS context_key;
+      CREATE INDEX IF NOT EXISTS idx_session_context_session ON session_context(session_id);
+      CREATE INDEX IF NOT EXISTS idx_session_context_type ON session_context(context_type);
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop context keys:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped context_key and updated_at');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,79 @@
+/**
+ * Migration: Add entity aliases and entity embeddings
+ * session_entities rows become canonical entities; entity_aliases records
+ * every surface form that resolved to one ("NYC", "New York") with its own
+ * mention count. normalized_alias is the lookup key (lowercase, periods and
+ * apostrophes removed, separators collapsed to one space). Each existing
+ * entity gets its value as its first alias. The embedding of the canonical
+ * value backs similarity matching. No secondary indexes, as for embedding_jobs.
+ * Rollback recreates the session_entities indexes it has to drop first.
+ */
+
+const { EMBEDDING_DIMENSIONS } = require('../../services/embeddingService.cjs');
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS entity_aliases (
+        id TEXT PRIMARY KEY,
+        entity_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        alias TEXT NOT NULL,
+        normalized_alias TEXT NOT NULL,
+        match_method TEXT NOT NULL DEFAULT 'exact',
+        similarity DOUBLE,
+        mention_count INTEGER DEFAULT 1,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE session_entities ADD COLUMN IF NOT EXISTS embedding FLOAT[${EMBEDDING_DIMENSIONS}];
+      ALTER TABLE session_entities ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+      INSERT INTO entity_aliases
+        (id, entity_id, session_id, entity_type, alias, normalized_alias, match_method, mention_count, first_seen_at, last_seen_at)
+      SELECT 'als_' || id, id, session_id, entity_type, entity_value,
+             trim(regexp_replace(regexp_replace(lower(nfc_normalize(entity_value)), '[.''’]', '', 'g'), '[\\s_,-]+', ' ', 'g')),
+             'exact', mention_count, first_mentioned_at, last_mentioned_at
+      FROM session_entities
+      WHERE id NOT IN (SELECT entity_id FROM entity_aliases);
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to add entity aliases:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Created entity_aliases and added embeddings to session_entities');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      DROP TABLE IF EXISTS entity_aliases;
+      DROP INDEX IF EXISTS idx_session_entities_session;
+      DROP INDEX IF EXISTS idx_session_entities_type;
+      ALTER TABLE session_entities DROP COLUMN IF EXISTS embedding_model;
+      ALTER TABLE session_entities DROP COLUMN IF EXISTS embedding;
+      CREATE INDEX IF NOT EXISTS idx_session_entities_session ON session_entities(session_id);
+      CREATE INDEX IF NOT EXISTS idx_session_entities_type ON session_entities(entity_type);
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop entity aliases:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped entity_aliases and entity embeddings');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+/**
+ * Migration: Add user_profile table
+ * Facts about the user that outlive a session ("user_name", "home_location"),
+ * one value per profile_key (the normalized fact key). The source_* columns
+ * point back to the session, message and context item a value was promoted
+ * from; they stay set after that session is purged.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS user_profile (
+        profile_key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        confidence DOUBLE DEFAULT 1.0,
+        origin TEXT NOT NULL DEFAULT 'user',
+        user_confirmed BOOLEAN DEFAULT false,
+        source_session_id TEXT,
+        source_message_id TEXT,
+        source_context_id TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to create user_profile:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Created user_profile table');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    connection.exec(`DROP TABLE IF EXISTS user_profile;`, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop user_profile:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped user_profile table');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+/**
+ * Migration: Add entity_mentions table
+ * One row per entity mention extracted from a message, naming the entity and
+ * the normalized alias it was counted on, so editing the message can take
+ * those mentions back. Mentions recorded before this migration (and ones
+ * added with entity.add) have no row and are never taken back.
+ */
+
+async function up(connection) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      CREATE TABLE IF NOT EXISTS entity_mentions (
+        id TEXT PRIMARY KEY,
+        entity_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        normalized_alias TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `;
+
+    connection.exec(sql, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to create entity_mentions:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Created entity_mentions table');
+      resolve();
+    });
+  });
+}
+
+async function down(connection) {
+  return new Promise((resolve, reject) => {
+    connection.exec(`DROP TABLE IF EXISTS entity_mentions;`, (err) => {
+      if (err) {
+        console.error('❌ [MIGRATION] Failed to drop entity_mentions:', err);
+        return reject(err);
+      }
+
+      console.log('✅ [MIGRATION] Dropped entity_mentions table');
+      resolve();
+    });
+  });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,248 @@
+/**
+ * Migration Runner
+ * Discovers, applies and rolls back versioned schema migrations
+ *
+ * Migration files live in ./migrations and are named `NNN_description.cjs`.
+ * Each exports `up(connection)` and `down(connection)`. Applied versions are
+ * recorded in the schema_migrations table.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.cjs$/;
+
+function exec(connection, sql) {
+  return new Promise((resolve, reject) => {
+    connection.exec(sql, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+function all(connection, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    connection.all(sql, ...params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+function run(connection, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    connection.run(sql, ...params, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Create the schema_migrations bookkeeping table
+ */
+async function ensureMigrationsTable(connection) {
+  await exec(connection, `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Discover migration files, ordered by version
+ */
+function discoverMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file: path.join(dir, file)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  // Two files claiming the same version would make ordering ambiguous
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${path.basename(migrations[i - 1].file)}, ${path.basename(migrations[i].file)}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Get applied migrations, ordered by version
+ */
+async function getAppliedMigrations(connection) {
+  const rows = await all(
+    connection,
+    `SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC`
+  );
+  return rows.map(row => ({
+    version: Number(row.version),
+    name: row.name,
+    appliedAt: row.applied_at
+  }));
+}
+
+/**
+ * Run a single migration step inside a transaction and record the result
+ */
+async function runStep(connection, migration, direction) {
+  const { up, down } = require(migration.file);
+  const fn = direction === 'up' ? up : down;
+
+  if (typeof fn !== 'function') {
+    throw new Error(`Migration ${migration.version}_${migration.name} has no ${direction}() function`);
+  }
+
+  await exec(connection, 'BEGIN TRANSACTION');
+  try {
+    await fn(connection);
+
+    if (direction === 'up') {
+      await run(
+        connection,
+        `INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`,
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    } else {
+      await run(connection, `DELETE FROM schema_migrations WHERE version = ?`, [migration.version]);
+    }
+
+    await exec(connection, 'COMMIT');
+  } catch (error) {
+    await exec(connection, 'ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Report applied, pending and unknown migrations
+ */
+async function getStatus(connection) {
+  await ensureMigrationsTable(connection);
+
+  const available = discoverMigrations();
+  const applied = await getAppliedMigrations(connection);
+  const appliedVersions = new Set(applied.map(m => m.version));
+  const knownVersions = new Set(available.map(m => m.version));
+
+  const latestKnown = available.length > 0 ? available[available.length - 1].version : 0;
+  const current = applied.length > 0 ? applied[applied.length - 1].version : 0;
+
+  return {
+    currentVersion: current,
+    latestVersion: latestKnown,
+    applied,
+    pending: available.filter(m => !appliedVersions.has(m.version)),
+    unknown: applied.filter(m => !knownVersions.has(m.version))
+  };
+}
+
+/**
+ * Apply all pending migrations in order.
+ * Refuses to run when the database has been migrated by newer code.
+ * options.beforeApply runs once before the first pending migration
+ * (e.g. to drop indexes that block ALTER TABLE).
+ */
+async function migrate(connection, options = {}) {
+  const status = await getStatus(connection);
+
+  if (status.currentVersion > status.latestVersion) {
+    throw new Error(
+      `Database schema version ${status.currentVersion} is newer than this service supports ` +
+      `(latest known migration: ${status.latestVersion}). Upgrade the service before starting it against this database.`
+    );
+  }
+
+  if (status.pending.length === 0) {
+    console.log(`✅ [MIGRATE] Schema up to date (version ${status.currentVersion})`);
+    return { applied: [], currentVersion: status.currentVersion };
+  }
+
+  if (options.beforeApply) {
+    await options.beforeApply(connection);
+  }
+
+  const applied = [];
+  for (const migration of status.pending) {
+    console.log(`🔄 [MIGRATE] Applying ${migration.version}_${migration.name}...`);
+    try {
+      await runStep(connection, migration, 'up');
+    } catch (error) {
+      console.error(`❌ [MIGRATE] Migration ${migration.version}_${migration.name} failed:`, error);
+      throw error;
+    }
+    applied.push({ version: migration.version, name: migration.name });
+  }
+
+  // Write schema changes to the database file now: replaying ALTER TABLE
+  // from the WAL after an unclean shutdown can fail
+  await exec(connection, 'CHECKPOINT');
+
+  const currentVersion = applied[applied.length - 1].version;
+  console.log(`✅ [MIGRATE] Applied ${applied.length} migration(s), schema now at version ${currentVersion}`);
+
+  return { applied, currentVersion };
+}
+
+/**
+ * Roll back the most recently applied migrations
+ */
+async function rollback(connection, steps = 1, options = {}) {
+  const status = await getStatus(connection);
+
+  if (status.unknown.length > 0) {
+    throw new Error(
+      `Cannot roll back: database has migrations unknown to this service (${status.unknown.map(m => m.version).join(', ')})`
+    );
+  }
+
+  const available = new Map(discoverMigrations().map(m => [m.version, m]));
+  const targets = status.applied.slice(-steps).reverse();
+
+  if (options.beforeApply && targets.length > 0) {
+    await options.beforeApply(connection);
+  }
+
+  const rolledBack = [];
+  for (const applied of targets) {
+    const migration = available.get(applied.version);
+    console.log(`🔄 [MIGRATE] Rolling back ${migration.version}_${migration.name}...`);
+    try {
+      await runStep(connection, migration, 'down');
+    } catch (error) {
+      console.error(`❌ [MIGRATE] Rollback of ${migration.version}_${migration.name} failed:`, error);
+      throw error;
+    }
+    rolledBack.push({ version: migration.version, name: migration.name });
+  }
+
+  if (rolledBack.length > 0) {
+    await exec(connection, 'CHECKPOINT');
+  }
+
+  const remaining = status.applied.slice(0, status.applied.length - targets.length);
+  const currentVersion = remaining.length > 0 ? remaining[remaining.length - 1].version : 0;
+  console.log(`✅ [MIGRATE] Rolled back ${rolledBack.length} migration(s), schema now at version ${currentVersion}`);
+
+  return { rolledBack, currentVersion };
+}
+
+module.exports = {
+  discoverMigrations,
+  getStatus,
+  migrate,
+  rollback
+};
@@ -1,6 +1,7 @@
 /**
  * Database Schema
- * Creates conversation tables for the conversation service
+ * Creates the baseline conversation tables for the conversation service.
+ * Later schema changes belong in ./migrations, not here.
  */
 
 async function createSchema(connection) {
@@ -45,8 +46,7 @@ async function createSchema(connection) {
         role TEXT NOT NULL,
         content TEXT NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        metadata TEXT,
-        embedding DOUBLE[]
+        metadata TEXT
       )
     `;
     
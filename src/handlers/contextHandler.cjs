@@ -4,7 +4,47 @@
  */
 
 const crypto = require('crypto');
+const { query, run, transaction } = require('../database/connection.cjs');
 const contextExtractor = require('../services/contextExtractor.cjs');
+const { normalizeContextKey } = require('../services/contextExtractor.cjs');
+const eventBus = require('../services/eventBus.cjs');
+const userProfile = require('../services/userProfile.cjs');
+const entityResolver = require('../services/entityResolver.cjs');
+const { normalizeEntityValue } = require('../services/entityResolver.cjs');
+const { toVectorParam, VECTOR_TYPE } = require('../services/vectorStore.cjs');
+const { embeddingWorker } = require('../services/embeddingQueue.cjs');
+
+// session_entities columns returned to callers (not the embedding)
+const ENTITY_COLUMNS = `id, session_id, entity_type, entity_value, first_mentioned_at, last_mentioned_at,
+  mention_count, metadata`;
+
+function sameContextValue(a, b) {
+  const normalize = value => (typeof value === 'string' ? value.trim().toLowerCase() : JSON.stringify(value));
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Confidence after an independent confirmation: 1 - (1 - a)(1 - b)
+ */
+function mergeConfidence(a, b) {
+  const merged = 1 - (1 - Math.min(Math.max(Number(a) || 0, 0), 1)) * (1 - Math.min(Math.max(Number(b) || 0, 0), 1));
+  return Math.round(merged * 10000) / 10000;
+}
+
+/**
+ * SQL condition that holds for current session_context rows (alias c):
+ * no newer row with the same key outside the trash
+ */
+function currentContextCondition(alias = 'c') {
+  return `NOT EXISTS (
+    SELECT 1 FROM session_context newer
+    WHERE newer.session_id = ${alias}.session_id
+      AND newer.context_type = ${alias}.context_type
+      AND newer.context_key = ${alias}.context_key
+      AND newer.deleted_at IS NULL
+      AND (newer.created_at > ${alias}.created_at OR (newer.created_at = ${alias}.created_at AND newer.id > ${alias}.id))
+  )`;
+}
 
 class ContextHandler {
   constructor(db) {
@@ -12,173 +52,663 @@ class ContextHandler {
   }
   
   /**
-   * Add or update context for a session
+   * Add context for a session
+   * Items are keyed per session and context type: a new value for a key
+   * supersedes the current one, which is kept as history; the same value
+   * again is a confirmation that raises the current item's confidence.
    */
-  async addContext(sessionId, contextType, key, value, confidence = 1.0, sourceMessageId = null) {
-    const id = `ctx_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-    
-    const contextData = JSON.stringify({
-      key,
-      value,
-      confidence,
-      sourceMessageId
-    });
-    
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `INSERT INTO session_context (id, session_id, context_type, context_data, created_at)
-         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-        [id, sessionId, contextType, contextData],
-        function(err) {
-          if (err) {
-            console.error('❌ [CONTEXT] Failed to add context:', err);
-            return reject(err);
-          }
-          console.log(`✅ [CONTEXT] Added ${contextType}: ${key} = ${value}`);
-          resolve({ id, sessionId, contextType, key, value, confidence });
-        }
+  async addContext(sessionId, contextType, key, value, confidence = 1.0, sourceMessageId = null, options = {}) {
+    const { automatic = false, userConfirmed = false } = options;
+    const contextKey = normalizeContextKey(key);
+    const current = contextKey ? await this.getCurrentContext(sessionId, contextType, contextKey) : null;
+    const now = new Date().toISOString();
+
+    try {
+      // Extraction never replaces a value the user confirmed
+      if (automatic && current?.data.userConfirmed && !sameContextValue(current.data.value, value)) {
+        console.log(`🔒 [CONTEXT] Kept user-confirmed ${contextType}: ${current.data.key} = ${current.data.value} (extracted ${value})`);
+        return {
+          id: current.id,
+          sessionId,
+          contextType,
+          key: current.data.key,
+          value: current.data.value,
+          confidence: current.data.confidence,
+          confirmations: current.data.confirmations || 1,
+          userConfirmed: true,
+          confirmed: false,
+          supersedes: null,
+          skipped: true
+        };
+      }
+
+      if (current && sameContextValue(current.data.value, value)) {
+        const data = {
+          ...current.data,
+          confidence: mergeConfidence(current.data.confidence ?? 1.0, confidence),
+          confirmations: (current.data.confirmations || 1) + 1,
+          ...(userConfirmed && { userConfirmed: true })
+        };
+        await run(
+          `UPDATE session_context SET context_data = ?, updated_at = ? WHERE id = ?`,
+          [JSON.stringify(data), now, current.id]
+        );
+        console.log(`✅ [CONTEXT] Confirmed ${contextType}: ${key} = ${value} (confidence ${data.confidence}, ${data.confirmations} confirmations)`);
+        return this.promoteFact({
+          id: current.id,
+          sessionId,
+          contextType,
+          key: data.key,
+          value: data.value,
+          confidence: data.confidence,
+          confirmations: data.confirmations,
+          userConfirmed: Boolean(data.userConfirmed),
+          confirmed: true,
+          supersedes: null
+        }, data.sourceMessageId);
+      }
+
+      const id = `ctx_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+      const contextData = JSON.stringify({
+        key,
+        value,
+        confidence,
+        sourceMessageId,
+        confirmations: 1,
+        ...(userConfirmed && { userConfirmed: true })
+      });
+      await run(
+        `INSERT INTO session_context (id, session_id, context_type, context_key, context_data, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, sessionId, contextType, contextKey, contextData, now, now]
       );
-    });
+
+      if (current) {
+        console.log(`✅ [CONTEXT] Added ${contextType}: ${key} = ${value} (supersedes ${current.data.value})`);
+      } else {
+        console.log(`✅ [CONTEXT] Added ${contextType}: ${key} = ${value}`);
+      }
+      return this.promoteFact({
+        id,
+        sessionId,
+        contextType,
+        key,
+        value,
+        confidence,
+        confirmations: 1,
+        userConfirmed,
+        confirmed: false,
+        supersedes: current ? current.id : null
+      }, sourceMessageId);
+    } catch (error) {
+      console.error('❌ [CONTEXT] Failed to add context:', error);
+      throw error;
+    }
   }
-  
+
+  /**
+   * Promote a stored fact to the user profile when it is confident enough;
+   * the result gets promoted: true/false. A failure only costs the promotion.
+   */
+  async promoteFact(result, sourceMessageId) {
+    if (result.contextType !== 'fact') return result;
+
+    try {
+      const entry = await userProfile.maybePromote({
+        sessionId: result.sessionId,
+        contextId: result.id,
+        key: result.key,
+        value: result.value,
+        confidence: result.confidence,
+        sourceMessageId
+      });
+      return { ...result, promoted: Boolean(entry) };
+    } catch (error) {
+      console.warn('⚠️ [PROFILE] Failed to promote fact:', error.message);
+      return { ...result, promoted: false };
+    }
+  }
+
+  /**
+   * Current item for a key (the newest one not in the trash)
+   */
+  async getCurrentContext(sessionId, contextType, contextKey) {
+    const rows = await query(
+      `SELECT id, context_data FROM session_context
+       WHERE session_id = ? AND context_type = ? AND context_key = ? AND deleted_at IS NULL
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [sessionId, contextType, contextKey]
+    );
+    if (rows.length === 0) return null;
+    return { id: rows[0].id, data: JSON.parse(rows[0].context_data || '{}') };
+  }
+
   /**
    * Get context for a session
+   * Only current values; includeHistory adds each item's superseded values
+   * as history (newest first, each with supersededAt).
    */
-  async getContext(sessionId, contextType = null) {
-    return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM session_context WHERE session_id = ?';
-      const params = [sessionId];
-      
-      if (contextType) {
-        query += ' AND context_type = ?';
-        params.push(contextType);
-      }
-      
-      query += ' ORDER BY created_at DESC';
-      
-      this.db.all(query, params, (err, rows) => {
-        if (err) {
-          console.error('❌ [CONTEXT] Failed to get context:', err);
-          return reject(err);
+  async getContext(sessionId, contextType = null, options = {}) {
+    const { includeHistory = false } = options;
+
+    let sql = `
+      SELECT *,
+             ROW_NUMBER() OVER key_window AS position,
+             LAG(created_at) OVER key_window AS superseded_at
+      FROM session_context
+      WHERE session_id = ? AND deleted_at IS NULL`;
+    const params = [sessionId];
+
+    if (contextType) {
+      sql += ' AND context_type = ?';
+      params.push(contextType);
+    }
+
+    // Items without a key are never superseded
+    sql += `
+      WINDOW key_window AS (
+        PARTITION BY context_type, COALESCE(context_key, id)
+        ORDER BY created_at DESC, id DESC
+      )
+      ORDER BY created_at DESC, id DESC`;
+
+    try {
+      const rows = await query(sql, params);
+
+      const contexts = [];
+      const historyByKey = new Map();
+      for (const row of rows) {
+        let data;
+        try {
+          data = JSON.parse(row.context_data || '{}');
+        } catch (e) {
+          console.warn('⚠️ [CONTEXT] Failed to parse context_data:', e);
+          continue;
         }
-        
-        // Parse context_data JSON
-        const contexts = rows.map(row => {
-          try {
-            const data = JSON.parse(row.context_data || '{}');
-            return {
-              id: row.id,
-              sessionId: row.session_id,
-              contextType: row.context_type,
-              ...data,
-              createdAt: row.created_at
-            };
-          } catch (e) {
-            console.warn('⚠️ [CONTEXT] Failed to parse context_data:', e);
-            return null;
+
+        const item = {
+          id: row.id,
+          sessionId: row.session_id,
+          contextType: row.context_type,
+          ...data,
+          confirmations: data.confirmations || 1,
+          createdAt: row.created_at,
+          updatedAt: row.updated_at || row.created_at
+        };
+        const group = `${row.context_type}:${row.context_key || row.id}`;
+
+        if (Number(row.position) === 1) {
+          if (includeHistory) {
+            item.history = [];
+            historyByKey.set(group, item.history);
           }
-        }).filter(Boolean);
-        
-        console.log(`✅ [CONTEXT] Retrieved ${contexts.length} context items for session ${sessionId}`);
-        resolve(contexts);
-      });
-    });
+          contexts.push(item);
+        } else if (includeHistory) {
+          item.supersededAt = row.superseded_at;
+          historyByKey.get(group)?.push(item);
+        }
+      }
+
+      console.log(`✅ [CONTEXT] Retrieved ${contexts.length} context items for session ${sessionId}`);
+      return contexts;
+    } catch (error) {
+      console.error('❌ [CONTEXT] Failed to get context:', error);
+      throw error;
+    }
   }
   
   /**
-   * Add or update entity for a session
-   */
-  async addEntity(sessionId, entityType, entityValue, metadata = {}) {
-    return new Promise((resolve, reject) => {
-      // Check if entity already exists
-      this.db.get(
-        `SELECT * FROM session_entities 
-         WHERE session_id = ? AND entity_type = ? AND entity_value = ?`,
-        [sessionId, entityType, entityValue],
-        (err, existing) => {
-          if (err) {
-            console.error('❌ [ENTITY] Failed to check entity:', err);
-            return reject(err);
-          }
-          
-          if (existing) {
-            // Update existing entity
-            this.db.run(
-              `UPDATE session_entities 
-               SET mention_count = mention_count + 1,
-                   last_mentioned_at = CURRENT_TIMESTAMP
-               WHERE id = ?`,
-              [existing.id],
-              function(err) {
-                if (err) {
-                  console.error('❌ [ENTITY] Failed to update entity:', err);
-                  return reject(err);
-                }
-                console.log(`✅ [ENTITY] Updated ${entityType}: ${entityValue} (mentions: ${existing.mention_count + 1})`);
-                resolve({ 
-                  ...existing, 
-                  mention_count: existing.mention_count + 1,
-                  last_mentioned_at: new Date().toISOString()
-                });
-              }
-            );
-          } else {
-            // Insert new entity
-            const id = `ent_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-            const metadataStr = JSON.stringify(metadata);
-            
-            this.db.run(
-              `INSERT INTO session_entities 
-               (id, session_id, entity_type, entity_value, metadata, first_mentioned_at, last_mentioned_at, mention_count)
-               VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)`,
-              [id, sessionId, entityType, entityValue, metadataStr],
-              function(err) {
-                if (err) {
-                  console.error('❌ [ENTITY] Failed to add entity:', err);
-                  return reject(err);
-                }
-                console.log(`✅ [ENTITY] Added ${entityType}: ${entityValue}`);
-                resolve({ 
-                  id, 
-                  sessionId, 
-                  entity_type: entityType,
-                  entity_value: entityValue, 
-                  mention_count: 1,
-                  metadata: metadataStr
-                });
-              }
-            );
-          }
-        }
+   * Correct a context item in place (no new history entry)
+   * Pass any of key, value, confidence and userConfirmed. Returns null if the
+   * item does not exist.
+   */
+  async updateContext(contextId, changes = {}) {
+    const { key, value, confidence, userConfirmed } = changes;
+
+    const rows = await query(
+      `SELECT * FROM session_context WHERE id = ? AND deleted_at IS NULL`,
+      [contextId]
+    );
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    const data = JSON.parse(row.context_data || '{}');
+    if (key !== undefined) data.key = key;
+    if (value !== undefined) data.value = value;
+    if (confidence !== undefined) data.confidence = confidence;
+    if (userConfirmed !== undefined) {
+      if (userConfirmed) {
+        data.userConfirmed = true;
+      } else {
+        delete data.userConfirmed;
+      }
+    }
+
+    const now = new Date().toISOString();
+    try {
+      await run(
+        `UPDATE session_context SET context_key = ?, context_data = ?, updated_at = ? WHERE id = ?`,
+        [normalizeContextKey(data.key), JSON.stringify(data), now, contextId]
       );
-    });
+    } catch (error) {
+      console.error('❌ [CONTEXT] Failed to update context:', error);
+      throw error;
+    }
+
+    console.log(`✏️ [CONTEXT] Updated ${row.context_type} ${contextId}: ${data.key} = ${data.value}`);
+    return {
+      id: contextId,
+      sessionId: row.session_id,
+      contextType: row.context_type,
+      ...data,
+      confirmations: data.confirmations || 1,
+      createdAt: row.created_at,
+      updatedAt: now
+    };
   }
-  
+
   /**
-   * Get entities for a session
+   * Delete a context item; the previous value of its key becomes current
+   * again unless allVersions is set, which deletes the key's history too.
+   * Returns null if the item does not exist.
    */
-  async getEntities(sessionId, entityType = null) {
-    return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM session_entities WHERE session_id = ?';
-      const params = [sessionId];
-      
-      if (entityType) {
-        query += ' AND entity_type = ?';
-        params.push(entityType);
+  async deleteContext(contextId, options = {}) {
+    const { allVersions = false } = options;
+
+    const rows = await query(
+      `SELECT id, session_id, context_type, context_key FROM session_context WHERE id = ?`,
+      [contextId]
+    );
+    if (rows.length === 0) return null;
+
+    const { session_id: sessionId, context_type: contextType, context_key: contextKey } = rows[0];
+    try {
+      const deleted = allVersions && contextKey
+        ? await query(
+          `DELETE FROM session_context WHERE session_id = ? AND context_type = ? AND context_key = ? RETURNING id`,
+          [sessionId, contextType, contextKey]
+        )
+        : await query(`DELETE FROM session_context WHERE id = ? RETURNING id`, [contextId]);
+
+      console.log(`🗑️ [CONTEXT] Deleted ${deleted.length} ${contextType} item(s) from ${sessionId}`);
+      return { success: true, sessionId, deleted: deleted.map(row => row.id) };
+    } catch (error) {
+      console.error('❌ [CONTEXT] Failed to delete context:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a mention of an entity
+   * The mention is resolved to the session's canonical entity of that type
+   * (see entityResolver) and counted both there and on the alias it used; an
+   * unknown entity is created under its canonical value.
+   * messageId: the message the mention was extracted from, so an edit of it
+   * can take the mention back (see removeMessageMentions).
+   */
+  async addEntity(sessionId, entityType, entityValue, metadata = {}, messageId = null) {
+    try {
+      const resolution = await entityResolver.resolve(sessionId, entityType, entityValue);
+      const now = new Date().toISOString();
+
+      if (resolution.entityId) {
+        const rows = await query(
+          `UPDATE session_entities 
+           SET mention_count = mention_count + 1,
+               last_mentioned_at = ?
+           WHERE id = ?
+           RETURNING ${ENTITY_COLUMNS}`,
+          [now, resolution.entityId]
+        );
+        await this.recordAlias(rows[0], entityValue, resolution.matchedBy, resolution.similarity, now);
+        await this.recordMention(rows[0], entityValue, messageId, now);
+        console.log(`✅ [ENTITY] Updated ${entityType}: ${rows[0].entity_value} via "${entityValue}" (${resolution.matchedBy}, mentions: ${rows[0].mention_count})`);
+        return { ...rows[0], matchedBy: resolution.matchedBy, similarity: resolution.similarity };
       }
-      
-      query += ' ORDER BY mention_count DESC, last_mentioned_at DESC';
-      
-      this.db.all(query, params, (err, rows) => {
-        if (err) {
-          console.error('❌ [ENTITY] Failed to get entities:', err);
-          return reject(err);
-        }
-        
-        console.log(`✅ [ENTITY] Retrieved ${rows.length} entities for session ${sessionId}`);
-        resolve(rows);
+
+      // Insert new entity
+      const id = `ent_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+      const metadataStr = JSON.stringify(metadata);
+      // Without one from matching, the embedding worker embeds the entity later
+      const embedding = resolution.embedding;
+
+      await run(
+        `INSERT INTO session_entities 
+         (id, session_id, entity_type, entity_value, metadata, first_mentioned_at, last_mentioned_at, mention_count,
+          embedding, embedding_model)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?::${VECTOR_TYPE}, ?)`,
+        [
+          id, sessionId, entityType, resolution.canonicalValue, metadataStr, now, now,
+          embedding ? toVectorParam(embedding.embedding) : null,
+          embedding ? embedding.model : null
+        ]
+      );
+      const entity = {
+        id,
+        session_id: sessionId,
+        entity_type: entityType,
+        entity_value: resolution.canonicalValue,
+        first_mentioned_at: now,
+        last_mentioned_at: now,
+        mention_count: 1,
+        metadata: metadataStr
+      };
+      await this.recordAlias(entity, entityValue, resolution.matchedBy, 1, now);
+      await this.recordMention(entity, entityValue, messageId, now);
+      if (normalizeEntityValue(resolution.canonicalValue) !== resolution.normalized) {
+        await this.recordAlias(entity, resolution.canonicalValue, 'exact', 1, now, 0);
+      }
+      if (!embedding) {
+        embeddingWorker.poke();
+      }
+      console.log(`✅ [ENTITY] Added ${entityType}: ${resolution.canonicalValue}`);
+      return { ...entity, matchedBy: resolution.matchedBy === 'dictionary' ? 'dictionary' : null, similarity: null };
+    } catch (error) {
+      console.error('❌ [ENTITY] Failed to add entity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a mention on the alias it used, adding the alias if it is new
+   */
+  async recordAlias(entity, alias, matchedBy, similarity, now, mentions = 1) {
+    const normalized = normalizeEntityValue(alias);
+    const updated = await query(
+      `UPDATE entity_aliases SET mention_count = mention_count + ?, last_seen_at = ?
+       WHERE entity_id = ? AND normalized_alias = ?
+       RETURNING id`,
+      [mentions, now, entity.id, normalized]
+    );
+    if (updated.length > 0) return;
+
+    await run(
+      `INSERT INTO entity_aliases
+       (id, entity_id, session_id, entity_type, alias, normalized_alias, match_method, similarity, mention_count, first_seen_at, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        `als_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        entity.id,
+        entity.session_id,
+        entity.entity_type,
+        String(alias).trim(),
+        normalized,
+        matchedBy,
+        similarity,
+        mentions,
+        now,
+        now
+      ]
+    );
+  }
+
+  /**
+   * Remember which message a mention came from
+   */
+  async recordMention(entity, alias, messageId, now) {
+    if (!messageId) return;
+    await run(
+      `INSERT INTO entity_mentions (id, entity_id, session_id, message_id, normalized_alias, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [`mnt_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`, entity.id, entity.session_id, messageId, normalizeEntityValue(alias), now]
+    );
+  }
+
+  /**
+   * Take back the entity mentions extracted from a message whose text changed
+   * or that is deleted for good
+   * Each mention is uncounted from its entity and alias; aliases and entities
+   * left with no mentions are deleted, except aliases added by hand. Returns
+   * the ids of the deleted entities.
+   * tx: the { query, run } of a transaction to join; without it one is opened.
+   */
+  async removeMessageMentions(messageId, tx = null) {
+    if (!tx) {
+      return transaction(tx => this.removeMessageMentions(messageId, tx));
+    }
+
+    const mentions = await tx.query(
+      `DELETE FROM entity_mentions WHERE message_id = ? RETURNING entity_id, normalized_alias`,
+      [messageId]
+    );
+    if (mentions.length === 0) return [];
+
+    for (const mention of mentions) {
+      await tx.run(
+        `UPDATE session_entities SET mention_count = mention_count - 1 WHERE id = ?`,
+        [mention.entity_id]
+      );
+      await tx.run(
+        `UPDATE entity_aliases SET mention_count = GREATEST(mention_count - 1, 0)
+         WHERE entity_id = ? AND normalized_alias = ?`,
+        [mention.entity_id, mention.normalized_alias]
+      );
+    }
+
+    const entityIds = [...new Set(mentions.map(mention => mention.entity_id))];
+    const placeholders = entityIds.map(() => '?').join(', ');
+    await tx.run(
+      `DELETE FROM entity_aliases
+       WHERE entity_id IN (${placeholders}) AND mention_count <= 0 AND match_method <> 'manual'`,
+      entityIds
+    );
+    const emptied = await tx.query(
+      `DELETE FROM session_entities WHERE id IN (${placeholders}) AND mention_count <= 0 RETURNING id`,
+      entityIds
+    );
+    const deletedIds = emptied.map(row => row.id);
+    if (deletedIds.length > 0) {
+      const deletedPlaceholders = deletedIds.map(() => '?').join(', ');
+      await tx.run(`DELETE FROM entity_aliases WHERE entity_id IN (${deletedPlaceholders})`, deletedIds);
+      await tx.run(`DELETE FROM entity_mentions WHERE entity_id IN (${deletedPlaceholders})`, deletedIds);
+    }
+
+    console.log(`↩️ [ENTITY] Took back ${mentions.length} mention(s) from ${messageId}, deleted ${deletedIds.length} entit${deletedIds.length === 1 ? 'y' : 'ies'}`);
+    return deletedIds;
+  }
+
+  /**
+   * Aliases of entities, by entity id
+   */
+  async getAliases(entityIds) {
+    const byEntity = new Map(entityIds.map(id => [id, []]));
+    if (entityIds.length === 0) return byEntity;
+
+    const rows = await query(
+      `SELECT entity_id, alias, match_method, similarity, mention_count, first_seen_at, last_seen_at
+       FROM entity_aliases
+       WHERE entity_id IN (${entityIds.map(() => '?').join(', ')})
+       ORDER BY mention_count DESC, first_seen_at ASC`,
+      entityIds
+    );
+    for (const row of rows) {
+      byEntity.get(row.entity_id)?.push({
+        value: row.alias,
+        matchedBy: row.match_method,
+        similarity: row.similarity,
+        mentionCount: Number(row.mention_count),
+        firstSeenAt: row.first_seen_at,
+        lastSeenAt: row.last_seen_at
       });
-    });
+    }
+    return byEntity;
+  }
+
+  /**
+   * Get the canonical entities of a session, each with its aliases
+   * (mention_count counts the mentions through every alias)
+   */
+  async getEntities(sessionId, entityType = null) {
+    let sql = `SELECT ${ENTITY_COLUMNS} FROM session_entities WHERE session_id = ?`;
+    const params = [sessionId];
+
+    if (entityType) {
+      sql += ' AND entity_type = ?';
+      params.push(entityType);
+    }
+
+    sql += ' ORDER BY mention_count DESC, last_mentioned_at DESC';
+
+    try {
+      const rows = await query(sql, params);
+      const aliases = await this.getAliases(rows.map(row => row.id));
+      console.log(`✅ [ENTITY] Retrieved ${rows.length} entities for session ${sessionId}`);
+      return rows.map(row => ({ ...row, aliases: aliases.get(row.id) }));
+    } catch (error) {
+      console.error('❌ [ENTITY] Failed to get entities:', error);
+      throw error;
+    }
+  }
+
+  async getEntity(entityId) {
+    const rows = await query(`SELECT ${ENTITY_COLUMNS} FROM session_entities WHERE id = ?`, [entityId]);
+    if (rows.length === 0) return null;
+    const aliases = await this.getAliases([entityId]);
+    return { ...rows[0], aliases: aliases.get(entityId) };
+  }
+
+  /**
+   * Correct an entity's type, value or metadata (metadata is merged)
+   * A new value is also kept as an alias. Returns null if the entity does not
+   * exist; renaming it onto another entity of the session is rejected in
+   * favour of entity.merge.
+   */
+  async updateEntity(entityId, changes = {}) {
+    const { entityType, entityValue, metadata } = changes;
+
+    const entity = await this.getEntity(entityId);
+    if (!entity) return null;
+
+    const type = entityType ?? entity.entity_type;
+    const value = entityValue ?? entity.entity_value;
+    const normalized = normalizeEntityValue(value);
+    const duplicate = await query(
+      `SELECT DISTINCT entity_id FROM entity_aliases
+       WHERE session_id = ? AND entity_type = ? AND normalized_alias = ? AND entity_id <> ?`,
+      [entity.session_id, type, normalized, entityId]
+    );
+    if (duplicate.length > 0) {
+      throw new Error(`Entity ${type}: ${value} already exists (${duplicate[0].entity_id}); use entity.merge to combine them`);
+    }
+
+    const mergedMetadata = { ...JSON.parse(entity.metadata || '{}'), ...(metadata || {}) };
+    const valueChanged = value !== entity.entity_value;
+    const now = new Date().toISOString();
+    try {
+      await run(
+        `UPDATE session_entities SET entity_type = ?, entity_value = ?, metadata = ? WHERE id = ?`,
+        [type, value, JSON.stringify(mergedMetadata), entityId]
+      );
+      if (valueChanged) {
+        // Re-embedded by the embedding worker
+        await run(`UPDATE session_entities SET embedding = NULL, embedding_model = NULL WHERE id = ?`, [entityId]);
+        embeddingWorker.poke();
+      }
+      await run(`UPDATE entity_aliases SET entity_type = ? WHERE entity_id = ?`, [type, entityId]);
+      if (valueChanged && !entity.aliases.some(alias => normalizeEntityValue(alias.value) === normalized)) {
+        await run(
+          `INSERT INTO entity_aliases
+           (id, entity_id, session_id, entity_type, alias, normalized_alias, match_method, similarity, mention_count, first_seen_at, last_seen_at)
+           VALUES (?, ?, ?, ?, ?, ?, 'manual', NULL, 0, ?, ?)`,
+          [`als_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`, entityId, entity.session_id, type, value, normalized, now, now]
+        );
+      }
+    } catch (error) {
+      console.error('❌ [ENTITY] Failed to update entity:', error);
+      throw error;
+    }
+
+    console.log(`✏️ [ENTITY] Updated ${entityId}: ${type}: ${value}`);
+    return this.getEntity(entityId);
+  }
+
+  /**
+   * Delete an entity and its aliases (null if it does not exist)
+   */
+  async deleteEntity(entityId) {
+    const deleted = await query(
+      `DELETE FROM session_entities WHERE id = ? RETURNING id, session_id`,
+      [entityId]
+    );
+    if (deleted.length === 0) return null;
+    await run(`DELETE FROM entity_aliases WHERE entity_id = ?`, [entityId]);
+    await run(`DELETE FROM entity_mentions WHERE entity_id = ?`, [entityId]);
+
+    console.log(`🗑️ [ENTITY] Deleted ${entityId}`);
+    return { success: true, entityId, sessionId: deleted[0].session_id };
+  }
+
+  /**
+   * Fold sourceId into targetId (same session): mention counts are summed,
+   * the earliest first and latest last mention kept, metadata combined
+   * (the target's keys win; the source's value is added to mergedFrom) and
+   * the source's aliases move to the target.
+   * Returns null if either entity does not exist.
+   */
+  async mergeEntities(targetId, sourceId) {
+    if (targetId === sourceId) {
+      throw new Error('Cannot merge an entity into itself');
+    }
+
+    const target = await this.getEntity(targetId);
+    const source = await this.getEntity(sourceId);
+    if (!target || !source) return null;
+    if (target.session_id !== source.session_id) {
+      throw new Error('Entities must belong to the same session to be merged');
+    }
+
+    const targetMetadata = JSON.parse(target.metadata || '{}');
+    const sourceMetadata = JSON.parse(source.metadata || '{}');
+    const mergedFrom = [
+      ...(targetMetadata.mergedFrom || []),
+      ...(sourceMetadata.mergedFrom || []),
+      { type: source.entity_type, value: source.entity_value }
+    ];
+    const metadata = { ...sourceMetadata, ...targetMetadata, mergedFrom };
+    const earliest = (a, b) => (new Date(a) <= new Date(b) ? a : b);
+    const latest = (a, b) => (new Date(a) >= new Date(b) ? a : b);
+    const firstMentionedAt = new Date(earliest(target.first_mentioned_at, source.first_mentioned_at)).toISOString();
+    const lastMentionedAt = new Date(latest(target.last_mentioned_at, source.last_mentioned_at)).toISOString();
+    const mentionCount = Number(target.mention_count) + Number(source.mention_count);
+
+    try {
+      await run(
+        `UPDATE session_entities
+         SET mention_count = ?, first_mentioned_at = ?, last_mentioned_at = ?, metadata = ?
+         WHERE id = ?`,
+        [mentionCount, firstMentionedAt, lastMentionedAt, JSON.stringify(metadata), targetId]
+      );
+      await run(`DELETE FROM session_entities WHERE id = ?`, [sourceId]);
+
+      // Aliases both entities know are counted once, the others move over
+      await run(
+        `UPDATE entity_aliases
+         SET mention_count = entity_aliases.mention_count + source.mention_count,
+             first_seen_at = LEAST(entity_aliases.first_seen_at, source.first_seen_at),
+             last_seen_at = GREATEST(entity_aliases.last_seen_at, source.last_seen_at)
+         FROM entity_aliases source
+         WHERE entity_aliases.entity_id = ? AND source.entity_id = ?
+           AND entity_aliases.normalized_alias = source.normalized_alias`,
+        [targetId, sourceId]
+      );
+      await run(
+        `DELETE FROM entity_aliases
+         WHERE entity_id = ? AND normalized_alias IN (SELECT normalized_alias FROM entity_aliases WHERE entity_id = ?)`,
+        [sourceId, targetId]
+      );
+      await run(
+        `UPDATE entity_aliases SET entity_id = ?, entity_type = ?, match_method = 'merge' WHERE entity_id = ?`,
+        [targetId, target.entity_type, sourceId]
+      );
+      await run(`UPDATE entity_mentions SET entity_id = ? WHERE entity_id = ?`, [targetId, sourceId]);
+    } catch (error) {
+      console.error('❌ [ENTITY] Failed to merge entities:', error);
+      throw error;
+    }
+
+    console.log(`🔗 [ENTITY] Merged ${source.entity_value} into ${target.entity_value} (mentions: ${mentionCount})`);
+    return { ...(await this.getEntity(targetId)), mergedId: sourceId };
   }
   
   /**
@@ -199,7 +729,8 @@ class ContextHandler {
             fact.key,
             fact.value,
             fact.confidence,
-            messageId
+            messageId,
+            { automatic: true }
           );
         } catch (err) {
           console.warn('⚠️ [CONTEXT] Failed to store fact:', err.message);
@@ -213,7 +744,8 @@ class ContextHandler {
             sessionId,
             entity.type,
             entity.value,
-            { confidence: entity.confidence }
+            { confidence: entity.confidence },
+            messageId
           );
         } catch (err) {
           console.warn('⚠️ [ENTITY] Failed to store entity:', err.message);
@@ -222,6 +754,14 @@ class ContextHandler {
       
       console.log(`✅ [CONTEXT] Extracted ${extraction.facts.length} facts, ${extraction.entities.length} entities`);
       
+      if (extraction.facts.length > 0 || extraction.entities.length > 0) {
+        eventBus.publish('context.extracted', sessionId, {
+          messageId,
+          facts: extraction.facts,
+          entities: extraction.entities
+        });
+      }
+      
       return extraction;
     } catch (error) {
       console.error('❌ [CONTEXT] Extraction failed:', error);
@@ -231,3 +771,5 @@ class ContextHandler {
 }
 
 module.exports = ContextHandler;
+module.exports.normalizeContextKey = normalizeContextKey;
+module.exports.currentContextCondition = currentContextCondition;
@@ -0,0 +1,239 @@
+/**
+ * Context Window Handler
+ * Assembles a token-budgeted prompt package for a session: its summary,
+ * known facts, top entities, messages relevant to a query and the most
+ * recent messages of the active branch
+ */
+
+const { getSession } = require('./sessionHandlers.cjs');
+const { listMessages } = require('./messageHandlers.cjs');
+const { searchMessages } = require('./semanticSearchHandler.cjs');
+const { getTokenizer } = require('../services/tokenizer.cjs');
+
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_WINDOW_TOKENS || '4000', 10);
+
+// Order of the sections in the prompt
+const SECTIONS = ['summary', 'facts', 'entities', 'relevant', 'recent'];
+
+const SECTION_HEADERS = {
+  summary: '## Conversation summary',
+  facts: '## Known facts',
+  entities: '## Mentioned entities',
+  relevant: '## Relevant earlier messages',
+  recent: '## Recent messages'
+};
+
+// Budget is handed out in this order: first up to each section's share,
+// then whatever is left, again in this order
+const ALLOCATION_ORDER = ['recent', 'relevant', 'facts', 'summary', 'entities'];
+const SECTION_SHARES = { recent: 0.5, relevant: 0.2, facts: 0.15, summary: 0.1, entities: 0.05 };
+
+function messageLine(message, text = message.text) {
+  return `${message.sender}: ${text}`;
+}
+
+/**
+ * Candidates per section, best first
+ */
+async function collectCandidates(contextHandler, sections, options) {
+  const { sessionId, query, session, recentLimit, relevantLimit, factLimit, entityLimit } = options;
+  const candidates = {};
+
+  if (sections.includes('summary')) {
+    const summary = session.summary?.text || session.hibernationData?.summary;
+    candidates.summary = summary ? [{ item: { text: summary }, line: summary }] : [];
+  }
+
+  if (sections.includes('facts')) {
+    const facts = await contextHandler.getContext(sessionId, 'fact');
+    const seen = new Set();
+    candidates.facts = facts
+      .filter(fact => {
+        const id = `${fact.key}\u0000${fact.value}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      })
+      // Newest first within equal confidence (getContext returns newest first; sort is stable)
+      .sort((a, b) => (Number(b.confidence) || 0) - (Number(a.confidence) || 0))
+      .slice(0, factLimit)
+      .map(fact => ({
+        item: { id: fact.id, key: fact.key, value: fact.value, confidence: fact.confidence },
+        line: `- ${fact.key}: ${fact.value}`
+      }));
+  }
+
+  if (sections.includes('entities')) {
+    const entities = await contextHandler.getEntities(sessionId);
+    candidates.entities = entities.slice(0, entityLimit).map(entity => ({
+      item: {
+        id: entity.id,
+        type: entity.entity_type,
+        value: entity.entity_value,
+        mentionCount: Number(entity.mention_count)
+      },
+      line: `- ${entity.entity_value} (${entity.entity_type})`
+    }));
+  }
+
+  if (sections.includes('recent')) {
+    const { messages } = await listMessages({ sessionId, limit: recentLimit, direction: 'DESC' });
+    candidates.recent = messages
+      .filter(message => message.text)
+      .map(message => ({
+        item: { id: message.id, sender: message.sender, text: message.text, timestamp: message.timestamp },
+        line: messageLine(message)
+      }));
+  }
+
+  if (sections.includes('relevant')) {
+    candidates.relevant = [];
+    if (query) {
+      try {
+        const { messages } = await searchMessages({ sessionId, query, limit: relevantLimit, includeRecent: 0 });
+        candidates.relevant = messages
+          .filter(message => message.text)
+          .map(message => {
+            // A hit matched through a chunk of a long message contributes just that chunk
+            const text = message.chunk ? message.chunk.text : message.text;
+            return {
+              item: {
+                id: message.id,
+                sender: message.sender,
+                text,
+                timestamp: message.timestamp,
+                reason: message.reason,
+                ...(message.chunk && { chunk: { index: message.chunk.index, startOffset: message.chunk.startOffset, endOffset: message.chunk.endOffset } })
+              },
+              line: messageLine(message, text)
+            };
+          });
+      } catch (error) {
+        console.warn('⚠️ [CONTEXT-WINDOW] Search failed, building without relevant messages:', error.message);
+      }
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Build a prompt package for a session within a token budget
+ *
+ * Each section takes whole items, best first, until the next one does not
+ * fit: first within its share of the budget, then from what the other
+ * sections left over. Recent messages therefore always form an unbroken run
+ * ending at the newest message, and the same inputs always give the same window.
+ * Messages already in the recent section are not repeated as relevant.
+ */
+async function buildContextWindow(contextHandler, payload) {
+  const {
+    sessionId,
+    query = null,
+    tokenBudget = DEFAULT_TOKEN_BUDGET,
+    tokenizer: tokenizerName,
+    sections = SECTIONS,
+    recentLimit = 20,
+    relevantLimit = 5,
+    factLimit = 50,
+    entityLimit = 20
+  } = payload;
+
+  if (!sessionId) {
+    throw new Error('sessionId is required');
+  }
+  if (!Number.isInteger(tokenBudget) || tokenBudget <= 0) {
+    throw new Error('tokenBudget must be a positive integer');
+  }
+  if (!Array.isArray(sections) || sections.some(name => !SECTIONS.includes(name))) {
+    throw new Error(`sections must be an array of: ${SECTIONS.join(', ')}`);
+  }
+
+  const tokenizer = getTokenizer(tokenizerName);
+  const { session } = await getSession({ sessionId });
+
+  const candidates = await collectCandidates(contextHandler, sections, {
+    sessionId, query, session, recentLimit, relevantLimit, factLimit, entityLimit
+  });
+
+  const state = {};
+  for (const name of sections) {
+    state[name] = {
+      headerTokens: tokenizer.count(SECTION_HEADERS[name]),
+      candidates: candidates[name].map(candidate => ({ ...candidate, tokens: tokenizer.count(candidate.line) })),
+      included: [],
+      next: 0,
+      tokens: 0
+    };
+  }
+
+  let usedTokens = 0;
+  const includedIds = (name) => new Set(state[name] ? state[name].included.map(c => c.item.id) : []);
+
+  const fill = (name, limit) => {
+    const section = state[name];
+    if (!section) return;
+
+    while (section.next < section.candidates.length) {
+      const candidate = section.candidates[section.next];
+
+      if (name === 'relevant' && includedIds('recent').has(candidate.item.id)) {
+        section.next++;
+        continue;
+      }
+      // Stop rather than skip so recent messages stay contiguous
+      if (name === 'recent' && includedIds('relevant').has(candidate.item.id)) return;
+
+      const cost = candidate.tokens + (section.included.length === 0 ? section.headerTokens : 0);
+      if (section.tokens + cost > limit || usedTokens + cost > tokenBudget) return;
+
+      section.included.push(candidate);
+      section.tokens += cost;
+      usedTokens += cost;
+      section.next++;
+    }
+  };
+
+  for (const name of ALLOCATION_ORDER) {
+    fill(name, Math.floor(tokenBudget * SECTION_SHARES[name]));
+  }
+  for (const name of ALLOCATION_ORDER) {
+    fill(name, Infinity);
+  }
+
+  const result = SECTIONS.filter(name => state[name]).map(name => {
+    const section = state[name];
+    let included = section.included;
+    // Messages read oldest first in the prompt
+    if (name === 'recent' || name === 'relevant') {
+      included = [...included].sort((a, b) => new Date(a.item.timestamp) - new Date(b.item.timestamp));
+    }
+    const available = section.candidates.length - (name === 'relevant'
+      ? section.candidates.filter(c => includedIds('recent').has(c.item.id)).length
+      : 0);
+
+    return {
+      name,
+      tokens: section.tokens,
+      count: included.length,
+      available,
+      truncated: included.length < available,
+      items: included.map(c => ({ ...c.item, tokens: c.tokens })),
+      text: included.length > 0 ? [SECTION_HEADERS[name], ...included.map(c => c.line)].join('\n') : ''
+    };
+  });
+
+  return {
+    sessionId,
+    query,
+    tokenizer: tokenizer.name,
+    tokenBudget,
+    usedTokens,
+    sections: result.map(({ text, ...section }) => section),
+    prompt: result.filter(section => section.text).map(section => section.text).join('\n\n')
+  };
+}
+
+module.exports = {
+  buildContextWindow
+};
@@ -0,0 +1,82 @@
+/**
+ * Embedding Handlers
+ * Business logic for re-embedding messages and reporting queue status
+ */
+
+const { query } = require('../database/connection.cjs');
+const embeddingService = require('../services/embeddingService.cjs');
+const { enqueueWhere, getQueueStatus, embeddingWorker } = require('../services/embeddingQueue.cjs');
+const { requireSession } = require('./sessionHandlers.cjs');
+
+/**
+ * Re-embed a session's messages, or every message in the database
+ * With onlyStale, skips messages already embedded by the primary model.
+ */
+async function reindexMessages(payload) {
+  const { sessionId, all = false, onlyStale = false } = payload;
+
+  if (!sessionId && !all) {
+    throw new Error('sessionId is required (or set all: true to reindex every session)');
+  }
+
+  try {
+    if (sessionId) {
+      await requireSession(sessionId);
+    }
+
+    const targetModel = embeddingService.primary.modelId;
+    const conditions = [`content <> ''`, `status = 'complete'`, 'deleted_at IS NULL'];
+    const params = [];
+
+    if (sessionId) {
+      conditions.push('session_id = ?');
+      params.push(sessionId);
+    }
+    if (onlyStale) {
+      conditions.push('(embedding IS NULL OR embedding_model IS DISTINCT FROM ?)');
+      params.push(targetModel);
+    }
+
+    const queued = await enqueueWhere(conditions.join(' AND '), params, 'reindex');
+    embeddingWorker.poke();
+
+    console.log(`🔄 [EMBEDDING] Queued ${queued} message(s) for reindex${sessionId ? ` in ${sessionId}` : ''}`);
+
+    return {
+      queued,
+      sessionId: sessionId || null,
+      all: !sessionId,
+      onlyStale,
+      targetModel,
+      workerRunning: embeddingWorker.started
+    };
+  } catch (error) {
+    console.error('❌ [EMBEDDING] Reindex failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Report embedding job counts (pending, running, done, failed)
+ */
+async function getEmbeddingStatus(payload) {
+  const { sessionId = null } = payload;
+
+  try {
+    const status = await getQueueStatus(sessionId);
+    return {
+      sessionId,
+      ...status,
+      providers: embeddingService.getInfo(),
+      workerRunning: embeddingWorker.started
+    };
+  } catch (error) {
+    console.error('❌ [EMBEDDING] Status failed:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  reindexMessages,
+  getEmbeddingStatus
+};
@@ -0,0 +1,296 @@
+/**
+ * Export Handlers
+ * Streams sessions out of the service as full-fidelity JSON, Markdown or chat-format JSONL
+ *
+ * Formats:
+ * - json:     sessions with messages (every branch), metadata, facts, other context and entities
+ * - markdown: human-readable transcript of the active branch
+ * - jsonl:    one `{"messages":[{"role","content"}]}` line per session's active branch (fine-tuning dumps)
+ *
+ * Bodies offloaded by hibernation are read back from the archive table.
+ */
+
+const { query } = require('../database/connection.cjs');
+const { PATH_CTE, getActiveLeafId } = require('../services/messageTree.cjs');
+const { currentContextCondition } = require('./contextHandler.cjs');
+
+const EXPORT_VERSION = 'conversation-export.v1';
+const EXPORT_PAGE_SIZE = 500;
+
+const FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' }
+};
+
+// Chat-format roles; other senders are mapped here or passed through unchanged
+const CHAT_ROLES = {
+  user: 'user',
+  human: 'user',
+  assistant: 'assistant',
+  ai: 'assistant',
+  bot: 'assistant',
+  system: 'system'
+};
+
+function parseJSON(value, fallback) {
+  try {
+    return JSON.parse(value || '');
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function formatTimestamp(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function toSession(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    titleSource: row.title_source,
+    triggerReason: row.trigger_reason,
+    triggerConfidence: row.trigger_confidence,
+    contextData: parseJSON(row.context_data, {}),
+    relatedMemories: parseJSON(row.related_memories, []),
+    currentActivity: parseJSON(row.current_activity, {}),
+    isActive: row.is_active,
+    isHibernated: row.is_hibernated,
+    messageCount: parseInt(row.message_count) || 0,
+    activeLeafId: row.active_leaf_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastActivityAt: row.last_activity_at
+  };
+}
+
+const MESSAGE_SELECT = `
+  SELECT m.id, m.parent_id, m.role, m.created_at, m.metadata, m.status,
+         CASE WHEN m.content = '' AND a.content IS NOT NULL THEN a.content ELSE m.content END AS content`;
+
+/**
+ * Messages of a session in chronological order, one page at a time
+ * activeBranch: true yields only the path to the active leaf.
+ */
+async function* iterateMessages(sessionId, { activeBranch = false } = {}) {
+  const leafId = activeBranch ? await getActiveLeafId(sessionId) : null;
+  if (activeBranch && !leafId) return;
+
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const rows = activeBranch
+      ? await query(
+        `${PATH_CTE}
+         ${MESSAGE_SELECT}
+         FROM path
+         JOIN conversation_messages m ON m.id = path.id
+         LEFT JOIN session_message_archive a ON a.message_id = m.id
+         WHERE m.deleted_at IS NULL
+         ORDER BY path.depth DESC
+         LIMIT ? OFFSET ?`,
+        [leafId, EXPORT_PAGE_SIZE, offset]
+      )
+      : await query(
+        `${MESSAGE_SELECT}
+         FROM conversation_messages m
+         LEFT JOIN session_message_archive a ON a.message_id = m.id
+         WHERE m.session_id = ? AND m.deleted_at IS NULL
+         ORDER BY m.created_at ASC, m.id ASC
+         LIMIT ? OFFSET ?`,
+        [sessionId, EXPORT_PAGE_SIZE, offset]
+      );
+
+    for (const row of rows) {
+      yield {
+        id: row.id,
+        parentId: row.parent_id,
+        sender: row.role,
+        text: row.content,
+        timestamp: row.created_at,
+        metadata: parseJSON(row.metadata, {}),
+        status: row.status
+      };
+    }
+
+    if (rows.length < EXPORT_PAGE_SIZE) return;
+  }
+}
+
+async function getContextItems(sessionId) {
+  const rows = await query(
+    `SELECT id, context_type, context_data, created_at, updated_at, ${currentContextCondition('c')} AS is_current
+     FROM session_context c
+     WHERE session_id = ? AND deleted_at IS NULL
+     ORDER BY created_at ASC, id ASC`,
+    [sessionId]
+  );
+  return rows.map(row => ({
+    id: row.id,
+    contextType: row.context_type,
+    ...parseJSON(row.context_data, {}),
+    current: row.is_current,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at
+  }));
+}
+
+async function getEntities(sessionId) {
+  const rows = await query(
+    `SELECT id, entity_type, entity_value, mention_count, first_mentioned_at, last_mentioned_at, metadata
+     FROM session_entities
+     WHERE session_id = ?
+     ORDER BY first_mentioned_at ASC`,
+    [sessionId]
+  );
+  const aliases = await query(
+    `SELECT entity_id, alias, match_method, similarity, mention_count, first_seen_at, last_seen_at
+     FROM entity_aliases
+     WHERE session_id = ?
+     ORDER BY first_seen_at ASC`,
+    [sessionId]
+  );
+  return rows.map(row => ({
+    id: row.id,
+    type: row.entity_type,
+    value: row.entity_value,
+    mentionCount: parseInt(row.mention_count) || 0,
+    firstMentionedAt: row.first_mentioned_at,
+    lastMentionedAt: row.last_mentioned_at,
+    metadata: parseJSON(row.metadata, {}),
+    aliases: aliases
+      .filter(alias => alias.entity_id === row.id)
+      .map(alias => ({
+        value: alias.alias,
+        matchedBy: alias.match_method,
+        similarity: alias.similarity,
+        mentionCount: parseInt(alias.mention_count) || 0,
+        firstSeenAt: alias.first_seen_at,
+        lastSeenAt: alias.last_seen_at
+      }))
+  }));
+}
+
+/**
+ * Validate an export request and resolve the sessions to export
+ * Select with sessionId, sessionIds, or all: true.
+ */
+async function prepareExport(payload) {
+  const { sessionId, sessionIds, all = false, format = 'json' } = payload;
+
+  if (!FORMATS[format]) {
+    throw new Error(`Invalid export format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const ids = sessionIds || (sessionId ? [sessionId] : null);
+  if (!all && (!Array.isArray(ids) || ids.length === 0)) {
+    throw new Error('sessionId or sessionIds is required (or set all: true to export every session)');
+  }
+
+  const sessions = all
+    ? await query(`SELECT * FROM conversation_sessions WHERE deleted_at IS NULL ORDER BY created_at ASC`)
+    : await query(
+      `SELECT * FROM conversation_sessions
+       WHERE id IN (${ids.map(() => '?').join(', ')}) AND deleted_at IS NULL
+       ORDER BY created_at ASC`,
+      ids
+    );
+
+  if (!all) {
+    const found = new Set(sessions.map(session => session.id));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Session not found: ${missing.join(', ')}`);
+    }
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = sessions.length === 1 ? sessions[0].id : `sessions-${stamp}`;
+
+  return {
+    format,
+    contentType: FORMATS[format].contentType,
+    filename: `${name}.${FORMATS[format].extension}`,
+    sessions: sessions.map(toSession)
+  };
+}
+
+async function* streamJSON(sessions) {
+  yield `{"version":${JSON.stringify(EXPORT_VERSION)},"exportedAt":${JSON.stringify(new Date().toISOString())},"sessions":[`;
+
+  for (let i = 0; i < sessions.length; i++) {
+    const session = sessions[i];
+    const contextItems = await getContextItems(session.id);
+    const entities = await getEntities(session.id);
+
+    // Everything but the message list is small; messages are streamed one by one
+    yield `${i > 0 ? ',' : ''}{"session":${JSON.stringify(session)}`;
+    yield `,"facts":${JSON.stringify(contextItems.filter(item => item.contextType === 'fact'))}`;
+    yield `,"context":${JSON.stringify(contextItems.filter(item => item.contextType !== 'fact'))}`;
+    yield `,"entities":${JSON.stringify(entities)},"messages":[`;
+
+    let first = true;
+    for await (const message of iterateMessages(session.id)) {
+      yield `${first ? '' : ','}${JSON.stringify(message)}`;
+      first = false;
+    }
+    yield ']}';
+  }
+
+  yield ']}\n';
+}
+
+async function* streamMarkdown(sessions) {
+  for (let i = 0; i < sessions.length; i++) {
+    const session = sessions[i];
+    if (i > 0) yield '\n---\n\n';
+
+    yield `# ${session.title || 'Untitled session'}\n\n`;
+    yield `- Session: \`${session.id}\`\n- Type: ${session.type}\n- Created: ${formatTimestamp(session.createdAt)}\n- Last activity: ${formatTimestamp(session.lastActivityAt)}\n\n`;
+
+    const facts = (await getContextItems(session.id)).filter(item => item.contextType === 'fact' && item.current);
+    if (facts.length > 0) {
+      yield '## Facts\n\n';
+      for (const fact of facts) {
+        yield `- **${fact.key}**: ${fact.value}\n`;
+      }
+      yield '\n';
+    }
+
+    yield '## Conversation\n\n';
+    for await (const message of iterateMessages(session.id, { activeBranch: true })) {
+      yield `### ${message.sender} · ${formatTimestamp(message.timestamp)}\n\n${message.text}\n\n`;
+    }
+  }
+}
+
+async function* streamJSONL(sessions) {
+  for (const session of sessions) {
+    const messages = [];
+    for await (const message of iterateMessages(session.id, { activeBranch: true })) {
+      // Training dumps only carry finished text
+      if (!message.text || message.status !== 'complete') continue;
+      messages.push({ role: CHAT_ROLES[String(message.sender).toLowerCase()] || message.sender, content: message.text });
+    }
+    if (messages.length > 0) {
+      yield `${JSON.stringify({ messages })}\n`;
+    }
+  }
+}
+
+/**
+ * Stream a prepared export as string pieces
+ */
+function streamExport({ format, sessions }) {
+  console.log(`📦 [EXPORT] Exporting ${sessions.length} session(s) as ${format}`);
+
+  if (format === 'markdown') return streamMarkdown(sessions);
+  if (format === 'jsonl') return streamJSONL(sessions);
+  return streamJSON(sessions);
+}
+
+module.exports = {
+  prepareExport,
+  streamExport,
+  EXPORT_VERSION
+};
@@ -0,0 +1,58 @@
+/**
+ * Extractor Handlers
+ * Business logic for inspecting and trying out fact extraction rules
+ */
+
+const contextExtractor = require('../services/contextExtractor.cjs');
+const factRules = require('../services/factRules.cjs');
+
+function rulesStatus() {
+  return {
+    file: factRules.file,
+    loadedAt: factRules.loadedAt,
+    lastError: factRules.lastError
+  };
+}
+
+/**
+ * Loaded rules with their hit counters
+ */
+async function listRules() {
+  const rules = factRules.list();
+  return { rules, count: rules.length, ...rulesStatus() };
+}
+
+/**
+ * Run the loaded rules (or the rule definitions in rules) against sample
+ * text; hits are not counted
+ * Entity rules use entities ([{ type, value }]), or the entities extracted from
+ * the text with extractEntities: true.
+ */
+async function testRules(payload) {
+  const { text, rules, extractEntities = false } = payload;
+  let { entities = [] } = payload;
+
+  if (!text || typeof text !== 'string') {
+    throw new Error('text is required');
+  }
+  if (rules !== undefined && !Array.isArray(rules)) {
+    throw new Error('rules must be a list of rule definitions');
+  }
+
+  if (extractEntities) {
+    entities = await contextExtractor.extractEntities(text);
+  }
+
+  const results = await factRules.test(text, entities, rules || null);
+  return {
+    results,
+    facts: results.filter(result => result.fact).map(result => result.fact),
+    entities,
+    ...rulesStatus()
+  };
+}
+
+module.exports = {
+  listRules,
+  testRules
+};
@@ -0,0 +1,402 @@
+/**
+ * Global Search Handler
+ * Cross-session search over messages, session titles, facts and entities
+ */
+
+const { query } = require('../database/connection.cjs');
+const { currentContextCondition } = require('./contextHandler.cjs');
+const keywordIndex = require('../services/keywordIndex.cjs');
+const embeddingService = require('../services/embeddingService.cjs');
+const vectorStore = require('../services/vectorStore.cjs');
+const { tokenizeQuery, likeScoreExpression, buildMessageFilters } = keywordIndex;
+
+// Relative weight of each source when ranking sessions
+const SOURCE_WEIGHTS = {
+  title: 3,
+  messages: 2,
+  facts: 1.5,
+  entities: 1
+};
+const SOURCES = Object.keys(SOURCE_WEIGHTS);
+
+const MESSAGE_CANDIDATES = 200;
+const SEMANTIC_MIN_SIMILARITY = 0.5;
+const EXTRA_HIT_BONUS = 0.1; // Per additional message hit in the same session
+const MAX_EXTRA_HIT_BONUS = 0.5;
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Cut a snippet of text around the first matching term
+ */
+function buildSnippet(text, terms) {
+  if (!text) return '';
+
+  const lower = text.toLowerCase();
+  let pos = -1;
+  for (const term of terms) {
+    const idx = lower.indexOf(term.toLowerCase());
+    if (idx !== -1 && (pos === -1 || idx < pos)) pos = idx;
+  }
+  if (pos === -1) pos = 0;
+
+  const start = Math.max(0, pos - SNIPPET_RADIUS);
+  const end = Math.min(text.length, pos + SNIPPET_RADIUS);
+  return `${start > 0 ? '...' : ''}${text.substring(start, end)}${end < text.length ? '...' : ''}`;
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+/**
+ * Append optional date-range and session-type conditions
+ */
+function addCommonFilters(conditions, params, { dateColumn, sessionColumn, dateFrom, dateTo, sessionType }) {
+  if (dateFrom) {
+    conditions.push(`${dateColumn} >= ?`);
+    params.push(dateFrom);
+  }
+  if (dateTo) {
+    conditions.push(`${dateColumn} <= ?`);
+    params.push(dateTo);
+  }
+  if (sessionType) {
+    conditions.push(`${sessionColumn} IN (SELECT id FROM conversation_sessions WHERE type = ?)`);
+    params.push(sessionType);
+  }
+}
+
+/**
+ * Semantic message hits across all sessions; empty when no embedding is available
+ */
+async function searchSemanticHits(searchQuery, filters) {
+  let embedded;
+  try {
+    embedded = await embeddingService.embed(searchQuery);
+  } catch (error) {
+    console.warn('⚠️ [GLOBAL-SEARCH] No query embedding, using keyword hits only:', error.message);
+    return [];
+  }
+
+  const { role, sessionType, dateFrom, dateTo } = filters;
+  return vectorStore.searchAllMessageVectors(embedded.embedding, embedded.model, {
+    role, sessionType, dateFrom, dateTo,
+    minSimilarity: SEMANTIC_MIN_SIMILARITY,
+    limit: MESSAGE_CANDIDATES
+  });
+}
+
+/**
+ * Keyword hits in the bodies hibernation offloaded to session_message_archive
+ * The keyword index only sees their blanked content.
+ */
+async function searchArchivedHits(terms, filters) {
+  const score = likeScoreExpression('archived_content', terms);
+  const where = buildMessageFilters(filters);
+  const rows = await query(
+    `SELECT id, score FROM (
+       SELECT id, (${score.sql}) AS score FROM (
+         SELECT m.*, a.content AS archived_content
+         FROM conversation_messages m
+         JOIN session_message_archive a ON a.message_id = m.id
+       )
+       WHERE ${where.clause}
+     ) WHERE score > 0
+     ORDER BY score DESC
+     LIMIT ?`,
+    [...score.params, ...where.params, MESSAGE_CANDIDATES]
+  );
+
+  return rows.map(row => ({ id: row.id, score: Number(row.score) / terms.length }));
+}
+
+async function searchMessageHits(searchQuery, terms, filters, { semantic, includeHibernated }) {
+  const [keywordHits, semanticHits, archivedHits] = await Promise.all([
+    keywordIndex.search(searchQuery, { ...filters, limit: MESSAGE_CANDIDATES }),
+    semantic ? searchSemanticHits(searchQuery, filters) : [],
+    includeHibernated ? searchArchivedHits(terms, filters) : []
+  ]);
+
+  // BM25 scores are unbounded; normalize against the best hit.
+  // A message found both ways keeps its stronger score.
+  const maxScore = Math.max(...keywordHits.map(hit => hit.score)) || 1;
+  const scores = new Map();
+  for (const hit of keywordHits) {
+    scores.set(hit.id, hit.score / maxScore);
+  }
+  for (const hit of semanticHits) {
+    scores.set(hit.id, Math.max(scores.get(hit.id) || 0, hit.similarity));
+  }
+  for (const hit of archivedHits) {
+    scores.set(hit.id, Math.max(scores.get(hit.id) || 0, hit.score));
+  }
+  if (scores.size === 0) return [];
+
+  // Snippets of offloaded messages come from the archive
+  const ids = Array.from(scores.keys());
+  const rows = await query(
+    `SELECT m.id, m.session_id, m.role, COALESCE(a.content, m.content) AS content, m.created_at
+     FROM conversation_messages m
+     LEFT JOIN session_message_archive a ON a.message_id = m.id
+     WHERE m.id IN (${placeholders(ids)})`,
+    ids
+  );
+
+  return rows.map(row => ({
+    sessionId: row.session_id,
+    score: scores.get(row.id),
+    match: {
+      id: row.id,
+      sender: row.role,
+      snippet: buildSnippet(row.content, terms),
+      timestamp: row.created_at
+    }
+  }));
+}
+
+async function searchTitleHits(terms, filters) {
+  const score = likeScoreExpression('title', terms);
+  const conditions = ['score > 0'];
+  const params = [];
+  addCommonFilters(conditions, params, { ...filters, dateColumn: 'last_activity_at', sessionColumn: 'id' });
+
+  const rows = await query(
+    `SELECT id, score FROM (
+       SELECT id, title, type, last_activity_at, (${score.sql}) AS score
+       FROM conversation_sessions
+     ) WHERE ${conditions.join(' AND ')}`,
+    [...score.params, ...params]
+  );
+
+  return rows.map(row => ({
+    sessionId: row.id,
+    score: Number(row.score) / terms.length
+  }));
+}
+
+async function searchFactHits(terms, filters) {
+  // Only the key and value: the raw JSON would also match field names and ids
+  const score = likeScoreExpression(
+    `COALESCE(json_extract_string(context_data, '$.key'), '') || ' ' || COALESCE(json_extract_string(context_data, '$.value'), '')`,
+    terms
+  );
+  const conditions = ['score > 0'];
+  const params = [];
+  addCommonFilters(conditions, params, { ...filters, dateColumn: 'created_at', sessionColumn: 'session_id' });
+
+  const rows = await query(
+    `SELECT id, session_id, context_data, created_at, score FROM (
+       SELECT id, session_id, context_data, created_at, (${score.sql}) AS score
+       FROM session_context c
+       WHERE context_type = 'fact' AND deleted_at IS NULL AND ${currentContextCondition('c')}
+     ) WHERE ${conditions.join(' AND ')}
+     ORDER BY score DESC`,
+    [...score.params, ...params]
+  );
+
+  return rows
+    .map(row => {
+      try {
+        const { key, value, confidence } = JSON.parse(row.context_data || '{}');
+        return {
+          sessionId: row.session_id,
+          score: Number(row.score) / terms.length,
+          match: { id: row.id, key, value, confidence, createdAt: row.created_at }
+        };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+async function searchEntityHits(terms, filters) {
+  // An entity also matches through its aliases ("NYC" finds New York City)
+  const score = likeScoreExpression('search_text', terms);
+  const conditions = ['score > 0'];
+  const params = [];
+  if (filters.entityType) {
+    conditions.push('entity_type = ?');
+    params.push(filters.entityType);
+  }
+  addCommonFilters(conditions, params, { ...filters, dateColumn: 'last_mentioned_at', sessionColumn: 'session_id' });
+
+  const rows = await query(
+    `SELECT id, session_id, entity_type, entity_value, mention_count, score FROM (
+       SELECT *, (${score.sql}) AS score FROM (
+         SELECT e.id, e.session_id, e.entity_type, e.entity_value, e.mention_count, e.last_mentioned_at,
+                e.entity_value || ' ' || COALESCE(string_agg(a.alias, ' '), '') AS search_text
+         FROM session_entities e
+         LEFT JOIN entity_aliases a ON a.entity_id = e.id
+         GROUP BY e.id, e.session_id, e.entity_type, e.entity_value, e.mention_count, e.last_mentioned_at
+       )
+     ) WHERE ${conditions.join(' AND ')}
+     ORDER BY score DESC, mention_count DESC`,
+    [...score.params, ...params]
+  );
+
+  return rows.map(row => ({
+    sessionId: row.session_id,
+    score: Number(row.score) / terms.length,
+    match: {
+      id: row.id,
+      type: row.entity_type,
+      value: row.entity_value,
+      mentionCount: Number(row.mention_count)
+    }
+  }));
+}
+
+/**
+ * Search across all sessions, grouping hits by session
+ *
+ * Filters: dateFrom, dateTo, role (messages), sessionType, entityType (entities).
+ * Message hits combine keyword and (unless semantic: false) vector matches,
+ * and with includeHibernated the bodies of offloaded messages.
+ * Sessions are ranked by a weighted sum of their best hit per source.
+ */
+async function searchGlobal(payload) {
+  const {
+    query: searchQuery,
+    limit = 20,
+    offset = 0,
+    messagesPerSession = 3,
+    sources = SOURCES,
+    includeHibernated = true,
+    semantic = true,
+    role,
+    sessionType,
+    entityType,
+    dateFrom,
+    dateTo
+  } = payload;
+
+  if (!searchQuery) {
+    throw new Error('query is required');
+  }
+
+  const unknownSources = sources.filter(source => !SOURCES.includes(source));
+  if (unknownSources.length > 0) {
+    throw new Error(`Unknown search sources: ${unknownSources.join(', ')} (expected ${SOURCES.join(', ')})`);
+  }
+
+  const terms = tokenizeQuery(searchQuery);
+  const emptyResult = { results: [], count: 0, totalCount: 0, searchQuery, terms, limit, offset };
+  if (terms.length === 0) {
+    return emptyResult;
+  }
+
+  try {
+    console.log(`🔍 [GLOBAL-SEARCH] Searching all sessions for: "${searchQuery}"`);
+
+    const filters = { role, sessionType, entityType, dateFrom, dateTo };
+    const [messageHits, titleHits, factHits, entityHits] = await Promise.all([
+      sources.includes('messages') ? searchMessageHits(searchQuery, terms, filters, { semantic, includeHibernated }) : [],
+      sources.includes('title') ? searchTitleHits(terms, filters) : [],
+      sources.includes('facts') ? searchFactHits(terms, filters) : [],
+      sources.includes('entities') ? searchEntityHits(terms, filters) : []
+    ]);
+
+    // Group hits by session
+    const groups = new Map();
+    const groupFor = (sessionId) => {
+      if (!groups.has(sessionId)) {
+        groups.set(sessionId, {
+          sessionId,
+          sourceScores: { title: 0, messages: 0, facts: 0, entities: 0 },
+          titleMatch: false,
+          messages: [],
+          facts: [],
+          entities: []
+        });
+      }
+      return groups.get(sessionId);
+    };
+
+    for (const hit of titleHits) {
+      const group = groupFor(hit.sessionId);
+      group.titleMatch = true;
+      group.sourceScores.title = hit.score;
+    }
+    for (const [source, hits] of [['messages', messageHits], ['facts', factHits], ['entities', entityHits]]) {
+      for (const hit of hits) {
+        const group = groupFor(hit.sessionId);
+        group[source].push({ ...hit.match, score: hit.score });
+        group.sourceScores[source] = Math.max(group.sourceScores[source], hit.score);
+      }
+    }
+
+    if (groups.size === 0) {
+      return emptyResult;
+    }
+
+    // Attach session details, dropping orphaned hits, trashed and filtered sessions
+    const sessionIds = Array.from(groups.keys());
+    const sessionRows = await query(
+      `SELECT id, title, type, is_active, is_hibernated, message_count, created_at, last_activity_at
+       FROM conversation_sessions
+       WHERE id IN (${placeholders(sessionIds)}) AND deleted_at IS NULL`,
+      sessionIds
+    );
+
+    const results = sessionRows
+      .filter(session => includeHibernated || !session.is_hibernated)
+      .filter(session => !sessionType || session.type === sessionType)
+      .map(session => {
+        const group = groups.get(session.id);
+        const extraHits = Math.max(0, group.messages.length - 1);
+
+        let score = 0;
+        for (const source of SOURCES) {
+          score += SOURCE_WEIGHTS[source] * group.sourceScores[source];
+        }
+        score += Math.min(MAX_EXTRA_HIT_BONUS, extraHits * EXTRA_HIT_BONUS);
+
+        return {
+          session: {
+            id: session.id,
+            title: session.title,
+            type: session.type,
+            isActive: session.is_active,
+            isHibernated: session.is_hibernated,
+            messageCount: parseInt(session.message_count) || 0,
+            createdAt: session.created_at,
+            lastActivityAt: session.last_activity_at
+          },
+          score,
+          titleMatch: group.titleMatch,
+          messageMatchCount: group.messages.length,
+          messages: group.messages
+            .sort((a, b) => b.score - a.score)
+            .slice(0, messagesPerSession),
+          facts: group.facts,
+          entities: group.entities
+        };
+      })
+      .sort((a, b) =>
+        b.score - a.score ||
+        new Date(b.session.lastActivityAt) - new Date(a.session.lastActivityAt)
+      );
+
+    const page = results.slice(offset, offset + limit);
+
+    console.log(`✅ [GLOBAL-SEARCH] Found matches in ${results.length} sessions`);
+
+    return {
+      results: page,
+      count: page.length,
+      totalCount: results.length,
+      searchQuery,
+      terms,
+      limit,
+      offset
+    };
+  } catch (error) {
+    console.error('❌ [GLOBAL-SEARCH] Search failed:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  searchGlobal
+};
@@ -0,0 +1,281 @@
+/**
+ * Import Handlers
+ * Creates sessions and messages from ChatGPT, Claude and our own export archives
+ *
+ * Messages keep their original timestamps and go through addMessage, so context
+ * extraction and embedding run exactly as for live messages. Conversations are
+ * keyed by their source id: importing the same archive twice skips what is
+ * already there.
+ */
+
+const crypto = require('crypto');
+const { query, run } = require('../database/connection.cjs');
+const { customAlphabet } = require('nanoid');
+const { parseExport } = require('../services/conversationImporters.cjs');
+const { addMessage } = require('./messageHandlers.cjs');
+const { deleteSession } = require('./sessionHandlers.cjs');
+const { normalizeContextKey } = require('./contextHandler.cjs');
+const { normalizeEntityValue } = require('../services/entityResolver.cjs');
+const eventBus = require('../services/eventBus.cjs');
+
+const nanoid = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 12);
+
+/**
+ * Session previously created from the same source conversation
+ * (for our own format, also the original session if it still exists here);
+ * sessions in the trash do not count
+ */
+async function findImportedSession(format, sourceId) {
+  const rows = await query(
+    `SELECT id FROM conversation_sessions
+     WHERE deleted_at IS NULL
+       AND ((json_extract_string(context_data, '$.importSource.format') = ?
+             AND json_extract_string(context_data, '$.importSource.id') = ?)
+            OR (? = 'thinkdrop' AND id = ?))`,
+    [format, sourceId, format, sourceId]
+  );
+  return rows[0]?.id || null;
+}
+
+/**
+ * Insert an inactive session with its original creation time
+ */
+async function createImportedSession(conversation, format) {
+  const sessionId = `session_${Date.now()}_${nanoid()}`;
+  const contextData = {
+    ...conversation.contextData,
+    importSource: { format, id: conversation.sourceId, importedAt: new Date().toISOString() }
+  };
+
+  await run(
+    `INSERT INTO conversation_sessions (
+      id, type, title, title_source, trigger_reason, trigger_confidence,
+      context_data, related_memories, current_activity,
+      is_active, is_hibernated, hibernation_data, message_count,
+      created_at, updated_at, last_activity_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      sessionId,
+      conversation.type || 'user-initiated',
+      conversation.title,
+      conversation.titleSource || 'import',
+      'import',
+      0.0,
+      JSON.stringify(contextData),
+      '[]',
+      '{}',
+      false, // is_active: importing never steals the active session
+      false,
+      '{}',
+      0,
+      conversation.createdAt,
+      new Date().toISOString(),
+      conversation.createdAt
+    ]
+  );
+
+  eventBus.publish('session.created', sessionId, {
+    session: {
+      id: sessionId,
+      type: conversation.type || 'user-initiated',
+      title: conversation.title,
+      titleSource: conversation.titleSource || 'import',
+      triggerReason: 'import',
+      contextData,
+      isActive: false,
+      isHibernated: false,
+      messageCount: 0,
+      createdAt: conversation.createdAt
+    }
+  });
+
+  return sessionId;
+}
+
+/**
+ * Restore facts, other context and entities carried by our own export format
+ * importedIds maps source message ids to the imported ones; an item whose
+ * source message was not imported loses its sourceMessageId.
+ */
+async function restoreContext(sessionId, conversation, importedIds) {
+  for (const item of [...conversation.facts, ...conversation.context]) {
+    // current is derived again from the keys and creation times
+    const { id, contextType, createdAt, updatedAt, current, history, supersededAt, ...data } = item;
+    if (data.sourceMessageId) {
+      data.sourceMessageId = importedIds.get(data.sourceMessageId) ?? null;
+    }
+    await run(
+      `INSERT INTO session_context (id, session_id, context_type, context_key, context_data, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        `ctx_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        sessionId,
+        contextType || 'fact',
+        normalizeContextKey(data.key),
+        JSON.stringify(data),
+        createdAt || new Date().toISOString(),
+        updatedAt || createdAt || new Date().toISOString()
+      ]
+    );
+  }
+
+  for (const entity of conversation.entities) {
+    const entityId = `ent_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    await run(
+      `INSERT INTO session_entities
+       (id, session_id, entity_type, entity_value, metadata, first_mentioned_at, last_mentioned_at, mention_count)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entityId,
+        sessionId,
+        entity.type,
+        entity.value,
+        JSON.stringify(entity.metadata || {}),
+        entity.firstMentionedAt || new Date().toISOString(),
+        entity.lastMentionedAt || new Date().toISOString(),
+        entity.mentionCount || 1
+      ]
+    );
+
+    // Exports made before aliases existed only carry the value
+    const aliases = entity.aliases?.length
+      ? entity.aliases
+      : [{ value: entity.value, mentionCount: entity.mentionCount || 1 }];
+    for (const alias of aliases) {
+      await run(
+        `INSERT INTO entity_aliases
+         (id, entity_id, session_id, entity_type, alias, normalized_alias, match_method, similarity, mention_count, first_seen_at, last_seen_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          `als_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+          entityId,
+          sessionId,
+          entity.type,
+          alias.value,
+          normalizeEntityValue(alias.value),
+          alias.matchedBy || 'exact',
+          alias.similarity ?? null,
+          alias.mentionCount ?? 1,
+          alias.firstSeenAt || entity.firstMentionedAt || new Date().toISOString(),
+          alias.lastSeenAt || entity.lastMentionedAt || new Date().toISOString()
+        ]
+      );
+    }
+  }
+}
+
+/**
+ * Import an export archive
+ *
+ * Payload:
+ * - data:    the parsed archive (or its JSON text)
+ * - format:  auto (default), chatgpt, claude or thinkdrop
+ * - extract: run context extraction over imported user messages (default true).
+ *            Our own format restores its saved facts and entities instead.
+ */
+async function importSessions(payload) {
+  const { data, format = 'auto', extract = true } = payload;
+
+  if (!data) {
+    throw new Error('data is required (the parsed export archive)');
+  }
+
+  const parsed = parseExport(data, format);
+  const restoresContext = parsed.format === 'thinkdrop';
+  const imported = [];
+  const skipped = [];
+  let messageCount = 0;
+
+  console.log(`📥 [IMPORT] Importing ${parsed.conversations.length} ${parsed.format} conversation(s)`);
+
+  for (const conversation of parsed.conversations) {
+    if (conversation.sourceId) {
+      const existing = await findImportedSession(parsed.format, conversation.sourceId);
+      if (existing) {
+        skipped.push({ sourceId: conversation.sourceId, sessionId: existing, reason: 'already_imported' });
+        continue;
+      }
+    }
+
+    if (conversation.messages.length === 0) {
+      skipped.push({ sourceId: conversation.sourceId, reason: 'empty' });
+      continue;
+    }
+
+    let sessionId = null;
+    try {
+      sessionId = await createImportedSession(conversation, parsed.format);
+
+      // Source message id -> imported message id, to rebuild branches
+      const importedIds = new Map();
+      for (const message of conversation.messages) {
+        const parentId = message.parentSourceId
+          ? importedIds.get(message.parentSourceId) // undefined (a skipped parent) continues the branch
+          : message.parentSourceId;
+
+        const added = await addMessage({
+          sessionId,
+          text: message.text,
+          sender: message.role,
+          metadata: message.metadata,
+          parentId,
+          timestamp: message.timestamp || conversation.createdAt,
+          extractContext: extract && !restoresContext
+        });
+        if (message.sourceId) {
+          importedIds.set(message.sourceId, added.messageId);
+        }
+      }
+
+      if (importedIds.has(conversation.activeLeafSourceId)) {
+        await run(
+          `UPDATE conversation_sessions SET active_leaf_id = ? WHERE id = ?`,
+          [importedIds.get(conversation.activeLeafSourceId), sessionId]
+        );
+      }
+
+      if (restoresContext) {
+        await restoreContext(sessionId, conversation, importedIds);
+      }
+
+      if (conversation.updatedAt) {
+        await run(
+          `UPDATE conversation_sessions
+           SET last_activity_at = GREATEST(last_activity_at, CAST(? AS TIMESTAMP))
+           WHERE id = ?`,
+          [conversation.updatedAt, sessionId]
+        );
+      }
+
+      messageCount += conversation.messages.length;
+      imported.push({
+        sessionId,
+        sourceId: conversation.sourceId,
+        title: conversation.title,
+        messageCount: conversation.messages.length
+      });
+    } catch (error) {
+      console.error(`❌ [IMPORT] Failed to import ${conversation.sourceId}:`, error.message);
+      // Remove the partial session so a retry imports it again
+      if (sessionId) {
+        await deleteSession({ sessionId, permanent: true }).catch(() => {});
+      }
+      skipped.push({ sourceId: conversation.sourceId, reason: 'error', error: error.message });
+    }
+  }
+
+  console.log(`✅ [IMPORT] Imported ${imported.length} session(s), ${messageCount} message(s); skipped ${skipped.length}`);
+
+  return {
+    format: parsed.format,
+    imported,
+    skipped,
+    importedCount: imported.length,
+    skippedCount: skipped.length,
+    messageCount
+  };
+}
+
+module.exports = {
+  importSessions
+};
@@ -4,13 +4,52 @@
  * Ported from ConversationSessionAgent.cjs
  */
 
-const { query, run, getConnection } = require('../database/connection.cjs');
+const { query, run, transaction, getConnection } = require('../database/connection.cjs');
 const { customAlphabet } = require('nanoid');
 const ContextHandler = require('./contextHandler.cjs');
-const { storeMessageEmbedding } = require('./semanticSearchHandler.cjs');
+const { enqueueMessage, embeddingWorker } = require('../services/embeddingQueue.cjs');
+const { requireSession, wakeSessionIfHibernated } = require('./sessionHandlers.cjs');
+const keywordIndex = require('../services/keywordIndex.cjs');
+const eventBus = require('../services/eventBus.cjs');
+const { PATH_CTE, getActiveLeafId, resolveParentId, findLeaf } = require('../services/messageTree.cjs');
+const sessionSummarizer = require('../services/sessionSummarizer.cjs');
+const sessionTitler = require('../services/sessionTitler.cjs');
 
 const nanoid = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 12);
 
+// Streamed messages accept appends until finished or aborted
+const STREAMABLE_STATUSES = ['streaming', 'interrupted'];
+
+// Sibling ids (oldest first) of every message in a session (bind the session id)
+const SIBLINGS_CTE = `
+  siblings AS (
+    SELECT id, list(id) OVER (
+      PARTITION BY parent_id ORDER BY created_at ASC, id ASC
+      ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING
+    ) AS sibling_ids
+    FROM conversation_messages
+    WHERE session_id = ? AND deleted_at IS NULL
+  )`;
+
+const MESSAGE_COLUMNS = 'm.id, m.session_id, m.parent_id, m.content, m.role, m.created_at, m.metadata, m.status';
+
+function toListedMessage(row) {
+  const siblingIds = Array.from(row.sibling_ids || [row.id]);
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    parentId: row.parent_id,
+    text: row.content,
+    sender: row.role,
+    timestamp: row.created_at,
+    metadata: JSON.parse(row.metadata || '{}'),
+    status: row.status,
+    siblingCount: siblingIds.length,
+    siblingIndex: siblingIds.indexOf(row.id),
+    siblingIds
+  };
+}
+
 // Initialize context handler (lazy initialization)
 let contextHandler = null;
 function getContextHandler() {
@@ -25,11 +64,73 @@ function getContextHandler() {
   return contextHandler;
 }
 
+// Context items the user confirmed (context_data.userConfirmed), bind nothing
+const USER_CONFIRMED = `json_extract(context_data, '$.userConfirmed')::BOOLEAN IS TRUE`;
+
+/**
+ * Delete the context extracted from a message
+ * Items the user confirmed outlive it: they are kept and only lose their
+ * sourceMessageId. factsOnly leaves context types other than fact alone.
+ * tx: the { run } of a transaction to run in.
+ */
+async function removeMessageContext(sessionId, messageId, { factsOnly = false } = {}, tx = { run }) {
+  const where = `session_id = ? ${factsOnly ? "AND context_type = 'fact'" : ''}
+    AND json_extract_string(context_data, '$.sourceMessageId') = ?`;
+
+  await tx.run(
+    `UPDATE session_context
+     SET context_data = json_merge_patch(context_data, '{"sourceMessageId": null}')::VARCHAR
+     WHERE ${where} AND ${USER_CONFIRMED}`,
+    [sessionId, messageId]
+  );
+  await tx.run(`DELETE FROM session_context WHERE ${where}`, [sessionId, messageId]);
+}
+
+/**
+ * Run extraction and queue embedding for a message whose text is final
+ */
+async function processCompletedMessage({ messageId, sessionId, text, sender, extractContext = true, reason = 'new' }) {
+  // Auto-extract context if user message
+  if (sender === 'user' && extractContext) {
+    const handler = getContextHandler();
+    if (handler) {
+      try {
+        await handler.extractAndStore(text, sessionId, messageId);
+      } catch (error) {
+        console.warn('⚠️ [MESSAGE] Context extraction failed:', error.message);
+        // Don't fail the message add if extraction fails
+      }
+    }
+  }
+
+  // Queue embedding (durable; retried with backoff by the worker)
+  try {
+    await enqueueMessage(messageId, sessionId, reason);
+    embeddingWorker.poke();
+  } catch (error) {
+    console.warn('⚠️ [MESSAGE] Failed to queue embedding:', error.message);
+    // Don't fail the message add; the worker backfills unembedded messages on startup
+  }
+
+  // Fold the conversation into the rolling summary every SUMMARY_EVERY_MESSAGES messages,
+  // and title the session after its first exchange
+  try {
+    await sessionSummarizer.maybeSummarize(sessionId);
+    await sessionTitler.maybeAutotitle(sessionId);
+  } catch (error) {
+    console.warn('⚠️ [MESSAGE] Summary/title check failed:', error.message);
+  }
+}
+
 /**
  * Add a message to a session
+ * It continues the active branch unless parentId names the message it replies
+ * to (null starts a new root); either way it becomes the active leaf.
+ * Optional timestamp keeps an original creation time (e.g. imported history);
+ * extractContext: false skips fact/entity extraction.
  */
 async function addMessage(payload) {
-  let { sessionId, text, sender, metadata = {} } = payload;
+  let { sessionId, text, sender, metadata = {}, parentId, timestamp: originalTimestamp, extractContext = true } = payload;
 
   // Extract response text properly - handle both string and object formats
   while (typeof text === 'object' && text !== null) {
@@ -51,14 +152,22 @@ async function addMessage(payload) {
     throw new Error('Missing required parameters: sessionId, text, and sender are required');
   }
 
+  if (originalTimestamp !== undefined && isNaN(new Date(originalTimestamp).getTime())) {
+    throw new Error(`Invalid timestamp: ${originalTimestamp}`);
+  }
+
   try {
-    // Check for duplicate messages (same text, sender, session within last 5 seconds)
+    await requireSession(sessionId);
+    parentId = await resolveParentId(sessionId, parentId);
+
+    // Check for duplicate messages (same text, sender, parent, session within last 5 seconds)
     const recentCutoff = new Date(Date.now() - 5000).toISOString();
     const duplicateCheck = await query(
       `SELECT id FROM conversation_messages 
-       WHERE session_id = ? AND content = ? AND role = ? AND created_at > ?
+       WHERE session_id = ? AND content = ? AND role = ? AND parent_id IS NOT DISTINCT FROM ?
+         AND deleted_at IS NULL AND created_at > ?
        ORDER BY created_at DESC LIMIT 1`,
-      [sessionId, text, sender, recentCutoff]
+      [sessionId, text, sender, parentId, recentCutoff]
     );
 
     if (duplicateCheck.length > 0) {
@@ -69,56 +178,46 @@ async function addMessage(payload) {
       };
     }
 
+    // New activity brings a hibernated session back
+    await wakeSessionIfHibernated(sessionId);
+
     const messageId = `msg_${Date.now()}_${nanoid()}`;
-    const timestamp = new Date().toISOString();
+    const timestamp = new Date(originalTimestamp ?? Date.now()).toISOString();
 
     // Insert message
     await run(
-      `INSERT INTO conversation_messages (id, session_id, content, role, created_at, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [messageId, sessionId, text, sender, timestamp, JSON.stringify(metadata)]
+      `INSERT INTO conversation_messages (id, session_id, parent_id, content, role, created_at, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [messageId, sessionId, parentId, text, sender, timestamp, JSON.stringify(metadata)]
     );
+    keywordIndex.markDirty();
 
-    // Update session message count and last activity
+    // Update session message count, active branch and last activity (a backdated message never moves it back)
     await run(
       `UPDATE conversation_sessions 
        SET message_count = message_count + 1, 
+           active_leaf_id = ?,
            updated_at = ?, 
-           last_activity_at = ?
+           last_activity_at = GREATEST(last_activity_at, CAST(? AS TIMESTAMP))
        WHERE id = ?`,
-      [timestamp, timestamp, sessionId]
+      [messageId, new Date().toISOString(), timestamp, sessionId]
     );
 
-    // Auto-extract context if user message
-    if (sender === 'user') {
-      const handler = getContextHandler();
-      if (handler) {
-        try {
-          await handler.extractAndStore(text, sessionId, messageId);
-        } catch (error) {
-          console.warn('⚠️ [MESSAGE] Context extraction failed:', error.message);
-          // Don't fail the message add if extraction fails
-        }
-      }
-    }
+    const message = {
+      id: messageId,
+      sessionId,
+      parentId,
+      text,
+      sender,
+      timestamp,
+      metadata,
+      status: 'complete'
+    };
+    eventBus.publish('message.added', sessionId, { message });
 
-    // Generate embedding asynchronously (non-blocking)
-    storeMessageEmbedding(messageId, text).catch(error => {
-      console.warn('⚠️ [MESSAGE] Embedding generation failed:', error.message);
-      // Don't fail the message add if embedding fails
-    });
+    await processCompletedMessage({ messageId, sessionId, text, sender, extractContext });
 
-    return {
-      messageId,
-      message: {
-        id: messageId,
-        sessionId,
-        text,
-        sender,
-        timestamp,
-        metadata
-      }
-    };
+    return { messageId, message };
   } catch (error) {
     console.error('❌ [MESSAGE] Add failed:', error);
     throw error;
@@ -127,50 +226,84 @@ async function addMessage(payload) {
 
 /**
  * List messages in a session
+ * By default only the active branch (root to active leaf), each message with
+ * its siblingIds, siblingCount and siblingIndex; allBranches: true lists
+ * every message in the session.
  */
 async function listMessages(payload) {
   const {
     sessionId,
     limit = 50,
     offset = 0,
-    direction = 'DESC'
+    direction = 'DESC',
+    allBranches = false
   } = payload;
 
   if (!sessionId) {
     throw new Error('sessionId is required');
   }
 
+  const order = String(direction).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
   try {
-    const messages = await query(
-      `SELECT * FROM conversation_messages 
-       WHERE session_id = ? 
-       ORDER BY created_at ${direction} 
-       LIMIT ? OFFSET ?`,
-      [sessionId, limit, offset]
-    );
+    await requireSession(sessionId);
 
-    // Get total count
-    const countResult = await query(
-      `SELECT COUNT(*) as count FROM conversation_messages WHERE session_id = ?`,
-      [sessionId]
-    );
-    const totalCount = countResult[0]?.count || 0;
-
-    // Parse metadata
-    const parsedMessages = messages.map(msg => ({
-      id: msg.id,
-      sessionId: msg.session_id,
-      text: msg.content,
-      sender: msg.role,
-      timestamp: msg.created_at,
-      metadata: JSON.parse(msg.metadata || '{}')
-    }));
+    let messages;
+    let totalCount;
+    let activeLeafId = await getActiveLeafId(sessionId);
+
+    if (allBranches) {
+      messages = await query(
+        `WITH ${SIBLINGS_CTE}
+         SELECT ${MESSAGE_COLUMNS}, s.sibling_ids
+         FROM conversation_messages m
+         JOIN siblings s ON s.id = m.id
+         WHERE m.session_id = ? AND m.deleted_at IS NULL
+         ORDER BY m.created_at ${order}, m.id ${order}
+         LIMIT ? OFFSET ?`,
+        [sessionId, sessionId, limit, offset]
+      );
+
+      const countResult = await query(
+        `SELECT COUNT(*) as count FROM conversation_messages WHERE session_id = ? AND deleted_at IS NULL`,
+        [sessionId]
+      );
+      totalCount = parseInt(countResult[0]?.count) || 0;
+    } else if (activeLeafId) {
+      // Depth counts up from the leaf, so newest first is ascending depth
+      // (messages in the trash have no siblings row and drop out of the path)
+      messages = await query(
+        `${PATH_CTE}, ${SIBLINGS_CTE}
+         SELECT ${MESSAGE_COLUMNS}, s.sibling_ids
+         FROM path
+         JOIN conversation_messages m ON m.id = path.id
+         JOIN siblings s ON s.id = m.id
+         ORDER BY path.depth ${order === 'DESC' ? 'ASC' : 'DESC'}
+         LIMIT ? OFFSET ?`,
+        [activeLeafId, sessionId, limit, offset]
+      );
+
+      const countResult = await query(
+        `${PATH_CTE}
+         SELECT COUNT(*) as count FROM path
+         JOIN conversation_messages m ON m.id = path.id
+         WHERE m.deleted_at IS NULL`,
+        [activeLeafId]
+      );
+      totalCount = parseInt(countResult[0]?.count) || 0;
+    } else {
+      messages = [];
+      totalCount = 0;
+    }
+
+    const parsedMessages = messages.map(toListedMessage);
 
     return {
       messages: parsedMessages,
       sessionId,
+      activeLeafId,
       count: parsedMessages.length,
-      totalCount: parseInt(totalCount) || 0,
+      totalCount,
       limit,
       offset
     };
@@ -206,10 +339,14 @@ async function getMessage(payload) {
       message: {
         id: msg.id,
         sessionId: msg.session_id,
-        text: msg.text,
-        sender: msg.sender,
-        timestamp: msg.timestamp,
-        metadata: JSON.parse(msg.metadata || '{}')
+        parentId: msg.parent_id,
+        text: msg.content,
+        sender: msg.role,
+        timestamp: msg.created_at,
+        metadata: JSON.parse(msg.metadata || '{}'),
+        status: msg.status,
+        updatedAt: msg.updated_at,
+        deletedAt: msg.deleted_at
       }
     };
   } catch (error) {
@@ -218,51 +355,287 @@ async function getMessage(payload) {
   }
 }
 
+/**
+ * Replace a message's text and/or metadata, keeping the old version as a revision
+ * Changed text is re-embedded; for a user message the facts extracted from the
+ * old text are replaced by extraction over the new text.
+ */
+async function reviseMessage(messageId, { text, metadata, editedBy = null }) {
+  const loadMessage = async () => {
+    const rows = await query(
+      `SELECT session_id, role, content, metadata, status, deleted_at FROM conversation_messages WHERE id = ?`,
+      [messageId]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Message not found: ${messageId}`);
+    }
+    if (rows[0].deleted_at) {
+      throw new Error(`Message ${messageId} is in the trash; restore it with message.restore first`);
+    }
+    return rows[0];
+  };
+
+  let message = await loadMessage();
+  if (STREAMABLE_STATUSES.includes(message.status)) {
+    throw new Error(`Message ${messageId} is ${message.status}; finish or abort it before editing`);
+  }
+
+  // Offloaded bodies must be back before the old content is saved as a revision
+  if (await wakeSessionIfHibernated(message.session_id)) {
+    message = await loadMessage();
+  }
+
+  const sessionId = message.session_id;
+  const newText = text !== undefined ? text : message.content;
+  const newMetadata = metadata !== undefined ? JSON.stringify(metadata) : message.metadata;
+  const textChanged = newText !== message.content;
+
+  if (!textChanged && newMetadata === message.metadata) {
+    return { revision: null, textChanged: false, unchanged: true };
+  }
+
+  const now = new Date().toISOString();
+  const saved = await query(
+    `INSERT INTO message_revisions (id, message_id, session_id, revision, content, metadata, edited_by, edited_at)
+     SELECT ?, ?, ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?
+     FROM message_revisions WHERE message_id = ?
+     RETURNING revision`,
+    [`rev_${Date.now()}_${nanoid()}`, messageId, sessionId, message.content, message.metadata, editedBy, now, messageId]
+  );
+  const revision = Number(saved[0].revision);
+
+  await run(
+    `UPDATE conversation_messages
+     SET content = ?, metadata = ?, updated_at = ?${textChanged ? ', embedding = NULL, embedding_model = NULL' : ''}
+     WHERE id = ?`,
+    [newText, newMetadata, now, messageId]
+  );
+  keywordIndex.markDirty();
+
+  eventBus.publish('message.updated', sessionId, {
+    messageId,
+    changes: { ...(textChanged && { text: newText }), ...(metadata !== undefined && { metadata }) },
+    revision,
+    editedBy
+  });
+
+  if (textChanged && message.status === 'complete') {
+    // Chunks, facts and entity mentions of the old text; re-embedding and extraction recreate them
+    await run(`DELETE FROM session_message_chunks WHERE message_id = ?`, [messageId]);
+    if (message.role === 'user') {
+      await removeMessageContext(sessionId, messageId, { factsOnly: true });
+      await getContextHandler()?.removeMessageMentions(messageId);
+    }
+    await processCompletedMessage({ messageId, sessionId, text: newText, sender: message.role, reason: 'edit' });
+  }
+
+  console.log(`✏️ [MESSAGE] Edited ${messageId} (previous version saved as revision ${revision})`);
+
+  return { revision, textChanged, unchanged: false };
+}
+
 /**
  * Update a message
+ * The previous version is kept; see message.history.
  */
 async function updateMessage(payload) {
-  const { messageId, text, metadata } = payload;
+  const { messageId, text, metadata, editedBy } = payload;
 
   if (!messageId) {
     throw new Error('messageId is required');
   }
 
+  if (text === undefined && metadata === undefined) {
+    throw new Error('No fields to update');
+  }
+
+  if (text !== undefined && (typeof text !== 'string' || !text)) {
+    throw new Error('text must be a non-empty string');
+  }
+
   try {
-    const updates = [];
-    const params = [];
+    const result = await reviseMessage(messageId, { text, metadata, editedBy });
+    return { success: true, messageId, ...result };
+  } catch (error) {
+    console.error('❌ [MESSAGE] Update failed:', error);
+    throw error;
+  }
+}
 
-    if (text !== undefined) {
-      updates.push('text = ?');
-      params.push(text);
-    }
-    if (metadata !== undefined) {
-      updates.push('metadata = ?');
-      params.push(JSON.stringify(metadata));
-    }
+/**
+ * Revisions of a message, newest first, with its current version
+ * Pass restoreRevision to make that revision current again; the version it
+ * replaces is saved as a new revision, so restoring never loses anything.
+ */
+async function getMessageHistory(payload) {
+  const { messageId, restoreRevision, editedBy } = payload;
 
-    if (updates.length === 0) {
-      throw new Error('No fields to update');
-    }
+  if (!messageId) {
+    throw new Error('messageId is required');
+  }
+
+  try {
+    let restored = null;
+    if (restoreRevision !== undefined) {
+      const rows = await query(
+        `SELECT content, metadata FROM message_revisions WHERE message_id = ? AND revision = ?`,
+        [messageId, restoreRevision]
+      );
+      if (rows.length === 0) {
+        throw new Error(`Revision ${restoreRevision} not found for message ${messageId}`);
+      }
 
-    params.push(messageId);
+      const result = await reviseMessage(messageId, {
+        text: rows[0].content,
+        metadata: JSON.parse(rows[0].metadata || '{}'),
+        editedBy
+      });
+      restored = { revision: Number(restoreRevision), previousSavedAs: result.revision };
+    }
 
-    await run(
-      `UPDATE conversation_messages SET ${updates.join(', ')} WHERE id = ?`,
-      params
+    const { message } = await getMessage({ messageId });
+    const revisions = await query(
+      `SELECT revision, content, metadata, edited_by, edited_at FROM message_revisions
+       WHERE message_id = ?
+       ORDER BY revision DESC`,
+      [messageId]
     );
 
-    return { success: true, messageId };
+    return {
+      messageId,
+      current: message,
+      revisions: revisions.map(row => ({
+        revision: Number(row.revision),
+        text: row.content,
+        metadata: JSON.parse(row.metadata || '{}'),
+        editedBy: row.edited_by,
+        editedAt: row.edited_at
+      })),
+      count: revisions.length,
+      restored
+    };
   } catch (error) {
-    console.error('❌ [MESSAGE] Update failed:', error);
+    console.error('❌ [MESSAGE] History failed:', error);
     throw error;
   }
 }
 
 /**
  * Delete a message
+ * The message and the facts extracted from it move to the trash (restore with
+ * message.restore); its replies stay on their branch. The purge job removes
+ * it after TRASH_RETENTION_DAYS; permanent: true removes it right away.
  */
 async function deleteMessage(payload) {
+  const { messageId, permanent = false } = payload;
+
+  if (!messageId) {
+    throw new Error('messageId is required');
+  }
+
+  try {
+    const messages = await query(
+      `SELECT session_id, parent_id, deleted_at FROM conversation_messages WHERE id = ?`,
+      [messageId]
+    );
+
+    if (messages.length === 0) {
+      throw new Error(`Message not found: ${messageId}`);
+    }
+
+    if (permanent) {
+      await purgeMessage(messageId);
+      return { success: true, messageId, permanent: true };
+    }
+
+    const { session_id: sessionId, parent_id: parentId, deleted_at: deletedAt } = messages[0];
+    if (deletedAt) {
+      return { success: true, messageId, permanent: false, deletedAt, alreadyDeleted: true };
+    }
+
+    const now = new Date().toISOString();
+    await transaction(async (tx) => {
+      await tx.run(`UPDATE conversation_messages SET deleted_at = ? WHERE id = ?`, [now, messageId]);
+      await tx.run(
+        `UPDATE session_context SET deleted_at = ?
+         WHERE session_id = ? AND deleted_at IS NULL
+           AND json_extract_string(context_data, '$.sourceMessageId') = ? AND NOT (${USER_CONFIRMED})`,
+        [now, sessionId, messageId]
+      );
+
+      // Update session message count (and the active leaf if it was this message)
+      await tx.run(
+        `UPDATE conversation_sessions 
+         SET message_count = message_count - 1,
+             active_leaf_id = CASE WHEN active_leaf_id = ? THEN ? ELSE active_leaf_id END
+         WHERE id = ?`,
+        [messageId, parentId, sessionId]
+      );
+    });
+
+    eventBus.publish('message.deleted', sessionId, { messageId, permanent: false, deletedAt: now });
+
+    return { success: true, messageId, permanent: false, deletedAt: now };
+  } catch (error) {
+    console.error('❌ [MESSAGE] Delete failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently remove a message with its chunks, revisions, archived body,
+ * embedding job, entity mentions and extracted facts (except those the user
+ * confirmed), all in one transaction
+ */
+async function purgeMessage(messageId) {
+  const messages = await query(
+    `SELECT session_id, parent_id, deleted_at FROM conversation_messages WHERE id = ?`,
+    [messageId]
+  );
+  if (messages.length === 0) return;
+
+  const { session_id: sessionId, parent_id: parentId, deleted_at: deletedAt } = messages[0];
+
+  await transaction(async (tx) => {
+    await tx.run(`DELETE FROM session_message_chunks WHERE message_id = ?`, [messageId]);
+    await tx.run(`DELETE FROM message_revisions WHERE message_id = ?`, [messageId]);
+    await tx.run(`DELETE FROM session_message_archive WHERE message_id = ?`, [messageId]);
+    await tx.run(`DELETE FROM embedding_jobs WHERE message_id = ?`, [messageId]);
+    await removeMessageContext(sessionId, messageId, {}, tx);
+    await getContextHandler()?.removeMessageMentions(messageId, tx);
+    // A summary that covers the message would keep its content; the next summarization rebuilds it
+    await tx.run(
+      `DELETE FROM session_summaries
+       WHERE session_id = ? AND last_message_at >= (SELECT created_at FROM conversation_messages WHERE id = ?)`,
+      [sessionId, messageId]
+    );
+    await tx.run(`DELETE FROM conversation_messages WHERE id = ?`, [messageId]);
+
+    // Replies move up to the deleted message's parent so their branches stay connected
+    await tx.run(
+      `UPDATE conversation_messages SET parent_id = ? WHERE parent_id = ?`,
+      [parentId, messageId]
+    );
+
+    // A message in the trash was already taken off the count
+    await tx.run(
+      `UPDATE conversation_sessions 
+       SET message_count = message_count - ?,
+           active_leaf_id = CASE WHEN active_leaf_id = ? THEN ? ELSE active_leaf_id END
+       WHERE id = ?`,
+      [deletedAt ? 0 : 1, messageId, parentId, sessionId]
+    );
+  });
+  keywordIndex.markDirty();
+
+  eventBus.publish('message.deleted', sessionId, { messageId, permanent: true });
+}
+
+/**
+ * Take a message (and the facts deleted with it) out of the trash
+ * If its parent is the active leaf it becomes the active branch again.
+ */
+async function restoreMessage(payload) {
   const { messageId } = payload;
 
   if (!messageId) {
@@ -270,9 +643,9 @@ async function deleteMessage(payload) {
   }
 
   try {
-    // Get session ID before deleting
     const messages = await query(
-      `SELECT session_id FROM conversation_messages WHERE id = ?`,
+      `SELECT session_id, parent_id, status, deleted_at, embedding IS NULL AS missing_embedding
+       FROM conversation_messages WHERE id = ?`,
       [messageId]
     );
 
@@ -280,30 +653,400 @@ async function deleteMessage(payload) {
       throw new Error(`Message not found: ${messageId}`);
     }
 
-    const sessionId = messages[0].session_id;
+    const message = messages[0];
+    if (!message.deleted_at) {
+      throw new Error(`Message ${messageId} is not in the trash`);
+    }
+
+    const sessionId = message.session_id;
+    await requireSession(sessionId);
 
-    // Delete message
-    await run(`DELETE FROM conversation_messages WHERE id = ?`, [messageId]);
+    // Only the facts that went to the trash together with the message
+    await run(
+      `UPDATE session_context SET deleted_at = NULL
+       WHERE session_id = ?
+         AND json_extract_string(context_data, '$.sourceMessageId') = ?
+         AND deleted_at = (SELECT deleted_at FROM conversation_messages WHERE id = ?)`,
+      [sessionId, messageId, messageId]
+    );
+    await run(`UPDATE conversation_messages SET deleted_at = NULL WHERE id = ?`, [messageId]);
+
+    const leafId = await findLeaf(messageId);
+    await run(
+      `UPDATE conversation_sessions
+       SET message_count = message_count + 1,
+           active_leaf_id = CASE WHEN active_leaf_id IS NOT DISTINCT FROM ? THEN ? ELSE active_leaf_id END,
+           updated_at = ?
+       WHERE id = ?`,
+      [message.parent_id, leafId, new Date().toISOString(), sessionId]
+    );
+
+    if (message.missing_embedding && message.status === 'complete') {
+      await enqueueMessage(messageId, sessionId, 'restore');
+      embeddingWorker.poke();
+    }
+
+    console.log(`♻️ [MESSAGE] Restored ${messageId} from the trash`);
+    eventBus.publish('message.updated', sessionId, {
+      messageId,
+      changes: { deletedAt: null },
+      reason: 'restore'
+    });
+
+    return { success: true, messageId, sessionId, activeLeafId: await getActiveLeafId(sessionId) };
+  } catch (error) {
+    console.error('❌ [MESSAGE] Restore failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start a streamed message (status: streaming)
+ * The text grows with message.append and is finalized by message.finish or message.abort.
+ * Like message.add it continues the active branch unless parentId is given.
+ */
+async function beginMessage(payload) {
+  const { sessionId, sender = 'assistant', text = '', metadata = {} } = payload;
+  let { parentId } = payload;
+
+  if (!sessionId) {
+    throw new Error('sessionId is required');
+  }
+
+  try {
+    await requireSession(sessionId);
+
+    await wakeSessionIfHibernated(sessionId);
+    parentId = await resolveParentId(sessionId, parentId);
+
+    const messageId = `msg_${Date.now()}_${nanoid()}`;
+    const timestamp = new Date().toISOString();
+
+    await run(
+      `INSERT INTO conversation_messages (id, session_id, parent_id, content, role, created_at, metadata, status, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'streaming', ?)`,
+      [messageId, sessionId, parentId, text, sender, timestamp, JSON.stringify(metadata), timestamp]
+    );
 
-    // Update session message count
     await run(
       `UPDATE conversation_sessions 
-       SET message_count = message_count - 1 
+       SET message_count = message_count + 1, 
+           active_leaf_id = ?,
+           updated_at = ?, 
+           last_activity_at = ?
        WHERE id = ?`,
-      [sessionId]
+      [messageId, timestamp, timestamp, sessionId]
     );
 
-    return { success: true, messageId };
+    console.log(`📝 [MESSAGE] Streaming message ${messageId} started`);
+
+    const message = {
+      id: messageId,
+      sessionId,
+      parentId,
+      text,
+      sender,
+      timestamp,
+      metadata,
+      status: 'streaming'
+    };
+    eventBus.publish('message.added', sessionId, { message });
+
+    return { messageId, message };
   } catch (error) {
-    console.error('❌ [MESSAGE] Delete failed:', error);
+    console.error('❌ [MESSAGE] Begin failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add an alternative to a message as its sibling (same parent, same sender)
+ * and make it the active branch. With text the sibling is complete at once;
+ * without it a streamed message is started for the new generation.
+ */
+async function regenerateMessage(payload) {
+  const { messageId, text, metadata = {} } = payload;
+
+  if (!messageId) {
+    throw new Error('messageId is required');
+  }
+
+  const originals = await query(
+    `SELECT session_id, parent_id, role FROM conversation_messages WHERE id = ? AND deleted_at IS NULL`,
+    [messageId]
+  );
+  if (originals.length === 0) {
+    throw new Error(`Message not found: ${messageId}`);
+  }
+
+  const original = originals[0];
+  const sibling = {
+    sessionId: original.session_id,
+    sender: original.role,
+    parentId: original.parent_id,
+    metadata: { ...metadata, regeneratedFrom: messageId }
+  };
+
+  console.log(`🔀 [MESSAGE] Regenerating ${messageId}${text === undefined ? ' (streamed)' : ''}`);
+
+  return text === undefined
+    ? beginMessage(sibling)
+    : addMessage({ ...sibling, text });
+}
+
+/**
+ * Load a message that can still receive streamed text
+ */
+async function getStreamingMessage(messageId) {
+  const messages = await query(
+    `SELECT id, session_id, role, content, metadata, status, deleted_at FROM conversation_messages WHERE id = ?`,
+    [messageId]
+  );
+
+  if (messages.length === 0) {
+    throw new Error(`Message not found: ${messageId}`);
+  }
+
+  const message = messages[0];
+  if (message.deleted_at) {
+    throw new Error(`Message ${messageId} is in the trash`);
+  }
+  if (!STREAMABLE_STATUSES.includes(message.status)) {
+    throw new Error(`Message ${messageId} is ${message.status}, not streaming`);
+  }
+  return message;
+}
+
+/**
+ * Append a delta to a streaming message
+ * Each append is persisted, so a crash loses at most the in-flight delta.
+ * Pass offset (the text length the delta starts at) to make retries safe:
+ * a delta that is already stored at that offset is ignored. Offsets and
+ * lengths count Unicode code points, as DuckDB's length() does, not UTF-16
+ * code units.
+ * Appending to an interrupted message resumes the stream.
+ */
+async function appendMessage(payload) {
+  const { messageId, delta, offset } = payload;
+
+  if (!messageId || typeof delta !== 'string') {
+    throw new Error('messageId and delta are required');
+  }
+
+  try {
+    let message = await getStreamingMessage(messageId);
+    if (await wakeSessionIfHibernated(message.session_id)) {
+      message = await getStreamingMessage(messageId);
+    }
+
+    const stored = [...message.content];
+    const current = stored.length;
+    const deltaLength = [...delta].length;
+
+    if (offset !== undefined) {
+      if (offset < current && stored.slice(offset, offset + deltaLength).join('') === delta) {
+        return { messageId, length: current, status: message.status, duplicate: true };
+      }
+      if (offset !== current) {
+        throw new Error(`Offset mismatch for ${messageId}: expected ${current}, got ${offset}`);
+      }
+    }
+
+    // Conditional on the length we checked, so concurrent appends cannot interleave
+    const updated = await query(
+      `UPDATE conversation_messages
+       SET content = content || ?, status = 'streaming', updated_at = ?
+       WHERE id = ? AND status IN ('streaming', 'interrupted') AND length(content) = ?
+       RETURNING length(content) AS length`,
+      [delta, new Date().toISOString(), messageId, current]
+    );
+
+    if (updated.length === 0) {
+      throw new Error(`Message ${messageId} changed during append; retry with the current offset`);
+    }
+
+    const length = Number(updated[0].length);
+    eventBus.publish('message.appended', message.session_id, {
+      messageId,
+      delta,
+      offset: length - deltaLength,
+      length
+    });
+
+    return { messageId, length, status: 'streaming', duplicate: false };
+  } catch (error) {
+    console.error('❌ [MESSAGE] Append failed:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Finalize a streaming (or interrupted) message and run extraction and embedding
+ * Optional text replaces the streamed text; optional metadata is merged in.
+ */
+async function finishMessage(payload) {
+  const { messageId, text, metadata } = payload;
+
+  if (!messageId) {
+    throw new Error('messageId is required');
+  }
+
+  try {
+    let message = await getStreamingMessage(messageId);
+    if (await wakeSessionIfHibernated(message.session_id)) {
+      message = await getStreamingMessage(messageId);
+    }
+
+    const finalText = text !== undefined ? text : message.content;
+    const finalMetadata = { ...JSON.parse(message.metadata || '{}'), ...metadata };
+    const now = new Date().toISOString();
+
+    await run(
+      `UPDATE conversation_messages
+       SET content = ?, metadata = ?, status = 'complete', updated_at = ?
+       WHERE id = ?`,
+      [finalText, JSON.stringify(finalMetadata), now, messageId]
+    );
+    keywordIndex.markDirty();
+
+    await run(
+      `UPDATE conversation_sessions SET updated_at = ?, last_activity_at = ? WHERE id = ?`,
+      [now, now, message.session_id]
+    );
+
+    eventBus.publish('message.updated', message.session_id, {
+      messageId,
+      changes: { text: finalText, metadata: finalMetadata, status: 'complete' }
+    });
+
+    if (finalText) {
+      await processCompletedMessage({
+        messageId,
+        sessionId: message.session_id,
+        text: finalText,
+        sender: message.role
+      });
+    }
+
+    console.log(`✅ [MESSAGE] Streaming message ${messageId} finished (${finalText.length} chars)`);
+
+    return {
+      messageId,
+      message: {
+        id: messageId,
+        sessionId: message.session_id,
+        text: finalText,
+        sender: message.role,
+        metadata: finalMetadata,
+        status: 'complete'
+      }
+    };
+  } catch (error) {
+    console.error('❌ [MESSAGE] Finish failed:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stop a streaming message without extraction or embedding
+ * The partial text is kept (status: aborted) unless keepPartial is false.
+ */
+async function abortMessage(payload) {
+  const { messageId, reason = 'aborted', keepPartial = true } = payload;
+
+  if (!messageId) {
+    throw new Error('messageId is required');
+  }
+
+  try {
+    const message = await getStreamingMessage(messageId);
+
+    if (!keepPartial) {
+      await deleteMessage({ messageId, permanent: true });
+      console.log(`🗑️ [MESSAGE] Streaming message ${messageId} aborted and discarded`);
+      return { messageId, status: 'deleted', reason };
+    }
+
+    const metadata = { ...JSON.parse(message.metadata || '{}'), abortReason: reason };
+    await run(
+      `UPDATE conversation_messages SET status = 'aborted', metadata = ?, updated_at = ? WHERE id = ?`,
+      [JSON.stringify(metadata), new Date().toISOString(), messageId]
+    );
+    keywordIndex.markDirty();
+
+    console.log(`⚠️ [MESSAGE] Streaming message ${messageId} aborted: ${reason}`);
+    eventBus.publish('message.updated', message.session_id, {
+      messageId,
+      changes: { metadata, status: 'aborted' }
+    });
+    return { messageId, status: 'aborted', reason };
+  } catch (error) {
+    console.error('❌ [MESSAGE] Abort failed:', error.message);
     throw error;
   }
 }
 
+/**
+ * Mark streams with no append for maxIdleMs as interrupted
+ * Their text is kept; message.append resumes them and message.finish completes them.
+ */
+async function interruptStaleStreams({ maxIdleMs }) {
+  const cutoff = new Date(Date.now() - maxIdleMs).toISOString();
+  const stale = await query(
+    `UPDATE conversation_messages SET status = 'interrupted'
+     WHERE status = 'streaming' AND updated_at < ?
+     RETURNING id, session_id`,
+    [cutoff]
+  );
+  for (const row of stale) {
+    eventBus.publish('message.updated', row.session_id, {
+      messageId: row.id,
+      changes: { status: 'interrupted' }
+    });
+  }
+  return { interrupted: stale.map(row => ({ messageId: row.id, sessionId: row.session_id })), count: stale.length };
+}
+
+/**
+ * Streamed messages that were never finished (e.g. the service or the client restarted)
+ */
+async function listUnfinishedMessages(payload = {}) {
+  const { sessionId } = payload;
+  const rows = await query(
+    `SELECT id, session_id, role, length(content) AS length, status, created_at, updated_at
+     FROM conversation_messages
+     WHERE status IN ('streaming', 'interrupted') AND deleted_at IS NULL ${sessionId ? 'AND session_id = ?' : ''}
+     ORDER BY created_at ASC`,
+    sessionId ? [sessionId] : []
+  );
+  return {
+    messages: rows.map(row => ({
+      id: row.id,
+      sessionId: row.session_id,
+      sender: row.role,
+      length: Number(row.length),
+      status: row.status,
+      timestamp: row.created_at,
+      updatedAt: row.updated_at
+    })),
+    count: rows.length
+  };
+}
+
 module.exports = {
   addMessage,
   listMessages,
   getMessage,
   updateMessage,
-  deleteMessage
+  getMessageHistory,
+  deleteMessage,
+  purgeMessage,
+  restoreMessage,
+  regenerateMessage,
+  beginMessage,
+  appendMessage,
+  finishMessage,
+  abortMessage,
+  interruptStaleStreams,
+  listUnfinishedMessages
 };
@@ -0,0 +1,100 @@
+/**
+ * Profile Handlers
+ * Business logic for the cross-session user profile
+ */
+
+const { query } = require('../database/connection.cjs');
+const userProfile = require('../services/userProfile.cjs');
+const { normalizeContextKey } = require('../services/contextExtractor.cjs');
+const { currentContextCondition } = require('./contextHandler.cjs');
+
+/**
+ * The whole profile, or one entry with key
+ */
+async function getProfile(payload = {}) {
+  const { key } = payload;
+
+  if (key !== undefined) {
+    const entry = await userProfile.get(key);
+    if (!entry) {
+      throw new Error(`Profile key not found: ${key}`);
+    }
+    return { entry };
+  }
+
+  const profile = await userProfile.get();
+  return { profile, count: profile.length };
+}
+
+/**
+ * Set a profile value directly (user-confirmed)
+ * sessionId and messageId optionally record where the user said it.
+ */
+async function setProfile(payload) {
+  const { key, value, confidence = 1.0, sessionId = null, messageId = null } = payload;
+
+  if (!normalizeContextKey(key) || value === undefined || value === null || value === '') {
+    throw new Error('key and value are required');
+  }
+
+  const entry = await userProfile.put(key, value, {
+    confidence,
+    origin: 'user',
+    userConfirmed: true,
+    source: { sessionId, messageId }
+  });
+  return { entry };
+}
+
+/**
+ * Remove key (or keys) from the profile; session facts are left alone
+ */
+async function forgetProfile(payload) {
+  const { key, keys } = payload;
+  const requested = keys || (key !== undefined ? [key] : null);
+
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new Error('key or keys is required');
+  }
+
+  const forgotten = await userProfile.forget(requested);
+  return { forgotten, count: forgotten.length };
+}
+
+/**
+ * Promote a session fact to the profile, whatever its confidence
+ * Pass contextId, or sessionId and key for the session's current fact.
+ */
+async function promoteToProfile(payload) {
+  const { contextId, sessionId, key } = payload;
+
+  let id = contextId;
+  if (!id) {
+    if (!sessionId || !key) {
+      throw new Error('contextId, or sessionId and key, is required');
+    }
+    const rows = await query(
+      `SELECT id FROM session_context c
+       WHERE session_id = ? AND context_type = 'fact' AND context_key = ? AND deleted_at IS NULL
+         AND ${currentContextCondition('c')}`,
+      [sessionId, normalizeContextKey(key)]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Fact not found in session ${sessionId}: ${key}`);
+    }
+    id = rows[0].id;
+  }
+
+  const entry = await userProfile.promoteContext(id);
+  if (!entry) {
+    throw new Error(`Context item not found: ${id}`);
+  }
+  return { entry };
+}
+
+module.exports = {
+  getProfile,
+  setProfile,
+  forgetProfile,
+  promoteToProfile
+};
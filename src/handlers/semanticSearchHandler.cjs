@@ -4,41 +4,25 @@
  */
 
 const { query } = require('../database/connection.cjs');
-const axios = require('axios');
+const { customAlphabet } = require('nanoid');
+const { shouldChunk, chunkText } = require('../services/messageChunker.cjs');
+const keywordIndex = require('../services/keywordIndex.cjs');
+const embeddingService = require('../services/embeddingService.cjs');
+const vectorStore = require('../services/vectorStore.cjs');
 
-// PHI4 service endpoint for embeddings
-const PHI4_ENDPOINT = process.env.PHI4_ENDPOINT || 'http://127.0.0.1:3003';
-const PHI4_API_KEY = process.env.PHI4_API_KEY;
+const nanoid = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 12);
+
+const SEARCH_MODES = ['semantic', 'keyword', 'hybrid'];
+const RRF_K = 60; // Standard reciprocal-rank fusion damping constant
+const CANDIDATES = 50; // Per-ranker candidates before fusion
 
 /**
- * Generate embedding for a text using phi4 service
+ * Generate embedding for a text with the configured provider
+ * Returns { embedding, model, provider, fallback }.
  */
-async function generateEmbedding(text) {
+async function embedText(text) {
   try {
-    const response = await axios.post(
-      `${PHI4_ENDPOINT}/embedding.generate`,
-      {
-        version: 'mcp.v1',
-        service: 'phi4',
-        action: 'embedding.generate',
-        requestId: `req_${Date.now()}_${Math.random().toString(36).substring(7)}`,
-        payload: {
-          text,
-          options: {
-            normalize: true,
-            pooling: 'mean'
-          }
-        }
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': PHI4_API_KEY
-        }
-      }
-    );
-
-    return response.data.data.embedding;
+    return await embeddingService.embed(text);
   } catch (error) {
     console.error('❌ [SEMANTIC] Embedding generation failed:', error.message);
     throw new Error(`Failed to generate embedding: ${error.message}`);
@@ -46,40 +30,71 @@ async function generateEmbedding(text) {
 }
 
 /**
- * Calculate cosine similarity between two vectors
+ * Generate embedding vector for a text
  */
-function cosineSimilarity(vecA, vecB) {
-  if (vecA.length !== vecB.length) {
-    throw new Error('Vectors must have the same length');
-  }
-
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
+async function generateEmbedding(text) {
+  const { embedding } = await embedText(text);
+  return embedding;
+}
 
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
+/**
+ * Columns for a search result row. Similarity is computed in DuckDB and only
+ * against embeddings produced by the query's model.
+ */
+function resultColumns(hasQueryEmbedding) {
+  const similarity = hasQueryEmbedding
+    ? `CASE WHEN embedding_model = ? THEN array_cosine_similarity(embedding, ?::${vectorStore.VECTOR_TYPE}) ELSE 0 END`
+    : '0';
+  return `id, session_id, content, role, created_at, metadata,
+          ${similarity} AS similarity,
+          embedding IS NOT NULL AS has_embedding`;
+}
 
-  normA = Math.sqrt(normA);
-  normB = Math.sqrt(normB);
+function toSearchResult(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    text: row.content,
+    sender: row.role,
+    timestamp: row.created_at,
+    metadata: JSON.parse(row.metadata || '{}'),
+    similarity: Number(row.similarity) || 0,
+    chunk: null,
+    hasEmbedding: !!row.has_embedding
+  };
+}
 
-  if (normA === 0 || normB === 0) {
-    return 0;
+/**
+ * Fuse ranked lists with reciprocal-rank fusion: score = sum(1 / (k + rank))
+ */
+function reciprocalRankFusion(rankedLists, k = RRF_K) {
+  const scores = new Map();
+  for (const list of rankedLists) {
+    list.forEach((id, index) => {
+      scores.set(id, (scores.get(id) || 0) + 1 / (k + index + 1));
+    });
   }
-
-  return dotProduct / (normA * normB);
+  return scores;
 }
 
 /**
- * Search messages semantically using embeddings
+ * Search messages in a session
+ *
+ * Modes:
+ * - semantic: cosine similarity over message and chunk embeddings, ranked in DuckDB
+ * - keyword:  BM25 full-text ranking (exact identifiers, error codes, file names)
+ * - hybrid:   both, merged with reciprocal-rank fusion (default)
+ *
+ * Long messages are also matched through their chunks; when a chunk scores
+ * higher than the whole message, the hit carries the chunk and its offsets.
+ * If no query embedding can be generated, semantic and hybrid searches fall
+ * back to keyword-only.
  */
 async function searchMessages(payload) {
   const {
     sessionId,
     query: searchQuery,
+    mode = 'hybrid',
     limit = 5,
     minSimilarity = 0.5,
     includeRecent = 3 // Always include N most recent messages
@@ -89,88 +104,177 @@ async function searchMessages(payload) {
     throw new Error('sessionId and query are required');
   }
 
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Invalid search mode: ${mode} (expected ${SEARCH_MODES.join(', ')})`);
+  }
+
   try {
-    console.log(`🔍 [SEMANTIC] Searching messages for: "${searchQuery}"`);
-
-    // Generate embedding for the search query
-    const queryEmbedding = await generateEmbedding(searchQuery);
-
-    // Get all messages from the session
-    const messages = await query(
-      `SELECT id, session_id, content, role, created_at, metadata, embedding 
-       FROM conversation_messages 
-       WHERE session_id = ? 
-       ORDER BY created_at DESC`,
-      [sessionId]
+    console.log(`🔍 [SEMANTIC] Searching messages (${mode}) for: "${searchQuery}"`);
+
+    // Generate embedding for the search query, falling back to keyword-only without one
+    let queryEmbedding = null;
+    let embeddingModel = null;
+    let fallbackReason = null;
+    if (mode !== 'keyword') {
+      try {
+        ({ embedding: queryEmbedding, model: embeddingModel } = await embedText(searchQuery));
+      } catch (error) {
+        fallbackReason = error.message;
+        console.warn('⚠️ [SEMANTIC] No query embedding, falling back to keyword search');
+      }
+    }
+    const method = queryEmbedding ? mode : 'keyword';
+    const similarityParams = queryEmbedding
+      ? [embeddingModel, vectorStore.toVectorParam(queryEmbedding)]
+      : [];
+
+    const totals = await query(
+      `SELECT COUNT(*) as total,
+              COUNT(*) FILTER (WHERE embedding IS NOT NULL AND embedding_model = ?) as embedded
+       FROM conversation_messages WHERE session_id = ? AND deleted_at IS NULL`,
+      [embeddingModel, sessionId]
     );
+    const totalMessages = parseInt(totals[0]?.total) || 0;
 
-    if (messages.length === 0) {
+    if (totalMessages === 0) {
       return {
         messages: [],
         count: 0,
         searchQuery,
-        method: 'semantic'
+        method,
+        fallback: !!fallbackReason
       };
     }
 
-    // Calculate similarity scores for messages with embeddings
-    const scoredMessages = messages
-      .map(msg => {
-        // Parse embedding if it exists
-        let embedding = null;
-        if (msg.embedding) {
-          try {
-            embedding = typeof msg.embedding === 'string' 
-              ? JSON.parse(msg.embedding) 
-              : msg.embedding;
-          } catch (e) {
-            console.warn(`⚠️ [SEMANTIC] Failed to parse embedding for message ${msg.id}`);
-          }
-        }
+    // Recent messages are always included; ranked matches skip them to avoid duplicates
+    const recentRows = await query(
+      `SELECT ${resultColumns(!!queryEmbedding)}
+       FROM conversation_messages
+       WHERE session_id = ? AND deleted_at IS NULL
+       ORDER BY created_at DESC
+       LIMIT ?`,
+      [...similarityParams, sessionId, includeRecent]
+    );
+    const recentMessages = recentRows.map(toSearchResult);
+    const recentIds = new Set(recentMessages.map(msg => msg.id));
+    const candidateLimit = CANDIDATES + recentIds.size;
+    const matchLimit = Math.max(0, limit - includeRecent);
 
-        // Calculate similarity if embedding exists
-        const similarity = embedding 
-          ? cosineSimilarity(queryEmbedding, embedding)
-          : 0;
-
-        return {
-          id: msg.id,
-          sessionId: msg.session_id,
-          text: msg.content,
-          sender: msg.role,
-          timestamp: msg.created_at,
-          metadata: JSON.parse(msg.metadata || '{}'),
-          similarity,
-          hasEmbedding: !!embedding
-        };
+    // Semantic candidates: whole-message and best-chunk similarity, keeping the stronger
+    const semanticById = new Map();
+    let chunksSearched = 0;
+    if (method !== 'keyword') {
+      const messageHits = await vectorStore.searchMessageVectors(queryEmbedding, embeddingModel, {
+        sessionId, minSimilarity, limit: candidateLimit
       });
+      for (const hit of messageHits) {
+        semanticById.set(hit.id, { similarity: hit.similarity, chunk: null });
+      }
 
-    // Separate recent messages (always include) and semantic matches
-    const recentMessages = scoredMessages.slice(0, includeRecent);
-    const semanticMatches = scoredMessages
-      .slice(includeRecent) // Skip recent messages to avoid duplicates
-      .filter(msg => msg.similarity >= minSimilarity)
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit - includeRecent);
+      const chunkHits = await vectorStore.searchChunkVectors(queryEmbedding, embeddingModel, {
+        sessionId, minSimilarity, limit: candidateLimit
+      });
+      for (const hit of chunkHits) {
+        const current = semanticById.get(hit.messageId);
+        if (!current || hit.similarity > current.similarity) {
+          semanticById.set(hit.messageId, { similarity: hit.similarity, chunk: hit.chunk });
+        }
+      }
+
+      const chunkTotals = await query(
+        `SELECT COUNT(*) as count FROM session_message_chunks
+         WHERE session_id = ? AND embedding IS NOT NULL AND embedding_model = ?`,
+        [sessionId, embeddingModel]
+      );
+      chunksSearched = parseInt(chunkTotals[0]?.count) || 0;
+    }
+    const semanticRanked = Array.from(semanticById.entries())
+      .filter(([id]) => !recentIds.has(id))
+      .sort((a, b) => b[1].similarity - a[1].similarity)
+      .map(([id]) => id);
+
+    const keywordScores = new Map();
+    if (method !== 'semantic') {
+      const keywordHits = await keywordIndex.search(searchQuery, { sessionId, limit: candidateLimit });
+      for (const hit of keywordHits) {
+        if (!recentIds.has(hit.id)) keywordScores.set(hit.id, hit.score);
+      }
+    }
+    const keywordRanked = Array.from(keywordScores.keys());
+
+    let ranked;
+    if (method === 'hybrid') {
+      const fused = reciprocalRankFusion([semanticRanked, keywordRanked]);
+      ranked = Array.from(fused.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, matchLimit)
+        .map(([id, fusedScore]) => {
+          const inSemantic = semanticById.has(id);
+          const inKeyword = keywordScores.has(id);
+          let reason = 'hybrid';
+          if (!inKeyword) reason = semanticById.get(id).chunk ? 'semantic_chunk' : 'semantic';
+          else if (!inSemantic) reason = 'keyword';
+          return { id, keywordScore: keywordScores.get(id) ?? null, fusedScore, reason };
+        });
+    } else if (method === 'keyword') {
+      ranked = keywordRanked
+        .slice(0, matchLimit)
+        .map(id => ({ id, keywordScore: keywordScores.get(id), reason: 'keyword' }));
+    } else {
+      ranked = semanticRanked
+        .slice(0, matchLimit)
+        .map(id => ({ id, reason: semanticById.get(id).chunk ? 'semantic_chunk' : 'semantic' }));
+    }
 
-    // Combine: recent messages + semantic matches
+    // Load only the rows that made the cut
+    let matches = [];
+    if (ranked.length > 0) {
+      const rows = await query(
+        `SELECT ${resultColumns(!!queryEmbedding)}
+         FROM conversation_messages
+         WHERE id IN (${ranked.map(() => '?').join(', ')})`,
+        [...similarityParams, ...ranked.map(match => match.id)]
+      );
+      const rowsById = new Map(rows.map(row => [row.id, toSearchResult(row)]));
+
+      matches = ranked
+        .filter(match => rowsById.has(match.id))
+        .map(match => {
+          const msg = rowsById.get(match.id);
+          const semantic = semanticById.get(match.id);
+          return {
+            ...msg,
+            ...(semantic && { similarity: semantic.similarity, chunk: semantic.chunk, hasEmbedding: true }),
+            ...match
+          };
+        });
+    }
+
+    // Combine: recent messages + ranked matches
     const combinedMessages = [
       ...recentMessages.map(msg => ({ ...msg, reason: 'recent' })),
-      ...semanticMatches.map(msg => ({ ...msg, reason: 'semantic' }))
+      ...matches
     ];
 
-    console.log(`✅ [SEMANTIC] Found ${combinedMessages.length} messages (${recentMessages.length} recent, ${semanticMatches.length} semantic)`);
+    console.log(`✅ [SEMANTIC] Found ${combinedMessages.length} messages (${recentMessages.length} recent, ${matches.length} ${method})`);
 
     return {
       messages: combinedMessages,
       count: combinedMessages.length,
       searchQuery,
-      method: 'semantic',
+      method,
+      embeddingModel,
+      fallback: !!fallbackReason,
+      ...(fallbackReason && { fallbackReason }),
       stats: {
-        totalMessages: messages.length,
+        totalMessages,
         recentCount: recentMessages.length,
-        semanticCount: semanticMatches.length,
-        messagesWithEmbeddings: scoredMessages.filter(m => m.hasEmbedding).length
+        semanticCount: semanticRanked.length,
+        keywordCount: keywordRanked.length,
+        matchCount: matches.length,
+        chunkMatchCount: matches.filter(m => m.chunk).length,
+        chunksSearched,
+        messagesWithEmbeddings: parseInt(totals[0]?.embedded) || 0
       }
     };
   } catch (error) {
@@ -184,24 +288,76 @@ async function searchMessages(payload) {
  */
 async function storeMessageEmbedding(messageId, text) {
   try {
-    const embedding = await generateEmbedding(text);
+    const { embedding, model } = await embedText(text);
     
     const { run } = require('../database/connection.cjs');
     await run(
-      `UPDATE conversation_messages SET embedding = ? WHERE id = ?`,
-      [JSON.stringify(embedding), messageId]
+      `UPDATE conversation_messages SET embedding = ?::${vectorStore.VECTOR_TYPE}, embedding_model = ? WHERE id = ?`,
+      [vectorStore.toVectorParam(embedding), model, messageId]
     );
 
-    console.log(`✅ [SEMANTIC] Stored embedding for message ${messageId}`);
-    return { success: true, messageId };
+    console.log(`✅ [SEMANTIC] Stored ${model} embedding for message ${messageId}`);
+    return { success: true, messageId, embeddingModel: model };
   } catch (error) {
     console.error('❌ [SEMANTIC] Failed to store embedding:', error);
     throw error;
   }
 }
 
+/**
+ * Split a long message into overlapping chunks and store each with its own embedding
+ */
+async function storeMessageChunks(messageId, sessionId, text) {
+  if (!shouldChunk(text)) {
+    return { success: true, messageId, chunkCount: 0 };
+  }
+
+  const { run } = require('../database/connection.cjs');
+
+  try {
+    const chunks = chunkText(text);
+    const now = new Date().toISOString();
+
+    // Replace any chunks from a previous version of the message
+    await run(`DELETE FROM session_message_chunks WHERE message_id = ?`, [messageId]);
+
+    for (const chunk of chunks) {
+      await run(
+        `INSERT INTO session_message_chunks
+         (id, session_id, message_id, chunk_index, chunk_text, start_offset, end_offset, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [`chunk_${Date.now()}_${nanoid()}`, sessionId, messageId, chunk.index, chunk.text, chunk.startOffset, chunk.endOffset, now]
+      );
+    }
+
+    // Embed chunks one at a time; a failed chunk stays searchable via the parent message
+    let embedded = 0;
+    for (const chunk of chunks) {
+      try {
+        const { embedding, model } = await embedText(chunk.text);
+        await run(
+          `UPDATE session_message_chunks SET embedding = ?::${vectorStore.VECTOR_TYPE}, embedding_model = ?
+           WHERE message_id = ? AND chunk_index = ?`,
+          [vectorStore.toVectorParam(embedding), model, messageId, chunk.index]
+        );
+        embedded++;
+      } catch (error) {
+        console.warn(`⚠️ [SEMANTIC] Failed to embed chunk ${chunk.index} of ${messageId}:`, error.message);
+      }
+    }
+
+    console.log(`✅ [SEMANTIC] Stored ${chunks.length} chunks (${embedded} embedded) for message ${messageId}`);
+    return { success: true, messageId, chunkCount: chunks.length, embeddedCount: embedded };
+  } catch (error) {
+    console.error('❌ [SEMANTIC] Failed to store chunks:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   searchMessages,
   storeMessageEmbedding,
+  storeMessageChunks,
+  embedText,
   generateEmbedding
 };
@@ -4,44 +4,95 @@
  * Ported from ConversationSessionAgent.cjs
  */
 
-const { query, run } = require('../database/connection.cjs');
+const { query, run, transaction } = require('../database/connection.cjs');
 const { customAlphabet } = require('nanoid');
+const keywordIndex = require('../services/keywordIndex.cjs');
+const { removeJobs } = require('../services/embeddingQueue.cjs');
+const eventBus = require('../services/eventBus.cjs');
+const { getActiveLeafId, findLeaf } = require('../services/messageTree.cjs');
+const sessionSummarizer = require('../services/sessionSummarizer.cjs');
+const sessionTitler = require('../services/sessionTitler.cjs');
+const userProfile = require('../services/userProfile.cjs');
+const { currentContextCondition } = require('./contextHandler.cjs');
 
 const nanoid = customAlphabet('abcdefghijklmnopqrstuvwxyz0123456789', 12);
 
+// Title of a session until it is titled by the client or automatically
+const DEFAULT_TITLE = 'New Chat Session';
+
+/**
+ * title_source for a title given by the client: the placeholder (or none)
+ * leaves the session to be titled automatically
+ */
+function titleSourceFor(title) {
+  return title && title !== DEFAULT_TITLE ? 'user' : 'default';
+}
+
+// Hibernation snapshot sizes
+const HIBERNATION_RECENT_MESSAGES = 10;
+const HIBERNATION_TOP_ENTITIES = 10;
+const HIBERNATION_SNIPPET_LENGTH = 200;
+
+/**
+ * Load a session that is not in the trash
+ */
+async function requireSession(sessionId) {
+  const rows = await query(
+    `SELECT * FROM conversation_sessions WHERE id = ?`,
+    [sessionId]
+  );
+  if (rows.length === 0) {
+    throw new Error(`Session not found: ${sessionId}`);
+  }
+  if (rows[0].deleted_at) {
+    throw new Error(`Session ${sessionId} is in the trash; restore it with session.restore first`);
+  }
+  return rows[0];
+}
+
 /**
  * Create a new conversation session
+ * seedProfile (default PROFILE_SEED_SESSIONS) copies the user profile into
+ * contextData.profile as { key: value }; keys the caller passes there win.
  */
 async function createSession(payload) {
   const {
     sessionType = 'user-initiated',
-    title = 'New Chat Session',
+    title,
     triggerReason = 'manual',
     triggerConfidence = 0.0,
-    contextData = {},
     relatedMemories = [],
-    currentActivity = {}
+    currentActivity = {},
+    seedProfile = userProfile.seedSessions
   } = payload;
+  let { contextData = {} } = payload;
 
   const sessionId = `session_${Date.now()}_${nanoid()}`;
   const now = new Date().toISOString();
+  const titleSource = titleSourceFor(title);
+  const sessionTitle = title || DEFAULT_TITLE;
 
   try {
+    if (seedProfile) {
+      contextData = { ...contextData, profile: { ...(await userProfile.seedData()), ...contextData.profile } };
+    }
+
     // Set all existing sessions to inactive
     await run(`UPDATE conversation_sessions SET is_active = false WHERE is_active = true`);
 
     // Insert new session
     await run(
       `INSERT INTO conversation_sessions (
-        id, type, title, trigger_reason, trigger_confidence,
+        id, type, title, title_source, trigger_reason, trigger_confidence,
         context_data, related_memories, current_activity,
         is_active, is_hibernated, hibernation_data, message_count,
         created_at, updated_at, last_activity_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         sessionId,
         sessionType,
-        title,
+        sessionTitle,
+        titleSource,
         triggerReason,
         triggerConfidence,
         JSON.stringify(contextData),
@@ -57,25 +108,27 @@ async function createSession(payload) {
       ]
     );
 
-    return {
-      sessionId,
-      session: {
-        id: sessionId,
-        type: sessionType,
-        title,
-        triggerReason,
-        triggerConfidence,
-        contextData,
-        relatedMemories,
-        currentActivity,
-        isActive: true,
-        isHibernated: false,
-        messageCount: 0,
-        createdAt: now,
-        updatedAt: now,
-        lastActivityAt: now
-      }
+    const session = {
+      id: sessionId,
+      type: sessionType,
+      title: sessionTitle,
+      titleSource,
+      triggerReason,
+      triggerConfidence,
+      contextData,
+      relatedMemories,
+      currentActivity,
+      isActive: true,
+      isHibernated: false,
+      messageCount: 0,
+      createdAt: now,
+      updatedAt: now,
+      lastActivityAt: now
     };
+
+    eventBus.publish('session.created', sessionId, { session });
+
+    return { sessionId, session };
   } catch (error) {
     console.error('❌ [SESSION] Create failed:', error);
     throw error;
@@ -95,7 +148,7 @@ async function listSessions(payload) {
   } = payload;
 
   try {
-    let sql = `SELECT * FROM conversation_sessions WHERE 1=1`;
+    let sql = `SELECT * FROM conversation_sessions WHERE deleted_at IS NULL`;
 
     if (!includeHibernated) {
       sql += ` AND is_hibernated = false`;
@@ -110,7 +163,7 @@ async function listSessions(payload) {
       sessions.map(async (session) => {
         // Get message count
         const countResult = await query(
-          `SELECT COUNT(*) as count FROM conversation_messages WHERE session_id = ?`,
+          `SELECT COUNT(*) as count FROM conversation_messages WHERE session_id = ? AND deleted_at IS NULL`,
           [session.id]
         );
         const messageCount = countResult[0]?.count || 0;
@@ -121,7 +174,7 @@ async function listSessions(payload) {
         if (messageCount > 0) {
           const lastMsgResult = await query(
             `SELECT content, created_at FROM conversation_messages 
-             WHERE session_id = ? ORDER BY created_at DESC LIMIT 1`,
+             WHERE session_id = ? AND deleted_at IS NULL ORDER BY created_at DESC LIMIT 1`,
             [session.id]
           );
           if (lastMsgResult[0]) {
@@ -134,6 +187,7 @@ async function listSessions(payload) {
           id: session.id,
           type: session.type,
           title: session.title,
+          titleSource: session.title_source,
           triggerReason: session.trigger_reason,
           triggerConfidence: session.trigger_confidence,
           contextData: JSON.parse(session.context_data || '{}'),
@@ -143,6 +197,7 @@ async function listSessions(payload) {
           isActive: session.is_active,
           isHibernated: session.is_hibernated,
           messageCount: parseInt(messageCount) || 0,
+          summary: await sessionSummarizer.getSummary(session.id),
           createdAt: session.created_at,
           updatedAt: session.updated_at,
           lastActivityAt: lastMessageTime || session.last_activity_at || session.created_at,
@@ -174,20 +229,11 @@ async function getSession(payload) {
   }
 
   try {
-    const sessions = await query(
-      `SELECT * FROM conversation_sessions WHERE id = ?`,
-      [sessionId]
-    );
-
-    if (sessions.length === 0) {
-      throw new Error(`Session not found: ${sessionId}`);
-    }
-
-    const session = sessions[0];
+    const session = await requireSession(sessionId);
 
     // Get message count
     const countResult = await query(
-      `SELECT COUNT(*) as count FROM conversation_messages WHERE session_id = ?`,
+      `SELECT COUNT(*) as count FROM conversation_messages WHERE session_id = ? AND deleted_at IS NULL`,
       [sessionId]
     );
     const messageCount = countResult[0]?.count || 0;
@@ -197,6 +243,7 @@ async function getSession(payload) {
         id: session.id,
         type: session.type,
         title: session.title,
+        titleSource: session.title_source,
         triggerReason: session.trigger_reason,
         triggerConfidence: session.trigger_confidence,
         contextData: JSON.parse(session.context_data || '{}'),
@@ -206,6 +253,8 @@ async function getSession(payload) {
         isActive: session.is_active,
         isHibernated: session.is_hibernated,
         messageCount: parseInt(messageCount) || 0,
+        activeLeafId: await getActiveLeafId(sessionId),
+        summary: await sessionSummarizer.getSummary(sessionId),
         createdAt: session.created_at,
         updatedAt: session.updated_at,
         lastActivityAt: session.last_activity_at
@@ -219,6 +268,8 @@ async function getSession(payload) {
 
 /**
  * Update a session
+ * A title set here is never replaced by a generated one; title: null restores
+ * the placeholder and lets the session be titled automatically again.
  */
 async function updateSession(payload) {
   const { sessionId, title, contextData, relatedMemories, currentActivity } = payload;
@@ -232,8 +283,8 @@ async function updateSession(payload) {
     const params = [];
 
     if (title !== undefined) {
-      updates.push('title = ?');
-      params.push(title);
+      updates.push('title = ?', 'title_source = ?');
+      params.push(title || DEFAULT_TITLE, titleSourceFor(title));
     }
     if (contextData !== undefined) {
       updates.push('context_data = ?');
@@ -252,6 +303,8 @@ async function updateSession(payload) {
       throw new Error('No fields to update');
     }
 
+    await requireSession(sessionId);
+
     updates.push('updated_at = ?');
     params.push(new Date().toISOString());
     params.push(sessionId);
@@ -261,6 +314,15 @@ async function updateSession(payload) {
       params
     );
 
+    eventBus.publish('session.updated', sessionId, {
+      changes: {
+        ...(title !== undefined && { title: title || DEFAULT_TITLE, titleSource: titleSourceFor(title) }),
+        contextData,
+        relatedMemories,
+        currentActivity
+      }
+    });
+
     return { success: true, sessionId };
   } catch (error) {
     console.error('❌ [SESSION] Update failed:', error);
@@ -270,8 +332,80 @@ async function updateSession(payload) {
 
 /**
  * Delete a session
+ * The session moves to the trash (restore with session.restore) until the
+ * purge job removes it after TRASH_RETENTION_DAYS; permanent: true removes it
+ * and everything derived from it right away.
  */
 async function deleteSession(payload) {
+  const { sessionId, permanent = false } = payload;
+
+  if (!sessionId) {
+    throw new Error('sessionId is required');
+  }
+
+  try {
+    const sessions = await query(
+      `SELECT id, deleted_at FROM conversation_sessions WHERE id = ?`,
+      [sessionId]
+    );
+    if (sessions.length === 0) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    if (permanent) {
+      await purgeSession(sessionId);
+      return { success: true, sessionId, permanent: true };
+    }
+
+    if (sessions[0].deleted_at) {
+      return { success: true, sessionId, permanent: false, deletedAt: sessions[0].deleted_at, alreadyDeleted: true };
+    }
+
+    const now = new Date().toISOString();
+    await run(
+      `UPDATE conversation_sessions SET deleted_at = ?, is_active = false, updated_at = ? WHERE id = ?`,
+      [now, now, sessionId]
+    );
+
+    console.log(`🗑️ [SESSION] Moved ${sessionId} to the trash`);
+    eventBus.publish('session.deleted', sessionId, { permanent: false, deletedAt: now });
+
+    return { success: true, sessionId, permanent: false, deletedAt: now };
+  } catch (error) {
+    console.error('❌ [SESSION] Delete failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently remove a session with its messages and everything derived from
+ * them: chunks, archived bodies, revisions, embedding jobs, facts, entities
+ * and undelivered webhook events
+ */
+async function purgeSession(sessionId) {
+  await run(`DELETE FROM conversation_messages WHERE session_id = ?`, [sessionId]);
+  keywordIndex.markDirty();
+  await run(`DELETE FROM session_message_archive WHERE session_id = ?`, [sessionId]);
+  await run(`DELETE FROM session_message_chunks WHERE session_id = ?`, [sessionId]);
+  await run(`DELETE FROM message_revisions WHERE session_id = ?`, [sessionId]);
+  await removeJobs({ sessionId });
+  await run(`DELETE FROM session_context WHERE session_id = ?`, [sessionId]);
+  await run(`DELETE FROM session_entities WHERE session_id = ?`, [sessionId]);
+  await run(`DELETE FROM entity_aliases WHERE session_id = ?`, [sessionId]);
+  await run(`DELETE FROM entity_mentions WHERE session_id = ?`, [sessionId]);
+  await run(`DELETE FROM session_summaries WHERE session_id = ?`, [sessionId]);
+  await run(`DELETE FROM webhook_deliveries WHERE session_id = ?`, [sessionId]);
+  await run(`DELETE FROM conversation_sessions WHERE id = ?`, [sessionId]);
+
+  console.log(`🗑️ [SESSION] Purged ${sessionId}`);
+  eventBus.publish('session.deleted', sessionId, { permanent: true });
+}
+
+/**
+ * Take a session out of the trash
+ * Messages deleted on their own before the session stay in the trash.
+ */
+async function restoreSession(payload) {
   const { sessionId } = payload;
 
   if (!sessionId) {
@@ -279,15 +413,28 @@ async function deleteSession(payload) {
   }
 
   try {
-    // Delete messages first
-    await run(`DELETE FROM conversation_messages WHERE session_id = ?`, [sessionId]);
+    const now = new Date().toISOString();
+    const restored = await query(
+      `UPDATE conversation_sessions SET deleted_at = NULL, updated_at = ?
+       WHERE id = ? AND deleted_at IS NOT NULL
+       RETURNING id`,
+      [now, sessionId]
+    );
+
+    if (restored.length === 0) {
+      await requireSession(sessionId);
+      throw new Error(`Session ${sessionId} is not in the trash`);
+    }
 
-    // Delete session
-    await run(`DELETE FROM conversation_sessions WHERE id = ?`, [sessionId]);
+    console.log(`♻️ [SESSION] Restored ${sessionId} from the trash`);
+    eventBus.publish('session.updated', sessionId, {
+      changes: { deletedAt: null },
+      reason: 'restore'
+    });
 
     return { success: true, sessionId };
   } catch (error) {
-    console.error('❌ [SESSION] Delete failed:', error);
+    console.error('❌ [SESSION] Restore failed:', error);
     throw error;
   }
 }
@@ -303,12 +450,23 @@ async function switchSession(payload) {
   }
 
   try {
+    await requireSession(sessionId);
+
     // Set all sessions to inactive
-    await run(`UPDATE conversation_sessions SET is_active = false WHERE is_active = true`);
+    const previous = await query(
+      `UPDATE conversation_sessions SET is_active = false WHERE is_active = true RETURNING id`
+    );
 
     // Set target session to active
     await run(`UPDATE conversation_sessions SET is_active = true WHERE id = ?`, [sessionId]);
 
+    // Switching to a hibernated session brings it back
+    await wakeSessionIfHibernated(sessionId);
+
+    eventBus.publish('session.switched', sessionId, {
+      previousSessionId: previous.map(row => row.id).find(id => id !== sessionId) || null
+    });
+
     return { success: true, sessionId };
   } catch (error) {
     console.error('❌ [SESSION] Switch failed:', error);
@@ -316,11 +474,352 @@ async function switchSession(payload) {
   }
 }
 
+function truncate(text, length = HIBERNATION_SNIPPET_LENGTH) {
+  if (!text) return '';
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+/**
+ * Build a short extractive summary from a session's messages
+ */
+function buildHibernationSummary(session, messages) {
+  if (messages.length === 0) {
+    return `${session.title || 'Untitled session'} (no messages)`;
+  }
+
+  const firstUser = messages.find(m => m.role === 'user') || messages[0];
+  const last = messages[messages.length - 1];
+
+  const parts = [
+    `${session.title || 'Untitled session'}: ${messages.length} messages`,
+    `Started with: "${truncate(firstUser.content)}"`
+  ];
+  if (last.id !== firstUser.id) {
+    parts.push(`Last ${last.role} message: "${truncate(last.content)}"`);
+  }
+  return parts.join('. ');
+}
+
+/**
+ * Select the branch a session shows
+ * messageId can be any message: the newest leaf below it becomes the active
+ * leaf, so picking a sibling shows that sibling's latest continuation.
+ */
+async function setBranch(payload) {
+  const { sessionId, messageId } = payload;
+
+  if (!sessionId || !messageId) {
+    throw new Error('sessionId and messageId are required');
+  }
+
+  try {
+    await requireSession(sessionId);
+
+    const messages = await query(
+      `SELECT session_id FROM conversation_messages WHERE id = ? AND deleted_at IS NULL`,
+      [messageId]
+    );
+    if (messages.length === 0 || messages[0].session_id !== sessionId) {
+      throw new Error(`Message not found in session ${sessionId}: ${messageId}`);
+    }
+
+    const activeLeafId = await findLeaf(messageId);
+    await run(
+      `UPDATE conversation_sessions SET active_leaf_id = ?, updated_at = ? WHERE id = ?`,
+      [activeLeafId, new Date().toISOString(), sessionId]
+    );
+
+    eventBus.publish('session.updated', sessionId, {
+      changes: { activeLeafId },
+      reason: 'branch'
+    });
+
+    return { success: true, sessionId, activeLeafId };
+  } catch (error) {
+    console.error('❌ [SESSION] Set branch failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Hibernate a session
+ * Compacts it into hibernation_data and optionally offloads message bodies
+ * to session_message_archive.
+ */
+async function hibernateSession(payload) {
+  const {
+    sessionId,
+    offloadMessages = false,
+    recentMessageCount = HIBERNATION_RECENT_MESSAGES,
+    reason = 'manual'
+  } = payload;
+
+  if (!sessionId) {
+    throw new Error('sessionId is required');
+  }
+
+  try {
+    const session = await requireSession(sessionId);
+    if (session.is_hibernated) {
+      return { success: true, sessionId, alreadyHibernated: true };
+    }
+
+    const messages = await query(
+      `SELECT id, role, content, created_at FROM conversation_messages
+       WHERE session_id = ? AND deleted_at IS NULL ORDER BY created_at ASC`,
+      [sessionId]
+    );
+
+    const entities = await query(
+      `SELECT entity_type, entity_value, mention_count FROM session_entities
+       WHERE session_id = ?
+       ORDER BY mention_count DESC, last_mentioned_at DESC
+       LIMIT ?`,
+      [sessionId, HIBERNATION_TOP_ENTITIES]
+    );
+
+    const contextRows = await query(
+      `SELECT context_data FROM session_context c
+       WHERE session_id = ? AND context_type = 'fact' AND deleted_at IS NULL AND ${currentContextCondition('c')}
+       ORDER BY created_at DESC`,
+      [sessionId]
+    );
+
+    const facts = contextRows
+      .map(row => {
+        try {
+          const { key, value, confidence } = JSON.parse(row.context_data || '{}');
+          return { key, value, confidence };
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    const now = new Date().toISOString();
+    const hibernationData = {
+      summary: buildHibernationSummary(session, messages),
+      topEntities: entities.map(e => ({
+        type: e.entity_type,
+        value: e.entity_value,
+        mentionCount: Number(e.mention_count)
+      })),
+      facts,
+      recentMessages: messages.slice(-recentMessageCount).map(m => ({
+        id: m.id,
+        sender: m.role,
+        text: m.content,
+        timestamp: m.created_at
+      })),
+      messageCount: messages.length,
+      offloaded: offloadMessages,
+      reason,
+      hibernatedAt: now
+    };
+
+    // Offloaded bodies are only blanked together with the flag that lets wake restore them
+    const offload = offloadMessages && messages.length > 0;
+    await transaction(async (tx) => {
+      if (offload) {
+        await tx.run(
+          `INSERT INTO session_message_archive (message_id, session_id, content, archived_at)
+           SELECT id, session_id, content, ? FROM conversation_messages WHERE session_id = ?`,
+          [now, sessionId]
+        );
+        await tx.run(
+          `UPDATE conversation_messages SET content = '' WHERE session_id = ?`,
+          [sessionId]
+        );
+      }
+
+      await tx.run(
+        `UPDATE conversation_sessions
+         SET is_hibernated = true, is_active = false, hibernation_data = ?, updated_at = ?
+         WHERE id = ?`,
+        [JSON.stringify(hibernationData), now, sessionId]
+      );
+    });
+    if (offload) {
+      keywordIndex.markDirty();
+    }
+
+    console.log(`💤 [SESSION] Hibernated ${sessionId} (${messages.length} messages, offloaded: ${offloadMessages})`);
+    eventBus.publish('session.updated', sessionId, {
+      changes: { isHibernated: true, isActive: false },
+      reason: `hibernate:${reason}`
+    });
+
+    return { success: true, sessionId, hibernationData };
+  } catch (error) {
+    console.error('❌ [SESSION] Hibernate failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Wake a hibernated session
+ * Restores offloaded message bodies and clears hibernation_data.
+ */
+async function wakeSession(payload) {
+  const { sessionId } = payload;
+
+  if (!sessionId) {
+    throw new Error('sessionId is required');
+  }
+
+  try {
+    const sessions = await query(
+      `SELECT id, is_hibernated FROM conversation_sessions WHERE id = ?`,
+      [sessionId]
+    );
+
+    if (sessions.length === 0) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    if (!sessions[0].is_hibernated) {
+      return { success: true, sessionId, wasHibernated: false, restoredMessages: 0 };
+    }
+
+    const archived = await query(
+      `SELECT COUNT(*) as count FROM session_message_archive WHERE session_id = ?`,
+      [sessionId]
+    );
+    const restoredMessages = parseInt(archived[0]?.count) || 0;
+
+    const now = new Date().toISOString();
+    await transaction(async (tx) => {
+      if (restoredMessages > 0) {
+        await tx.run(
+          `UPDATE conversation_messages
+           SET content = a.content
+           FROM session_message_archive a
+           WHERE conversation_messages.id = a.message_id AND a.session_id = ?`,
+          [sessionId]
+        );
+        await tx.run(`DELETE FROM session_message_archive WHERE session_id = ?`, [sessionId]);
+      }
+
+      await tx.run(
+        `UPDATE conversation_sessions
+         SET is_hibernated = false, hibernation_data = '{}', updated_at = ?, last_activity_at = ?
+         WHERE id = ?`,
+        [now, now, sessionId]
+      );
+    });
+    if (restoredMessages > 0) {
+      keywordIndex.markDirty();
+    }
+
+    console.log(`☀️ [SESSION] Woke ${sessionId} (restored ${restoredMessages} messages)`);
+    eventBus.publish('session.updated', sessionId, {
+      changes: { isHibernated: false },
+      reason: 'wake'
+    });
+
+    return { success: true, sessionId, wasHibernated: true, restoredMessages };
+  } catch (error) {
+    console.error('❌ [SESSION] Wake failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fold the messages not yet covered into the session's rolling summary
+ * rebuild: true summarizes the active branch from scratch.
+ */
+async function summarizeSession(payload) {
+  const { sessionId, rebuild = false } = payload;
+
+  if (!sessionId) {
+    throw new Error('sessionId is required');
+  }
+
+  try {
+    await requireSession(sessionId);
+    return await sessionSummarizer.summarize(sessionId, { rebuild });
+  } catch (error) {
+    console.error('❌ [SESSION] Summarize failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate a title from the session's opening messages
+ * Titles set by the user or imported are kept (updated: false).
+ */
+async function autotitleSession(payload) {
+  const { sessionId } = payload;
+
+  if (!sessionId) {
+    throw new Error('sessionId is required');
+  }
+
+  try {
+    await requireSession(sessionId);
+    return await sessionTitler.autotitle(sessionId);
+  } catch (error) {
+    console.error('❌ [SESSION] Autotitle failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Wake a session only if it is currently hibernated (used on new activity)
+ */
+async function wakeSessionIfHibernated(sessionId) {
+  const rows = await query(
+    `SELECT is_hibernated FROM conversation_sessions WHERE id = ?`,
+    [sessionId]
+  );
+  if (rows[0]?.is_hibernated) {
+    return wakeSession({ sessionId });
+  }
+  return null;
+}
+
+/**
+ * Hibernate sessions idle for longer than maxIdleMs
+ * The active session is never auto-hibernated.
+ */
+async function hibernateIdleSessions({ maxIdleMs, offloadMessages = false }) {
+  const cutoff = new Date(Date.now() - maxIdleMs).toISOString();
+
+  const idle = await query(
+    `SELECT id FROM conversation_sessions
+     WHERE is_hibernated = false AND is_active = false AND deleted_at IS NULL AND last_activity_at < ?
+     ORDER BY last_activity_at ASC`,
+    [cutoff]
+  );
+
+  const hibernated = [];
+  for (const { id } of idle) {
+    try {
+      await hibernateSession({ sessionId: id, offloadMessages, reason: 'idle' });
+      hibernated.push(id);
+    } catch (error) {
+      console.warn(`⚠️ [SESSION] Auto-hibernate failed for ${id}:`, error.message);
+    }
+  }
+
+  return { hibernated, count: hibernated.length };
+}
+
 module.exports = {
   createSession,
   listSessions,
+  requireSession,
   getSession,
   updateSession,
   deleteSession,
-  switchSession
+  purgeSession,
+  restoreSession,
+  switchSession,
+  setBranch,
+  hibernateSession,
+  wakeSession,
+  wakeSessionIfHibernated,
+  hibernateIdleSessions,
+  summarizeSession,
+  autotitleSession
 };
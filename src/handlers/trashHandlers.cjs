@@ -0,0 +1,135 @@
+/**
+ * Trash Handlers
+ * Business logic for listing and purging deleted sessions and messages
+ */
+
+const { query } = require('../database/connection.cjs');
+const { purgeSession } = require('./sessionHandlers.cjs');
+const { purgeMessage } = require('./messageHandlers.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNIPPET_LENGTH = 200;
+
+// 0 keeps the trash until it is emptied by hand (permanent deletes)
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS ?? '30');
+
+function purgeAt(deletedAt) {
+  if (!(TRASH_RETENTION_DAYS > 0)) return null;
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * List what is in the trash, most recently deleted first
+ * type: 'session' or 'message' lists only that kind; sessionId limits
+ * messages to one session. Messages of a trashed session are not listed
+ * separately: they come back with session.restore.
+ */
+async function listTrash(payload = {}) {
+  const { type, sessionId, limit = 50 } = payload;
+
+  if (type !== undefined && !['session', 'message'].includes(type)) {
+    throw new Error(`Invalid type: ${type} (expected session or message)`);
+  }
+
+  try {
+    const sessions = type === 'message' || sessionId
+      ? []
+      : await query(
+        `SELECT s.id, s.type, s.title, s.deleted_at, s.created_at, COUNT(m.id) AS message_count
+         FROM conversation_sessions s
+         LEFT JOIN conversation_messages m ON m.session_id = s.id AND m.deleted_at IS NULL
+         WHERE s.deleted_at IS NOT NULL
+         GROUP BY ALL
+         ORDER BY s.deleted_at DESC
+         LIMIT ?`,
+        [limit]
+      );
+
+    const messages = type === 'session'
+      ? []
+      : await query(
+        `SELECT m.id, m.session_id, m.parent_id, m.role, m.content, m.created_at, m.deleted_at, s.title
+         FROM conversation_messages m
+         JOIN conversation_sessions s ON s.id = m.session_id
+         WHERE m.deleted_at IS NOT NULL AND s.deleted_at IS NULL ${sessionId ? 'AND m.session_id = ?' : ''}
+         ORDER BY m.deleted_at DESC
+         LIMIT ?`,
+        sessionId ? [sessionId, limit] : [limit]
+      );
+
+    return {
+      sessions: sessions.map(row => ({
+        id: row.id,
+        type: row.type,
+        title: row.title,
+        messageCount: parseInt(row.message_count) || 0,
+        createdAt: row.created_at,
+        deletedAt: row.deleted_at,
+        purgeAt: purgeAt(row.deleted_at)
+      })),
+      messages: messages.map(row => ({
+        id: row.id,
+        sessionId: row.session_id,
+        sessionTitle: row.title,
+        parentId: row.parent_id,
+        sender: row.role,
+        text: row.content.length > SNIPPET_LENGTH ? `${row.content.substring(0, SNIPPET_LENGTH)}...` : row.content,
+        timestamp: row.created_at,
+        deletedAt: row.deleted_at,
+        purgeAt: purgeAt(row.deleted_at)
+      })),
+      retentionDays: TRASH_RETENTION_DAYS > 0 ? TRASH_RETENTION_DAYS : null
+    };
+  } catch (error) {
+    console.error('❌ [TRASH] List failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently remove sessions and messages that have been in the trash
+ * longer than maxAgeMs
+ */
+async function purgeExpiredTrash({ maxAgeMs }) {
+  const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+
+  const sessions = await query(
+    `SELECT id FROM conversation_sessions WHERE deleted_at < ? ORDER BY deleted_at ASC`,
+    [cutoff]
+  );
+  const purgedSessions = [];
+  for (const { id } of sessions) {
+    try {
+      await purgeSession(id);
+      purgedSessions.push(id);
+    } catch (error) {
+      console.warn(`⚠️ [TRASH] Purge failed for session ${id}:`, error.message);
+    }
+  }
+
+  const messages = await query(
+    `SELECT id FROM conversation_messages WHERE deleted_at < ? ORDER BY deleted_at ASC`,
+    [cutoff]
+  );
+  const purgedMessages = [];
+  for (const { id } of messages) {
+    try {
+      await purgeMessage(id);
+      purgedMessages.push(id);
+    } catch (error) {
+      console.warn(`⚠️ [TRASH] Purge failed for message ${id}:`, error.message);
+    }
+  }
+
+  return {
+    sessions: purgedSessions,
+    messages: purgedMessages,
+    count: purgedSessions.length + purgedMessages.length
+  };
+}
+
+module.exports = {
+  listTrash,
+  purgeExpiredTrash,
+  TRASH_RETENTION_DAYS
+};
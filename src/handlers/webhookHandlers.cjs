@@ -0,0 +1,206 @@
+/**
+ * Webhook Handlers
+ * Business logic for webhook subscriptions and their dead-letter list
+ */
+
+const crypto = require('crypto');
+const { query, run } = require('../database/connection.cjs');
+const { webhookWorker, checkWebhookUrl, WEBHOOK_EVENT_TYPES, DELIVERY_STATUSES } = require('../services/webhookQueue.cjs');
+
+function toWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events || '["*"]'),
+    sessionId: row.session_id,
+    description: row.description,
+    isActive: row.is_active,
+    lastSuccessAt: row.last_success_at,
+    lastFailureAt: row.last_failure_at,
+    pendingDeliveries: parseInt(row.pending_count) || 0,
+    deadDeliveries: parseInt(row.dead_count) || 0,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Create a webhook
+ * events: event types to deliver (default ["*"], every type except message.appended).
+ * sessionId limits deliveries to one session. The secret is generated unless
+ * given and is only returned here.
+ */
+async function createWebhook(payload) {
+  const { url, events = ['*'], sessionId = null, description = null } = payload;
+  let { secret } = payload;
+
+  if (!url) {
+    throw new Error('url is required');
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error(`Invalid webhook url: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Invalid webhook url: ${url} (expected http or https)`);
+  }
+  await checkWebhookUrl(url);
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('events must be a non-empty array of event types');
+  }
+  const unknown = events.filter(type => type !== '*' && !WEBHOOK_EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event type: ${unknown.join(', ')} (expected *, ${WEBHOOK_EVENT_TYPES.join(', ')})`);
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new Error('secret must be a string of at least 16 characters');
+  }
+  secret = secret || crypto.randomBytes(32).toString('hex');
+
+  const webhookId = `wh_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const now = new Date().toISOString();
+
+  try {
+    await run(
+      `INSERT INTO webhooks (id, url, secret, events, session_id, description, is_active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, true, ?, ?)`,
+      [webhookId, url, secret, JSON.stringify(events), sessionId, description, now, now]
+    );
+    await webhookWorker.refresh();
+
+    console.log(`🪝 [WEBHOOK] Created ${webhookId} → ${url} (${events.join(', ')})`);
+
+    return {
+      webhookId,
+      secret,
+      webhook: { id: webhookId, url, events, sessionId, description, isActive: true, createdAt: now }
+    };
+  } catch (error) {
+    console.error('❌ [WEBHOOK] Create failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * List webhooks with their queue counts (secrets are never returned)
+ */
+async function listWebhooks() {
+  const rows = await query(
+    `SELECT w.*,
+            COUNT(d.id) FILTER (WHERE d.status IN ('pending', 'running')) AS pending_count,
+            COUNT(d.id) FILTER (WHERE d.status = 'dead') AS dead_count
+     FROM webhooks w
+     LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+     GROUP BY ALL
+     ORDER BY w.created_at ASC`
+  );
+
+  return { webhooks: rows.map(toWebhook), count: rows.length };
+}
+
+/**
+ * Delete a webhook and every queued or dead delivery for it
+ */
+async function deleteWebhook(payload) {
+  const { webhookId } = payload;
+
+  if (!webhookId) {
+    throw new Error('webhookId is required');
+  }
+
+  try {
+    const deleted = await query(`DELETE FROM webhooks WHERE id = ? RETURNING id`, [webhookId]);
+    if (deleted.length === 0) {
+      throw new Error(`Webhook not found: ${webhookId}`);
+    }
+    await run(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [webhookId]);
+    await webhookWorker.refresh();
+
+    console.log(`🗑️ [WEBHOOK] Deleted ${webhookId}`);
+
+    return { success: true, webhookId };
+  } catch (error) {
+    console.error('❌ [WEBHOOK] Delete failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * List deliveries, by default the dead-letter list
+ */
+async function listDeliveries(payload = {}) {
+  const { webhookId, status = 'dead', limit = 50 } = payload;
+
+  if (!DELIVERY_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status} (expected ${DELIVERY_STATUSES.join(', ')})`);
+  }
+
+  const rows = await query(
+    `SELECT id, webhook_id, event_id, event_type, session_id, payload, status,
+            attempts, last_error, response_status, next_attempt_at, created_at, updated_at
+     FROM webhook_deliveries
+     WHERE status = ? ${webhookId ? 'AND webhook_id = ?' : ''}
+     ORDER BY created_at DESC
+     LIMIT ?`,
+    webhookId ? [status, webhookId, limit] : [status, limit]
+  );
+
+  return {
+    deliveries: rows.map(row => ({
+      id: row.id,
+      webhookId: row.webhook_id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      sessionId: row.session_id,
+      event: JSON.parse(row.payload).event,
+      status: row.status,
+      attempts: Number(row.attempts),
+      lastError: row.last_error,
+      responseStatus: row.response_status,
+      nextAttemptAt: row.next_attempt_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    })),
+    count: rows.length
+  };
+}
+
+/**
+ * Put dead deliveries back in the queue
+ * Pass deliveryId for one delivery, or webhookId for all of that webhook's dead deliveries.
+ */
+async function redeliver(payload) {
+  const { deliveryId, webhookId } = payload;
+
+  if (!deliveryId && !webhookId) {
+    throw new Error('deliveryId or webhookId is required');
+  }
+
+  const now = new Date().toISOString();
+  const requeued = await query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, last_error = NULL, response_status = NULL,
+         next_attempt_at = ?, updated_at = ?
+     WHERE status = 'dead' AND ${deliveryId ? 'id = ?' : 'webhook_id = ?'}
+     RETURNING id`,
+    [now, now, deliveryId || webhookId]
+  );
+
+  if (requeued.length > 0) {
+    webhookWorker.poke();
+  }
+
+  return { requeued: requeued.map(row => row.id), count: requeued.length };
+}
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  redeliver
+};
@@ -12,8 +12,24 @@ const cors = require('cors');
 const { initializeDatabase, getConnection } = require('./database/connection.cjs');
 const sessionRoutes = require('./routes/sessions.cjs');
 const messageRoutes = require('./routes/messages.cjs');
+const searchRoutes = require('./routes/search.cjs');
+const embeddingRoutes = require('./routes/embeddings.cjs');
+const eventRoutes = require('./routes/events.cjs');
+const webhookRoutes = require('./routes/webhooks.cjs');
+const trashRoutes = require('./routes/trash.cjs');
+const profileRoutes = require('./routes/profile.cjs');
+const extractorRoutes = require('./routes/extractor.cjs');
 const { createContextRoutes } = require('./routes/contextRoutes.cjs');
 const ContextHandler = require('./handlers/contextHandler.cjs');
+const HibernationPolicy = require('./services/hibernationPolicy.cjs');
+const StreamMonitor = require('./services/streamMonitor.cjs');
+const TrashPurger = require('./services/trashPurger.cjs');
+const embeddingService = require('./services/embeddingService.cjs');
+const factRules = require('./services/factRules.cjs');
+const { embeddingWorker } = require('./services/embeddingQueue.cjs');
+const { webhookWorker } = require('./services/webhookQueue.cjs');
+const vectorStore = require('./services/vectorStore.cjs');
+const { EVENT_TYPES } = require('./services/eventBus.cjs');
 const { authenticateRequest } = require('./middleware/auth.cjs');
 
 const app = express();
@@ -21,6 +37,8 @@ const PORT = process.env.PORT || 3004;
 
 // Middleware
 app.use(cors());
+// Imports carry whole archives; every other route keeps the default body limit
+app.use('/session.import', express.json({ limit: process.env.MAX_REQUEST_BODY || '50mb' }));
 app.use(express.json());
 
 // Health check endpoint (no auth required)
@@ -39,23 +57,66 @@ app.get('/info', (req, res) => {
     service: 'conversation',
     version: '1.0.0',
     description: 'Conversation Management Service',
+    embedding: embeddingService.getInfo(),
+    events: {
+      stream: 'GET /events',
+      types: EVENT_TYPES
+    },
     actions: [
       'session.create',
       'session.list',
       'session.get',
       'session.update',
       'session.delete',
+      'session.restore',
       'session.switch',
+      'session.hibernate',
+      'session.wake',
+      'session.setBranch',
+      'session.summarize',
+      'session.autotitle',
+      'session.export',
+      'session.import',
       'message.add',
       'message.list',
       'message.get',
       'message.update',
       'message.delete',
+      'message.restore',
+      'message.history',
+      'message.regenerate',
+      'message.search',
+      'message.reindex',
+      'message.begin',
+      'message.append',
+      'message.finish',
+      'message.abort',
+      'message.unfinished',
+      'embedding.status',
+      'search.global',
+      'trash.list',
+      'webhook.create',
+      'webhook.list',
+      'webhook.delete',
+      'webhook.deliveries',
+      'webhook.redeliver',
       'context.add',
       'context.get',
+      'context.update',
+      'context.delete',
       'context.extract',
+      'context.window',
       'entity.add',
-      'entity.list'
+      'entity.list',
+      'entity.update',
+      'entity.delete',
+      'entity.merge',
+      'profile.get',
+      'profile.set',
+      'profile.forget',
+      'profile.promote',
+      'extractor.rules.list',
+      'extractor.rules.test'
     ]
   });
 });
@@ -64,8 +125,16 @@ app.get('/info', (req, res) => {
 app.use(authenticateRequest);
 
 // Mount routes (context routes will be added after DB initialization)
+// The SSE stream goes first: the MCP routers reject anything without a POST envelope
+app.use('/', eventRoutes);
 app.use('/', sessionRoutes);
 app.use('/', messageRoutes);
+app.use('/', searchRoutes);
+app.use('/', embeddingRoutes);
+app.use('/', webhookRoutes);
+app.use('/', trashRoutes);
+app.use('/', profileRoutes);
+app.use('/', extractorRoutes);
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -84,7 +153,7 @@ async function start() {
     console.log('🚀 [CONVERSATION-SERVICE] Starting...');
     
     // Initialize database
-    await initializeDatabase();
+    await initializeDatabase({ beforeMigrate: vectorStore.dropHnswIndex });
     console.log('✅ [CONVERSATION-SERVICE] Database initialized');
     
     // Initialize context handler and routes AFTER database is ready
@@ -98,6 +167,28 @@ async function start() {
       console.error('❌ [CONVERSATION-SERVICE] Failed to initialize context handler:', error);
     }
     
+    // Vector columns must match EMBEDDING_DIMENSIONS; the HNSW index is optional
+    await vectorStore.checkVectorColumns();
+    await vectorStore.ensureHnswIndex();
+    
+    // Start the embedding worker (recovers interrupted jobs and backfills)
+    await embeddingWorker.start();
+    
+    // Deliver events to webhooks (resumes deliveries queued before a restart)
+    await webhookWorker.start();
+    
+    // Start background auto-hibernation of idle sessions
+    new HibernationPolicy().start();
+    
+    // Interrupt stalled streamed messages and report unfinished ones
+    await new StreamMonitor().start();
+    
+    // Permanently remove trash older than the retention window
+    new TrashPurger().start();
+    
+    // Pick up edits to FACT_RULES_FILE without a restart
+    factRules.watch();
+    
     // Start server
     app.listen(PORT, () => {
       console.log('\n╔═══════════════════════════════════════════════════════╗');
@@ -114,20 +205,65 @@ async function start() {
       console.log('    - POST /session.list         (List all sessions)');
       console.log('    - POST /session.get          (Get session details)');
       console.log('    - POST /session.update       (Update session)');
-      console.log('    - POST /session.delete       (Delete session)');
+      console.log('    - POST /session.delete       (Move session to trash, or delete permanently)');
+      console.log('    - POST /session.restore      (Restore session from trash)');
       console.log('    - POST /session.switch       (Switch active session)');
+      console.log('    - POST /session.hibernate    (Hibernate session)');
+      console.log('    - POST /session.wake         (Wake hibernated session)');
+      console.log('    - POST /session.setBranch    (Select the active message branch)');
+      console.log('    - POST /session.summarize    (Update the rolling summary)');
+      console.log('    - POST /session.autotitle    (Generate a session title)');
+      console.log('    - POST /session.export       (Export sessions as JSON/Markdown/JSONL)');
+      console.log('    - POST /session.import       (Import ChatGPT/Claude/own exports)');
       console.log('  Message Management:');
       console.log('    - POST /message.add          (Add message to session)');
       console.log('    - POST /message.list         (List messages in session)');
       console.log('    - POST /message.get          (Get message details)');
       console.log('    - POST /message.update       (Update message)');
-      console.log('    - POST /message.delete       (Delete message)');
+      console.log('    - POST /message.delete       (Move message to trash, or delete permanently)');
+      console.log('    - POST /message.restore      (Restore message from trash)');
+      console.log('    - POST /message.history      (List or restore message revisions)');
+      console.log('    - POST /message.regenerate   (Add an alternative as a sibling branch)');
+      console.log('    - POST /message.search       (Search messages in session)');
+      console.log('    - POST /message.reindex      (Re-embed session or all messages)');
+      console.log('    - POST /message.begin        (Start a streamed message)');
+      console.log('    - POST /message.append       (Append to a streamed message)');
+      console.log('    - POST /message.finish       (Finalize a streamed message)');
+      console.log('    - POST /message.abort        (Abort a streamed message)');
+      console.log('    - POST /message.unfinished   (List unfinished streamed messages)');
+      console.log('    - POST /embedding.status     (Embedding job queue status)');
+      console.log('  Search:');
+      console.log('    - POST /search.global        (Search across all sessions)');
+      console.log('  Trash:');
+      console.log('    - POST /trash.list           (List deleted sessions and messages)');
+      console.log('  Webhooks:');
+      console.log('    - POST /webhook.create       (Subscribe a URL to events)');
+      console.log('    - POST /webhook.list         (List webhooks)');
+      console.log('    - POST /webhook.delete       (Delete webhook)');
+      console.log('    - POST /webhook.deliveries   (List dead-letter deliveries)');
+      console.log('    - POST /webhook.redeliver    (Requeue dead deliveries)');
       console.log('  Context Management:');
       console.log('    - POST /context.add          (Add session context)');
       console.log('    - POST /context.get          (Get session context)');
+      console.log('    - POST /context.update       (Correct a context item)');
+      console.log('    - POST /context.delete       (Delete a context item)');
       console.log('    - POST /context.extract      (Extract context from text)');
+      console.log('    - POST /context.window       (Token-budgeted prompt context)');
       console.log('    - POST /entity.add           (Add session entity)');
       console.log('    - POST /entity.list          (List session entities)');
+      console.log('    - POST /entity.update        (Correct an entity)');
+      console.log('    - POST /entity.delete        (Delete an entity)');
+      console.log('    - POST /entity.merge         (Merge two entities)');
+      console.log('  User Profile:');
+      console.log('    - POST /profile.get          (Get the user profile)');
+      console.log('    - POST /profile.set          (Set a profile value)');
+      console.log('    - POST /profile.forget       (Remove profile values)');
+      console.log('    - POST /profile.promote      (Promote a session fact)');
+      console.log('  Fact Extraction Rules:');
+      console.log('    - POST /extractor.rules.list (List rules with hit counts)');
+      console.log('    - POST /extractor.rules.test (Run rules against sample text)');
+      console.log('  Events:');
+      console.log('    - GET  /events               (Server-Sent Events stream of changes)');
       console.log('  Service Info:');
       console.log('    - GET  /health               (Health check)');
       console.log('    - GET  /info                 (Service capabilities)\n');
@@ -9,7 +9,9 @@ const VALID_API_KEY = process.env.MCP_CONVERSATION_API_KEY || process.env.CONVER
 console.log('🔑 [CONVERSATION-AUTH] Expected API key:', VALID_API_KEY.substring(0, 10) + '...');
 
 function authenticateRequest(req, res, next) {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+  // Browser EventSource cannot set headers, so the event stream also accepts ?apiKey=
+  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '') ||
+    (req.method === 'GET' && req.path === '/events' ? req.query.apiKey : undefined);
   
   // Debug: Log incoming requests
   console.log('🔍 [CONVERSATION-AUTH] Received API key:', apiKey ? apiKey.substring(0, 10) + '...' : 'MISSING');
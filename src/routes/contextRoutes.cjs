@@ -4,13 +4,14 @@
  */
 
 const express = require('express');
+const { buildContextWindow } = require('../handlers/contextWindowHandler.cjs');
 const router = express.Router();
 
 function createContextRoutes(contextHandler) {
   // Add context
   router.post('/context.add', async (req, res) => {
     try {
-      const { sessionId, contextType, key, value, confidence, sourceMessageId } = req.body.payload;
+      const { sessionId, contextType, key, value, confidence, sourceMessageId, userConfirmed } = req.body.payload;
       
       if (!sessionId || !contextType || !key || !value) {
         return res.status(400).json({
@@ -29,7 +30,8 @@ function createContextRoutes(contextHandler) {
         key,
         value,
         confidence,
-        sourceMessageId
+        sourceMessageId,
+        { userConfirmed: userConfirmed === true }
       );
       
       res.json({
@@ -55,7 +57,7 @@ function createContextRoutes(contextHandler) {
   // Get context
   router.post('/context.get', async (req, res) => {
     try {
-      const { sessionId, contextType } = req.body.payload;
+      const { sessionId, contextType, includeHistory } = req.body.payload;
       
       if (!sessionId) {
         return res.status(400).json({
@@ -68,7 +70,9 @@ function createContextRoutes(contextHandler) {
         });
       }
       
-      const contexts = await contextHandler.getContext(sessionId, contextType);
+      const contexts = await contextHandler.getContext(sessionId, contextType, {
+        includeHistory: includeHistory === true
+      });
       
       res.json({
         version: 'mcp.v1',
@@ -93,6 +97,104 @@ function createContextRoutes(contextHandler) {
     }
   });
   
+  // Correct a context item
+  router.post('/context.update', async (req, res) => {
+    try {
+      const { contextId, key, value, confidence, userConfirmed } = req.body.payload;
+      
+      if (!contextId || (key === undefined && value === undefined && confidence === undefined && userConfirmed === undefined)) {
+        return res.status(400).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'INVALID_PARAMS',
+            message: 'Missing required parameters: contextId and at least one of key, value, confidence, userConfirmed'
+          }
+        });
+      }
+      
+      const result = await contextHandler.updateContext(contextId, { key, value, confidence, userConfirmed });
+      
+      if (!result) {
+        return res.status(404).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'NOT_FOUND',
+            message: `Context item not found: ${contextId}`
+          }
+        });
+      }
+      
+      res.json({
+        version: 'mcp.v1',
+        service: 'conversation',
+        action: 'context.update',
+        status: 'ok',
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ [ROUTE] context.update failed:', error);
+      res.status(500).json({
+        version: 'mcp.v1',
+        status: 'error',
+        error: {
+          code: 'CONTEXT_UPDATE_FAILED',
+          message: error.message
+        }
+      });
+    }
+  });
+  
+  // Delete a context item (allVersions: its whole key)
+  router.post('/context.delete', async (req, res) => {
+    try {
+      const { contextId, allVersions } = req.body.payload;
+      
+      if (!contextId) {
+        return res.status(400).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'INVALID_PARAMS',
+            message: 'Missing required parameter: contextId'
+          }
+        });
+      }
+      
+      const result = await contextHandler.deleteContext(contextId, { allVersions: allVersions === true });
+      
+      if (!result) {
+        return res.status(404).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'NOT_FOUND',
+            message: `Context item not found: ${contextId}`
+          }
+        });
+      }
+      
+      res.json({
+        version: 'mcp.v1',
+        service: 'conversation',
+        action: 'context.delete',
+        status: 'ok',
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ [ROUTE] context.delete failed:', error);
+      res.status(500).json({
+        version: 'mcp.v1',
+        status: 'error',
+        error: {
+          code: 'CONTEXT_DELETE_FAILED',
+          message: error.message
+        }
+      });
+    }
+  });
+  
   // Add entity
   router.post('/entity.add', async (req, res) => {
     try {
@@ -177,6 +279,153 @@ function createContextRoutes(contextHandler) {
     }
   });
   
+  // Correct an entity
+  router.post('/entity.update', async (req, res) => {
+    try {
+      const { entityId, entityType, entityValue, metadata } = req.body.payload;
+      
+      if (!entityId || (entityType === undefined && entityValue === undefined && metadata === undefined)) {
+        return res.status(400).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'INVALID_PARAMS',
+            message: 'Missing required parameters: entityId and at least one of entityType, entityValue, metadata'
+          }
+        });
+      }
+      
+      const result = await contextHandler.updateEntity(entityId, { entityType, entityValue, metadata });
+      
+      if (!result) {
+        return res.status(404).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'NOT_FOUND',
+            message: `Entity not found: ${entityId}`
+          }
+        });
+      }
+      
+      res.json({
+        version: 'mcp.v1',
+        service: 'conversation',
+        action: 'entity.update',
+        status: 'ok',
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ [ROUTE] entity.update failed:', error);
+      res.status(500).json({
+        version: 'mcp.v1',
+        status: 'error',
+        error: {
+          code: 'ENTITY_UPDATE_FAILED',
+          message: error.message
+        }
+      });
+    }
+  });
+  
+  // Delete an entity
+  router.post('/entity.delete', async (req, res) => {
+    try {
+      const { entityId } = req.body.payload;
+      
+      if (!entityId) {
+        return res.status(400).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'INVALID_PARAMS',
+            message: 'Missing required parameter: entityId'
+          }
+        });
+      }
+      
+      const result = await contextHandler.deleteEntity(entityId);
+      
+      if (!result) {
+        return res.status(404).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'NOT_FOUND',
+            message: `Entity not found: ${entityId}`
+          }
+        });
+      }
+      
+      res.json({
+        version: 'mcp.v1',
+        service: 'conversation',
+        action: 'entity.delete',
+        status: 'ok',
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ [ROUTE] entity.delete failed:', error);
+      res.status(500).json({
+        version: 'mcp.v1',
+        status: 'error',
+        error: {
+          code: 'ENTITY_DELETE_FAILED',
+          message: error.message
+        }
+      });
+    }
+  });
+  
+  // Fold one entity into another
+  router.post('/entity.merge', async (req, res) => {
+    try {
+      const { targetId, sourceId } = req.body.payload;
+      
+      if (!targetId || !sourceId) {
+        return res.status(400).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'INVALID_PARAMS',
+            message: 'Missing required parameters: targetId, sourceId'
+          }
+        });
+      }
+      
+      const result = await contextHandler.mergeEntities(targetId, sourceId);
+      
+      if (!result) {
+        return res.status(404).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'NOT_FOUND',
+            message: `Entity not found: ${targetId} or ${sourceId}`
+          }
+        });
+      }
+      
+      res.json({
+        version: 'mcp.v1',
+        service: 'conversation',
+        action: 'entity.merge',
+        status: 'ok',
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ [ROUTE] entity.merge failed:', error);
+      res.status(500).json({
+        version: 'mcp.v1',
+        status: 'error',
+        error: {
+          code: 'ENTITY_MERGE_FAILED',
+          message: error.message
+        }
+      });
+    }
+  });
+  
   // Extract context from message
   router.post('/context.extract', async (req, res) => {
     try {
@@ -215,6 +464,44 @@ function createContextRoutes(contextHandler) {
     }
   });
   
+  // Build a token-budgeted prompt package
+  router.post('/context.window', async (req, res) => {
+    try {
+      const payload = req.body.payload || {};
+      
+      if (!payload.sessionId) {
+        return res.status(400).json({
+          version: 'mcp.v1',
+          status: 'error',
+          error: {
+            code: 'INVALID_PARAMS',
+            message: 'Missing required parameter: sessionId'
+          }
+        });
+      }
+      
+      const window = await buildContextWindow(contextHandler, payload);
+      
+      res.json({
+        version: 'mcp.v1',
+        service: 'conversation',
+        action: 'context.window',
+        status: 'ok',
+        data: window
+      });
+    } catch (error) {
+      console.error('❌ [ROUTE] context.window failed:', error);
+      res.status(500).json({
+        version: 'mcp.v1',
+        status: 'error',
+        error: {
+          code: 'CONTEXT_WINDOW_FAILED',
+          message: error.message
+        }
+      });
+    }
+  });
+  
   return router;
 }
 
@@ -0,0 +1,26 @@
+/**
+ * Embedding Routes
+ * Handles embedding queue MCP actions
+ */
+
+const express = require('express');
+const { validateMCPRequest, createMCPResponse } = require('../middleware/validation.cjs');
+const embeddingHandlers = require('../handlers/embeddingHandlers.cjs');
+
+const router = express.Router();
+
+// All embedding routes use MCP validation
+router.use(validateMCPRequest);
+
+// Embedding queue status
+router.post('/embedding.status', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await embeddingHandlers.getEmbeddingStatus(payload);
+    res.json(createMCPResponse(requestId, 'embedding.status', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'embedding.status', false, null, error.message));
+  }
+});
+
+module.exports = router;
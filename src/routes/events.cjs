@@ -0,0 +1,96 @@
+/**
+ * Event Routes
+ * Server-Sent Events stream of session, message and context changes
+ *
+ * GET /events[?sessionId=...][&types=a,b]
+ * Resume with the Last-Event-ID header (or ?lastEventId=). When the id can
+ * no longer be replayed a `stream.reset` event is sent first: refetch state
+ * from the API, then continue with the live events that follow.
+ *
+ * Mounted before the MCP routers, which only accept POST envelopes.
+ */
+
+const express = require('express');
+const eventBus = require('../services/eventBus.cjs');
+const { EVENT_TYPES } = require('../services/eventBus.cjs');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = parseInt(process.env.EVENT_HEARTBEAT_SECONDS || '15', 10) * 1000;
+const RETRY_MS = 3000;
+// A client this far behind is dropped; it reconnects with Last-Event-ID
+const MAX_PENDING_BYTES = 1024 * 1024;
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+router.get('/events', (req, res) => {
+  const sessionId = req.query.sessionId || null;
+  const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : null;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+
+  const unknown = (types || []).filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      version: 'mcp.v1',
+      service: 'conversation',
+      success: false,
+      error: `Unknown event type: ${unknown.join(', ')} (expected ${EVENT_TYPES.join(', ')})`
+    });
+  }
+
+  const matches = (event) =>
+    (!sessionId || event.sessionId === sessionId) &&
+    (!types || types.includes(event.type));
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Replay and subscribe in the same tick so no event falls in between
+  if (lastEventId) {
+    const missed = eventBus.since(lastEventId);
+    if (missed) {
+      for (const event of missed.filter(matches)) {
+        res.write(formatEvent(event));
+      }
+    } else {
+      res.write(`event: stream.reset\ndata: ${JSON.stringify({ lastEventId, reason: 'unavailable' })}\n\n`);
+    }
+  }
+
+  let heartbeat = null;
+  let unsubscribe = null;
+  const close = () => {
+    if (!unsubscribe) return;
+    clearInterval(heartbeat);
+    unsubscribe();
+    unsubscribe = null;
+    console.log('📡 [EVENTS] Client disconnected');
+  };
+
+  unsubscribe = eventBus.subscribe((event) => {
+    if (!matches(event)) return;
+    if (res.writableLength > MAX_PENDING_BYTES) {
+      console.warn('⚠️ [EVENTS] Dropping slow event stream client');
+      close();
+      res.end();
+      return;
+    }
+    res.write(formatEvent(event));
+  });
+
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  console.log(`📡 [EVENTS] Client subscribed${sessionId ? ` to ${sessionId}` : ''}${lastEventId ? ` (resuming after ${lastEventId})` : ''}`);
+
+  res.on('close', close);
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Extractor Routes
+ * Handles fact extraction rule MCP actions
+ */
+
+const express = require('express');
+const { validateMCPRequest, createMCPResponse } = require('../middleware/validation.cjs');
+const extractorHandlers = require('../handlers/extractorHandlers.cjs');
+
+const router = express.Router();
+
+// All extractor routes use MCP validation
+router.use(validateMCPRequest);
+
+// List fact rules with hit counters
+router.post('/extractor.rules.list', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await extractorHandlers.listRules(payload);
+    res.json(createMCPResponse(requestId, 'extractor.rules.list', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'extractor.rules.list', false, null, error.message));
+  }
+});
+
+// Try fact rules against sample text
+router.post('/extractor.rules.test', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await extractorHandlers.testRules(payload);
+    res.json(createMCPResponse(requestId, 'extractor.rules.test', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'extractor.rules.test', false, null, error.message));
+  }
+});
+
+module.exports = router;
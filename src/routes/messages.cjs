@@ -7,6 +7,7 @@ const express = require('express');
 const { validateMCPRequest, createMCPResponse } = require('../middleware/validation.cjs');
 const messageHandlers = require('../handlers/messageHandlers.cjs');
 const semanticSearchHandler = require('../handlers/semanticSearchHandler.cjs');
+const embeddingHandlers = require('../handlers/embeddingHandlers.cjs');
 
 const router = express.Router();
 
@@ -79,4 +80,103 @@ router.post('/message.delete', async (req, res) => {
   }
 });
 
+// Message restore (from the trash)
+router.post('/message.restore', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await messageHandlers.restoreMessage(payload);
+    res.json(createMCPResponse(requestId, 'message.restore', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'message.restore', false, null, error.message));
+  }
+});
+
+// Message history (list or restore revisions)
+router.post('/message.history', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await messageHandlers.getMessageHistory(payload);
+    res.json(createMCPResponse(requestId, 'message.history', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'message.history', false, null, error.message));
+  }
+});
+
+// Message regenerate (adds a sibling branch)
+router.post('/message.regenerate', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await messageHandlers.regenerateMessage(payload);
+    res.json(createMCPResponse(requestId, 'message.regenerate', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'message.regenerate', false, null, error.message));
+  }
+});
+
+// Message reindex (re-embed a session or the whole database)
+router.post('/message.reindex', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await embeddingHandlers.reindexMessages(payload);
+    res.json(createMCPResponse(requestId, 'message.reindex', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'message.reindex', false, null, error.message));
+  }
+});
+
+// Streaming: begin a message (status: streaming)
+router.post('/message.begin', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await messageHandlers.beginMessage(payload);
+    res.json(createMCPResponse(requestId, 'message.begin', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'message.begin', false, null, error.message));
+  }
+});
+
+// Streaming: append a delta
+router.post('/message.append', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await messageHandlers.appendMessage(payload);
+    res.json(createMCPResponse(requestId, 'message.append', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'message.append', false, null, error.message));
+  }
+});
+
+// Streaming: finalize, then extract and embed
+router.post('/message.finish', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await messageHandlers.finishMessage(payload);
+    res.json(createMCPResponse(requestId, 'message.finish', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'message.finish', false, null, error.message));
+  }
+});
+
+// Streaming: abort (keeps partial text unless keepPartial: false)
+router.post('/message.abort', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await messageHandlers.abortMessage(payload);
+    res.json(createMCPResponse(requestId, 'message.abort', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'message.abort', false, null, error.message));
+  }
+});
+
+// Streaming: messages left streaming or interrupted
+router.post('/message.unfinished', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await messageHandlers.listUnfinishedMessages(payload);
+    res.json(createMCPResponse(requestId, 'message.unfinished', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'message.unfinished', false, null, error.message));
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * Profile Routes
+ * Handles user profile MCP actions
+ */
+
+const express = require('express');
+const { validateMCPRequest, createMCPResponse } = require('../middleware/validation.cjs');
+const profileHandlers = require('../handlers/profileHandlers.cjs');
+
+const router = express.Router();
+
+// All profile routes use MCP validation
+router.use(validateMCPRequest);
+
+// Get the profile (or one key)
+router.post('/profile.get', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await profileHandlers.getProfile(payload);
+    res.json(createMCPResponse(requestId, 'profile.get', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'profile.get', false, null, error.message));
+  }
+});
+
+// Set a profile value
+router.post('/profile.set', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await profileHandlers.setProfile(payload);
+    res.json(createMCPResponse(requestId, 'profile.set', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'profile.set', false, null, error.message));
+  }
+});
+
+// Forget profile values
+router.post('/profile.forget', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await profileHandlers.forgetProfile(payload);
+    res.json(createMCPResponse(requestId, 'profile.forget', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'profile.forget', false, null, error.message));
+  }
+});
+
+// Promote a session fact
+router.post('/profile.promote', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await profileHandlers.promoteToProfile(payload);
+    res.json(createMCPResponse(requestId, 'profile.promote', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'profile.promote', false, null, error.message));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Search Routes
+ * Handles cross-session search MCP actions
+ */
+
+const express = require('express');
+const { validateMCPRequest, createMCPResponse } = require('../middleware/validation.cjs');
+const globalSearchHandler = require('../handlers/globalSearchHandler.cjs');
+
+const router = express.Router();
+
+// All search routes use MCP validation
+router.use(validateMCPRequest);
+
+// Global search across all sessions
+router.post('/search.global', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await globalSearchHandler.searchGlobal(payload);
+    res.json(createMCPResponse(requestId, 'search.global', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'search.global', false, null, error.message));
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,8 @@
 const express = require('express');
 const { validateMCPRequest, createMCPResponse } = require('../middleware/validation.cjs');
 const sessionHandlers = require('../handlers/sessionHandlers.cjs');
+const exportHandlers = require('../handlers/exportHandlers.cjs');
+const importHandlers = require('../handlers/importHandlers.cjs');
 
 const router = express.Router();
 
@@ -67,6 +69,17 @@ router.post('/session.delete', async (req, res) => {
   }
 });
 
+// Session restore (from the trash)
+router.post('/session.restore', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await sessionHandlers.restoreSession(payload);
+    res.json(createMCPResponse(requestId, 'session.restore', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'session.restore', false, null, error.message));
+  }
+});
+
 // Session switch
 router.post('/session.switch', async (req, res) => {
   try {
@@ -78,4 +91,123 @@ router.post('/session.switch', async (req, res) => {
   }
 });
 
+// Select the active branch
+router.post('/session.setBranch', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await sessionHandlers.setBranch(payload);
+    res.json(createMCPResponse(requestId, 'session.setBranch', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'session.setBranch', false, null, error.message));
+  }
+});
+
+// Session hibernate
+router.post('/session.hibernate', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await sessionHandlers.hibernateSession(payload);
+    res.json(createMCPResponse(requestId, 'session.hibernate', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'session.hibernate', false, null, error.message));
+  }
+});
+
+// Session wake
+router.post('/session.wake', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await sessionHandlers.wakeSession(payload);
+    res.json(createMCPResponse(requestId, 'session.wake', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'session.wake', false, null, error.message));
+  }
+});
+
+// Fold new messages into the rolling summary
+router.post('/session.summarize', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await sessionHandlers.summarizeSession(payload);
+    res.json(createMCPResponse(requestId, 'session.summarize', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'session.summarize', false, null, error.message));
+  }
+});
+
+// Generate a title from the opening messages
+router.post('/session.autotitle', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await sessionHandlers.autotitleSession(payload);
+    res.json(createMCPResponse(requestId, 'session.autotitle', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'session.autotitle', false, null, error.message));
+  }
+});
+
+// Session export (streams the file body instead of an MCP envelope)
+router.post('/session.export', async (req, res) => {
+  let exportJob;
+  try {
+    exportJob = await exportHandlers.prepareExport(req.mcpRequest.payload);
+  } catch (error) {
+    return res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'session.export', false, null, error.message));
+  }
+
+  res.setHeader('Content-Type', exportJob.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportJob.filename}"`);
+
+  const pieces = exportHandlers.streamExport(exportJob);
+  try {
+    for await (const piece of pieces) {
+      if (res.destroyed) break;
+      if (!res.write(piece)) {
+        await waitForDrain(res);
+      }
+    }
+    if (res.destroyed) {
+      console.log('📦 [EXPORT] Client went away, export stopped');
+      return;
+    }
+    res.end();
+  } catch (error) {
+    // Headers are already sent; abort so the client sees a truncated download
+    console.error('❌ [EXPORT] Export failed:', error);
+    res.destroy(error);
+  } finally {
+    // Releases the generator if the loop stopped early
+    await pieces.return();
+  }
+});
+
+// Session import (ChatGPT, Claude or our own export archives)
+router.post('/session.import', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await importHandlers.importSessions(payload);
+    res.json(createMCPResponse(requestId, 'session.import', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'session.import', false, null, error.message));
+  }
+});
+
+/**
+ * Resolve once res can take more data, or once the client has gone away
+ * (a closed response never emits drain)
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
+}
+
 module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Trash Routes
+ * Handles trash MCP actions
+ */
+
+const express = require('express');
+const { validateMCPRequest, createMCPResponse } = require('../middleware/validation.cjs');
+const trashHandlers = require('../handlers/trashHandlers.cjs');
+
+const router = express.Router();
+
+// All trash routes use MCP validation
+router.use(validateMCPRequest);
+
+// List deleted sessions and messages
+router.post('/trash.list', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await trashHandlers.listTrash(payload);
+    res.json(createMCPResponse(requestId, 'trash.list', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'trash.list', false, null, error.message));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Webhook Routes
+ * Handles webhook subscription MCP actions
+ */
+
+const express = require('express');
+const { validateMCPRequest, createMCPResponse } = require('../middleware/validation.cjs');
+const webhookHandlers = require('../handlers/webhookHandlers.cjs');
+
+const router = express.Router();
+
+// All webhook routes use MCP validation
+router.use(validateMCPRequest);
+
+// Create webhook
+router.post('/webhook.create', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await webhookHandlers.createWebhook(payload);
+    res.json(createMCPResponse(requestId, 'webhook.create', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'webhook.create', false, null, error.message));
+  }
+});
+
+// List webhooks
+router.post('/webhook.list', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await webhookHandlers.listWebhooks(payload);
+    res.json(createMCPResponse(requestId, 'webhook.list', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'webhook.list', false, null, error.message));
+  }
+});
+
+// Delete webhook
+router.post('/webhook.delete', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await webhookHandlers.deleteWebhook(payload);
+    res.json(createMCPResponse(requestId, 'webhook.delete', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'webhook.delete', false, null, error.message));
+  }
+});
+
+// List deliveries (dead letters by default)
+router.post('/webhook.deliveries', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await webhookHandlers.listDeliveries(payload);
+    res.json(createMCPResponse(requestId, 'webhook.deliveries', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'webhook.deliveries', false, null, error.message));
+  }
+});
+
+// Requeue dead deliveries
+router.post('/webhook.redeliver', async (req, res) => {
+  try {
+    const { requestId, payload } = req.mcpRequest;
+    const result = await webhookHandlers.redeliver(payload);
+    res.json(createMCPResponse(requestId, 'webhook.redeliver', true, result));
+  } catch (error) {
+    res.status(500).json(createMCPResponse(req.mcpRequest.requestId, 'webhook.redeliver', false, null, error.message));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+/**
+ * Vector Search Benchmark
+ * Compares the old JS scan (JSON text embeddings, cosine in a loop) with
+ * array_cosine_similarity over FLOAT[N] in DuckDB, and an HNSW index when
+ * the vss extension is available. Runs against an in-memory database.
+ *
+ * Usage:
+ *   node src/scripts/benchmarkVectorSearch.cjs [--count 100000] [--dims 384] [--queries 5] [--top 10]
+ */
+
+const duckdb = require('duckdb');
+
+function parseArgs(argv) {
+  const options = { count: 100000, dims: 384, queries: 5, top: 10 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown option: ${argv[i]} (expected --count, --dims, --queries or --top)`);
+    }
+    const value = parseInt(argv[i + 1], 10);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`Invalid value for ${argv[i]}: ${argv[i + 1]}`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+function cosineSimilarity(vecA, vecB) {
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function randomVector(dims) {
+  return Array.from({ length: dims }, () => Math.random());
+}
+
+async function time(label, runs, fn) {
+  const timings = [];
+  for (const input of runs) {
+    const started = process.hrtime.bigint();
+    await fn(input);
+    timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  const avg = timings.reduce((sum, t) => sum + t, 0) / timings.length;
+  console.log(`  ${label.padEnd(28)} avg ${avg.toFixed(1).padStart(9)} ms   min ${Math.min(...timings).toFixed(1).padStart(9)} ms`);
+  return avg;
+}
+
+async function main() {
+  const { count, dims, queries, top } = parseArgs(process.argv.slice(2));
+  const vectorType = `FLOAT[${dims}]`;
+
+  const db = new duckdb.Database(':memory:');
+  const connection = db.connect();
+  const exec = (sql) => new Promise((resolve, reject) => {
+    connection.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+  const all = (sql, ...params) => new Promise((resolve, reject) => {
+    connection.all(sql, ...params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  console.log(`📊 [BENCH] Generating ${count} ${dims}-dim embeddings...`);
+  await exec(`
+    CREATE TABLE vec_messages AS
+      SELECT 'msg_' || i AS id, list_transform(range(${dims}), x -> random())::${vectorType} AS embedding
+      FROM range(${count}) t(i);
+    CREATE TABLE text_messages AS
+      SELECT id, CAST(embedding AS VARCHAR) AS embedding FROM vec_messages;
+  `);
+
+  const queryVectors = Array.from({ length: queries }, () => randomVector(dims));
+  console.log(`📊 [BENCH] Top-${top} over ${count} messages, ${queries} queries each:`);
+
+  const jsAvg = await time('JS scan (JSON text)', queryVectors, async (queryVector) => {
+    const rows = await all(`SELECT id, embedding FROM text_messages`);
+    return rows
+      .map(row => ({ id: row.id, similarity: cosineSimilarity(queryVector, JSON.parse(row.embedding)) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, top);
+  });
+
+  const topKSql = `SELECT id, array_cosine_similarity(embedding, ?::${vectorType}) AS similarity
+                   FROM vec_messages ORDER BY similarity DESC LIMIT ${top}`;
+  const sqlAvg = await time('DuckDB array_cosine', queryVectors, (queryVector) =>
+    all(topKSql, JSON.stringify(queryVector))
+  );
+
+  let hnswAvg = null;
+  try {
+    await exec(`INSTALL vss; LOAD vss;`);
+    const started = Date.now();
+    await exec(`CREATE INDEX bench_hnsw ON vec_messages USING HNSW (embedding) WITH (metric = 'cosine')`);
+    console.log(`  (HNSW index built in ${Date.now() - started} ms)`);
+    hnswAvg = await time('DuckDB HNSW index', queryVectors, (queryVector) =>
+      all(
+        `SELECT id, array_cosine_distance(embedding, ?::${vectorType}) AS distance
+         FROM vec_messages ORDER BY distance LIMIT ${top}`,
+        JSON.stringify(queryVector)
+      )
+    );
+  } catch (error) {
+    console.log(`  DuckDB HNSW index           skipped (vss unavailable: ${error.message.split('\n')[0]})`);
+  }
+
+  console.log(`✅ [BENCH] array_cosine is ${(jsAvg / sqlAvg).toFixed(1)}x faster than the JS scan` +
+    (hnswAvg ? `, HNSW ${(jsAvg / hnswAvg).toFixed(1)}x` : ''));
+
+  await new Promise(resolve => db.close(resolve));
+}
+
+main().catch(error => {
+  console.error('❌ [BENCH] Failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+/**
+ * Conversation Import CLI
+ * Imports ChatGPT, Claude or conversation-service export archives from a file
+ *
+ * Usage:
+ *   node src/scripts/importConversations.cjs <file> [--format auto|chatgpt|claude|thinkdrop] [--no-extract] [--no-embed]
+ *
+ * Imported messages are queued for embedding; unless --no-embed is given the
+ * queue is drained before exiting, otherwise the running service picks it up.
+ */
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+
+const fs = require('fs');
+const { initializeDatabase, closeDatabase } = require('../database/connection.cjs');
+const { dropHnswIndex } = require('../services/vectorStore.cjs');
+const { embeddingWorker } = require('../services/embeddingQueue.cjs');
+const { importSessions } = require('../handlers/importHandlers.cjs');
+
+function parseArgs(argv) {
+  const options = { file: null, format: 'auto', extract: true, embed: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') {
+      options.format = argv[++i];
+    } else if (arg === '--no-extract') {
+      options.extract = false;
+    } else if (arg === '--no-embed') {
+      options.embed = false;
+    } else if (!arg.startsWith('--') && !options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (!options.file) {
+    throw new Error('Usage: importConversations.cjs <file> [--format auto|chatgpt|claude|thinkdrop] [--no-extract] [--no-embed]');
+  }
+  return options;
+}
+
+async function main() {
+  const { file, format, extract, embed } = parseArgs(process.argv.slice(2));
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  await initializeDatabase({ beforeMigrate: dropHnswIndex });
+
+  const result = await importSessions({ data, format, extract });
+  for (const session of result.imported) {
+    console.log(`  [imported] ${session.title} (${session.messageCount} messages) -> ${session.sessionId}`);
+  }
+  for (const skip of result.skipped) {
+    console.log(`  [skipped]  ${skip.sourceId}: ${skip.reason}${skip.error ? ` (${skip.error})` : ''}`);
+  }
+
+  if (embed && result.messageCount > 0) {
+    console.log('🔄 [IMPORT] Embedding imported messages...');
+    await embeddingWorker.runOnce();
+  }
+}
+
+main()
+  .then(() => closeDatabase())
+  .catch(async (error) => {
+    console.error('❌ [IMPORT] Failed:', error.message);
+    await closeDatabase();
+    process.exit(1);
+  });
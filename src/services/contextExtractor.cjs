@@ -5,6 +5,26 @@
 
 const axios = require('axios');
 const crypto = require('crypto');
+const factRules = require('./factRules.cjs');
+const localEntityRecognizer = require('./localEntityRecognizer.cjs');
+
+// Words too common to describe what a conversation is about
+const STOPWORDS = new Set((
+  'the and for are but not you your yours with this that these those from have has had was were will would ' +
+  'can could should about into over than then them they their there what when where which who whom why how ' +
+  'its it\'s i\'m i\'ve don\'t just also very more most some such only own same other all any both each few ' +
+  'our ours out off too yes okay thanks thank please been being does did doing him his her hers she he ' +
+  'want need like get got let make know think help tell give show use using hey hello'
+).split(' '));
+
+/**
+ * Key items are matched on: case, surrounding space and separators ignored
+ * ("Favorite Color", "favorite-color" and "favorite_color" are one key)
+ */
+function normalizeContextKey(key) {
+  if (key === null || key === undefined) return null;
+  return String(key).trim().toLowerCase().replace(/[\s-]+/g, '_') || null;
+}
 
 class ContextExtractor {
   constructor() {
@@ -12,31 +32,61 @@ class ContextExtractor {
     this.phi4Endpoint = process.env.PHI4_ENDPOINT || 'http://localhost:3003';
     this.phi4ApiKey = process.env.PHI4_API_KEY || 'auto-generated-key-phi4';
     
-    // Fact extraction patterns (lightweight fallback for simple cases)
-    this.quickFactPatterns = [
-      {
-        regex: /my (?:favorite|fav) (\w+) is ([\w\s]+?)(?:\.|$|,)/i,
-        extract: (match) => ({
-          key: `favorite_${match[1]}`,
-          value: match[2].trim(),
-          confidence: 0.9
-        })
-      },
-      {
-        regex: /my name is (\w+)/i,
-        extract: (match) => ({
-          key: 'user_name',
-          value: match[1],
-          confidence: 0.95
-        })
-      }
-    ];
+    // How the local recognizer is used: fallback (when Phi4 fails), merge, phi4 (never) or local (only)
+    this.entityRecognizer = process.env.ENTITY_RECOGNIZER || 'fallback';
+  }
+  
+  /**
+   * Extract entities with Phi4 and/or the local recognizer (ENTITY_RECOGNIZER)
+   * Merged results keep Phi4's entity where the two overlap.
+   */
+  async extractEntities(text) {
+    if (this.entityRecognizer === 'local') {
+      return this.extractEntitiesLocally(text);
+    }
+
+    const phi4Entities = await this.requestPhi4Entities(text);
+    if (this.entityRecognizer === 'phi4') {
+      return phi4Entities || [];
+    }
+    if (phi4Entities === null) {
+      const localEntities = this.extractEntitiesLocally(text);
+      console.log(`🏠 [EXTRACTOR] Phi4 unavailable, recognized ${localEntities.length} entities locally`);
+      return localEntities;
+    }
+    if (this.entityRecognizer !== 'merge') {
+      return phi4Entities;
+    }
+
+    const overlaps = (a, b) =>
+      (Number.isInteger(a.startPos) && Number.isInteger(b.startPos) && a.startPos < b.endPos && b.startPos < a.endPos) ||
+      String(a.value).toLowerCase() === String(b.value).toLowerCase();
+    const localEntities = this.extractEntitiesLocally(text)
+      .filter(local => !phi4Entities.some(entity => overlaps(local, entity)));
+    return [...phi4Entities, ...localEntities];
+  }
+  
+  /**
+   * Extract entities with the built-in offline recognizer
+   */
+  extractEntitiesLocally(text) {
+    return localEntityRecognizer.recognize(text).map(entity => ({
+      ...entity,
+      type: this.normalizeEntityType(entity.type)
+    }));
   }
   
   /**
    * Extract entities using Phi4's entity.extract endpoint
    */
   async extractEntitiesViaPhi4(text) {
+    return (await this.requestPhi4Entities(text)) || []; // Graceful fallback
+  }
+  
+  /**
+   * Phi4's entities for text, or null when Phi4 failed
+   */
+  async requestPhi4Entities(text) {
     try {
       const requestId = `ctx_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
       
@@ -78,11 +128,11 @@ class ContextExtractor {
       }
       
       console.warn('⚠️ [EXTRACTOR] Phi4 returned unexpected format:', response.data);
-      return [];
+      return null;
       
     } catch (error) {
       console.error('❌ [EXTRACTOR] Phi4 entity extraction failed:', error.message);
-      return []; // Graceful fallback
+      return null;
     }
   }
   
@@ -102,71 +152,52 @@ class ContextExtractor {
       'PRODUCT': 'product',
       'EVENT': 'event',
       'FOOD': 'food',
-      'WORK_OF_ART': 'media'
+      'WORK_OF_ART': 'media',
+      'EMAIL': 'email',
+      'URL': 'url',
+      'PHONE': 'phone',
+      'MONEY': 'money',
+      'FILE_PATH': 'file_path'
     };
     
     return typeMap[phi4Type] || phi4Type.toLowerCase();
   }
   
   /**
-   * Extract facts using lightweight patterns (fast path)
+   * Extract facts using the fact rules that need no entities (fast path)
    */
-  extractQuickFacts(text) {
-    const facts = [];
-    
-    for (const pattern of this.quickFactPatterns) {
-      const match = text.match(pattern.regex);
-      if (match) {
-        facts.push(pattern.extract(match));
-      }
-    }
-    
-    return facts;
+  async extractQuickFacts(text) {
+    return factRules.extract(text, [], { entityRules: false });
   }
   
   /**
-   * Extract facts using LLM analysis (for complex cases)
+   * Lowercase words of at least three characters that are not stopwords
    */
-  async extractFactsViaLLM(text, entities) {
-    // Use entities to identify potential facts
-    const facts = [];
-    
-    // Pattern: "I love X" where X is an entity
-    const loveMatch = text.match(/I (?:love|like|enjoy|prefer) ([\w\s]+?)(?:\.|$|,)/i);
-    if (loveMatch) {
-      const value = loveMatch[1].trim();
-      // Check if this matches an extracted entity
-      const matchingEntity = entities.find(e => 
-        value.toLowerCase().includes(e.value.toLowerCase())
-      );
-      
-      if (matchingEntity) {
-        facts.push({
-          key: `likes_${matchingEntity.type}`,
-          value: matchingEntity.value,
-          confidence: 0.85
-        });
-      }
-    }
-    
-    // Pattern: "I'm from X" where X is a location
-    const fromMatch = text.match(/I(?:'m| am) from ([\w\s]+?)(?:\.|$|,)/i);
-    if (fromMatch) {
-      const location = fromMatch[1].trim();
-      const locationEntity = entities.find(e => 
-        e.type === 'place' && location.toLowerCase().includes(e.value.toLowerCase())
-      );
-      
-      if (locationEntity) {
-        facts.push({
-          key: 'home_location',
-          value: locationEntity.value,
-          confidence: 0.9
-        });
-      }
+  contentWords(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}_][\p{L}\p{N}_'-]{2,}/gu) || [])
+      .filter(word => !STOPWORDS.has(word));
+  }
+
+  /**
+   * Most frequent content words of a text (ties keep first-seen order)
+   */
+  extractKeywords(text, limit = 5) {
+    const counts = new Map();
+    for (const word of this.contentWords(text)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
     }
-    
-    return facts;
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([word]) => word);
+  }
+
+  /**
+   * Extract facts with the fact rules that check their value against the
+   * extracted entities ("I'm from X" where X is a place)
+   */
+  async extractFactsViaLLM(text, entities) {
+    return factRules.extract(text, entities, { entityRules: true });
   }
   
   /**
@@ -176,11 +207,11 @@ class ContextExtractor {
     console.log(`🔍 [EXTRACTOR] Extracting context from: "${text.substring(0, 50)}..."`);
     
     try {
-      // Step 1: Quick fact extraction (synchronous, fast)
-      const quickFacts = this.extractQuickFacts(text);
+      // Step 1: Quick fact extraction (rules only, no entities needed)
+      const quickFacts = await this.extractQuickFacts(text);
       
-      // Step 2: Entity extraction via Phi4 (async, accurate)
-      const entities = await this.extractEntitiesViaPhi4(text);
+      // Step 2: Entity extraction via Phi4 (async, accurate), or locally when it is down
+      const entities = await this.extractEntities(text);
       
       // Step 3: LLM-based fact extraction using entities
       const llmFacts = await this.extractFactsViaLLM(text, entities);
@@ -205,7 +236,7 @@ class ContextExtractor {
       console.error('❌ [EXTRACTOR] Extraction failed:', error.message);
       
       // Fallback: return quick facts only
-      const quickFacts = this.extractQuickFacts(text);
+      const quickFacts = await this.extractQuickFacts(text).catch(() => []);
       return {
         facts: quickFacts,
         entities: [],
@@ -218,3 +249,4 @@ class ContextExtractor {
 }
 
 module.exports = new ContextExtractor();
+module.exports.normalizeContextKey = normalizeContextKey;
@@ -0,0 +1,229 @@
+/**
+ * Conversation Importers
+ * Normalize third-party export archives into sessions and messages
+ *
+ * Formats:
+ * - chatgpt:   ChatGPT `conversations.json` (message tree in `mapping`)
+ * - claude:    Claude export `conversations.json` (`chat_messages`)
+ * - thinkdrop: our own `session.export` JSON
+ *
+ * Every parser returns [{ sourceId, title, titleSource, createdAt, updatedAt,
+ * messages, facts, context, entities }] with messages as { role, text, timestamp, metadata }.
+ * Our own format also keeps the message tree: messages carry sourceId and
+ * parentSourceId, conversations activeLeafSourceId.
+ */
+
+const { EXPORT_VERSION } = require('../handlers/exportHandlers.cjs');
+
+const IMPORT_FORMATS = ['chatgpt', 'claude', 'thinkdrop'];
+
+function toISO(value, fallback = null) {
+  if (value === null || value === undefined || value === '') return fallback;
+  // ChatGPT uses epoch seconds
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? fallback : date.toISOString();
+}
+
+/**
+ * Guess the format of a parsed export
+ */
+function detectFormat(data) {
+  if (data && !Array.isArray(data) && data.version === EXPORT_VERSION && Array.isArray(data.sessions)) {
+    return 'thinkdrop';
+  }
+
+  const sample = Array.isArray(data) ? data[0] : data;
+  if (sample && typeof sample === 'object') {
+    if (sample.mapping) return 'chatgpt';
+    if (Array.isArray(sample.chat_messages)) return 'claude';
+  }
+
+  throw new Error(`Unrecognized export format (expected ${IMPORT_FORMATS.join(', ')})`);
+}
+
+/**
+ * Text of a ChatGPT message; non-text parts (images, files) are skipped
+ */
+function chatGPTText(content) {
+  if (!content) return '';
+  if (Array.isArray(content.parts)) {
+    return content.parts.filter(part => typeof part === 'string').join('\n').trim();
+  }
+  return typeof content.text === 'string' ? content.text.trim() : '';
+}
+
+/**
+ * ChatGPT stores a tree of edits and regenerations; import the branch
+ * ending at current_node (the one the user last saw)
+ */
+function chatGPTBranch(conversation) {
+  const mapping = conversation.mapping || {};
+
+  if (conversation.current_node && mapping[conversation.current_node]) {
+    const branch = [];
+    const seen = new Set();
+    let nodeId = conversation.current_node;
+    while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+      seen.add(nodeId);
+      branch.push(mapping[nodeId]);
+      nodeId = mapping[nodeId].parent;
+    }
+    return branch.reverse();
+  }
+
+  return Object.values(mapping)
+    .filter(node => node.message)
+    .sort((a, b) => (a.message.create_time || 0) - (b.message.create_time || 0));
+}
+
+function parseChatGPT(data) {
+  const conversations = Array.isArray(data) ? data : [data];
+
+  return conversations.map(conversation => {
+    const createdAt = toISO(conversation.create_time, new Date().toISOString());
+    const messages = [];
+
+    for (const node of chatGPTBranch(conversation)) {
+      const message = node.message;
+      if (!message || message.metadata?.is_visually_hidden_from_conversation) continue;
+
+      const role = message.author?.role;
+      if (!['user', 'assistant', 'system'].includes(role)) continue; // tool calls
+
+      const text = chatGPTText(message.content);
+      if (!text) continue;
+
+      messages.push({
+        role,
+        text,
+        timestamp: toISO(message.create_time, messages[messages.length - 1]?.timestamp || createdAt),
+        metadata: {
+          imported: { format: 'chatgpt', messageId: message.id },
+          ...(message.metadata?.model_slug && { model: message.metadata.model_slug })
+        }
+      });
+    }
+
+    return {
+      sourceId: conversation.conversation_id || conversation.id,
+      title: conversation.title || 'Imported ChatGPT conversation',
+      // Untitled conversations are titled automatically like new sessions
+      titleSource: conversation.title ? 'import' : 'default',
+      createdAt,
+      updatedAt: toISO(conversation.update_time, createdAt),
+      messages,
+      facts: [],
+      context: [],
+      entities: []
+    };
+  });
+}
+
+function claudeText(message) {
+  if (Array.isArray(message.content) && message.content.length > 0) {
+    const text = message.content
+      .filter(part => part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n')
+      .trim();
+    if (text) return text;
+  }
+  return typeof message.text === 'string' ? message.text.trim() : '';
+}
+
+function parseClaude(data) {
+  const conversations = Array.isArray(data) ? data : [data];
+
+  return conversations.map(conversation => {
+    const createdAt = toISO(conversation.created_at, new Date().toISOString());
+    const messages = [];
+
+    for (const message of conversation.chat_messages || []) {
+      const text = claudeText(message);
+      if (!text) continue;
+
+      const attachments = [...(message.attachments || []), ...(message.files || [])]
+        .map(file => file.file_name)
+        .filter(Boolean);
+
+      messages.push({
+        role: message.sender === 'human' ? 'user' : message.sender,
+        text,
+        timestamp: toISO(message.created_at, messages[messages.length - 1]?.timestamp || createdAt),
+        metadata: {
+          imported: { format: 'claude', messageId: message.uuid },
+          ...(attachments.length > 0 && { attachments })
+        }
+      });
+    }
+
+    return {
+      sourceId: conversation.uuid,
+      title: conversation.name || 'Imported Claude conversation',
+      titleSource: conversation.name ? 'import' : 'default',
+      createdAt,
+      updatedAt: toISO(conversation.updated_at, createdAt),
+      messages,
+      facts: [],
+      context: [],
+      entities: []
+    };
+  });
+}
+
+function parseThinkDrop(data) {
+  return data.sessions.map(({ session, messages = [], facts = [], context = [], entities = [] }) => ({
+    sourceId: session.id,
+    title: session.title,
+    // Keeps whether the title was set by the user or generated (older exports: imported)
+    titleSource: session.titleSource || 'import',
+    type: session.type,
+    createdAt: toISO(session.createdAt, new Date().toISOString()),
+    updatedAt: toISO(session.lastActivityAt || session.updatedAt, null),
+    contextData: session.contextData,
+    activeLeafSourceId: session.activeLeafId || null,
+    messages: messages
+      .filter(message => message.text && (message.status || 'complete') === 'complete')
+      .map(message => ({
+        sourceId: message.id,
+        // Exports from before branching have no parentId: keep them linear
+        parentSourceId: message.parentId,
+        role: message.sender,
+        text: message.text,
+        timestamp: toISO(message.timestamp, null),
+        metadata: { ...message.metadata, imported: { format: 'thinkdrop', messageId: message.id } }
+      })),
+    facts,
+    context,
+    entities
+  }));
+}
+
+const PARSERS = {
+  chatgpt: parseChatGPT,
+  claude: parseClaude,
+  thinkdrop: parseThinkDrop
+};
+
+/**
+ * Parse an export archive into normalized conversations
+ * format: 'auto' (default) or one of IMPORT_FORMATS
+ */
+function parseExport(data, format = 'auto') {
+  if (typeof data === 'string') {
+    data = JSON.parse(data);
+  }
+
+  const resolved = format === 'auto' ? detectFormat(data) : format;
+  if (!PARSERS[resolved]) {
+    throw new Error(`Invalid import format: ${format} (expected auto, ${IMPORT_FORMATS.join(', ')})`);
+  }
+
+  return { format: resolved, conversations: PARSERS[resolved](data) };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  parseExport
+};
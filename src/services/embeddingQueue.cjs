@@ -0,0 +1,365 @@
+/**
+ * Embedding Queue
+ * Durable embedding jobs with retry/backoff and a background worker
+ *
+ * Jobs live in embedding_jobs (one row per message). The worker embeds the
+ * message's current content, so edits queued before a retry are picked up.
+ *
+ * The worker also embeds session entities stored without an embedding (new
+ * or renamed ones, for entity matching); those rows are their own queue.
+ */
+
+const { query, run } = require('../database/connection.cjs');
+const { storeMessageEmbedding, storeMessageChunks } = require('../handlers/semanticSearchHandler.cjs');
+const entityResolver = require('./entityResolver.cjs');
+const { toVectorParam, VECTOR_TYPE } = require('./vectorStore.cjs');
+
+const JOB_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+const MAX_ATTEMPTS = parseInt(process.env.EMBEDDING_JOB_MAX_ATTEMPTS || '8', 10);
+const BACKOFF_BASE_MS = parseInt(process.env.EMBEDDING_JOB_BACKOFF_MS || '30000', 10);
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.EMBEDDING_WORKER_INTERVAL_MS || '5000', 10);
+const BATCH_SIZE = 20;
+
+/**
+ * Delay before the next attempt: exponential with jitter, capped at an hour
+ */
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queue a message for embedding (resets an existing job for the same message)
+ */
+async function enqueueMessage(messageId, sessionId, reason = 'new') {
+  const now = new Date().toISOString();
+  await run(
+    `INSERT INTO embedding_jobs
+     (message_id, session_id, status, reason, attempts, last_error, next_attempt_at, created_at, updated_at)
+     VALUES (?, ?, 'pending', ?, 0, NULL, ?, ?, ?)
+     ON CONFLICT (message_id) DO UPDATE SET
+       status = 'pending', reason = excluded.reason, attempts = 0, last_error = NULL,
+       next_attempt_at = excluded.next_attempt_at, updated_at = excluded.updated_at`,
+    [messageId, sessionId, reason, now, now, now]
+  );
+}
+
+/**
+ * Queue every message matching a WHERE clause on conversation_messages
+ * Returns the number of messages queued.
+ */
+async function enqueueWhere(whereClause, params, reason) {
+  const countRows = await query(
+    `SELECT COUNT(*) as count FROM conversation_messages WHERE ${whereClause}`,
+    params
+  );
+  const count = parseInt(countRows[0]?.count) || 0;
+  if (count === 0) return 0;
+
+  const now = new Date().toISOString();
+  await run(
+    `INSERT INTO embedding_jobs
+     (message_id, session_id, status, reason, attempts, last_error, next_attempt_at, created_at, updated_at)
+     SELECT id, session_id, 'pending', ?, 0, NULL, ?, ?, ?
+     FROM conversation_messages WHERE ${whereClause}
+     ON CONFLICT (message_id) DO UPDATE SET
+       status = 'pending', reason = excluded.reason, attempts = 0, last_error = NULL,
+       next_attempt_at = excluded.next_attempt_at, updated_at = excluded.updated_at`,
+    [reason, now, now, now, ...params]
+  );
+  return count;
+}
+
+/**
+ * Queue messages that have no embedding and no job yet
+ */
+async function enqueueMissing() {
+  return enqueueWhere(
+    `embedding IS NULL AND content <> '' AND status = 'complete' AND deleted_at IS NULL
+     AND id NOT IN (SELECT message_id FROM embedding_jobs)`,
+    [],
+    'backfill'
+  );
+}
+
+/**
+ * Drop the job for a deleted message or session
+ */
+async function removeJobs({ messageId, sessionId }) {
+  if (messageId) {
+    await run(`DELETE FROM embedding_jobs WHERE message_id = ?`, [messageId]);
+  } else if (sessionId) {
+    await run(`DELETE FROM embedding_jobs WHERE session_id = ?`, [sessionId]);
+  }
+}
+
+/**
+ * Job counts by status, optionally for one session
+ */
+async function getQueueStatus(sessionId = null) {
+  const where = sessionId ? 'WHERE session_id = ?' : '';
+  const params = sessionId ? [sessionId] : [];
+
+  const rows = await query(
+    `SELECT status, COUNT(*) as count FROM embedding_jobs ${where} GROUP BY status`,
+    params
+  );
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  for (const row of rows) {
+    counts[row.status] = parseInt(row.count) || 0;
+  }
+
+  const oldest = await query(
+    `SELECT MIN(created_at) as oldest FROM embedding_jobs
+     WHERE status IN ('pending', 'running') ${sessionId ? 'AND session_id = ?' : ''}`,
+    params
+  );
+
+  const failures = await query(
+    `SELECT message_id, session_id, attempts, last_error, updated_at FROM embedding_jobs
+     WHERE status = 'failed' ${sessionId ? 'AND session_id = ?' : ''}
+     ORDER BY updated_at DESC LIMIT 10`,
+    params
+  );
+
+  const models = await query(
+    `SELECT embedding_model, COUNT(*) as count FROM conversation_messages
+     WHERE embedding IS NOT NULL ${sessionId ? 'AND session_id = ?' : ''}
+     GROUP BY embedding_model`,
+    params
+  );
+
+  return {
+    counts,
+    oldestPendingAt: oldest[0]?.oldest || null,
+    recentFailures: failures.map(f => ({
+      messageId: f.message_id,
+      sessionId: f.session_id,
+      attempts: Number(f.attempts),
+      error: f.last_error,
+      failedAt: f.updated_at
+    })),
+    embeddingsByModel: Object.fromEntries(
+      models.map(m => [m.embedding_model || 'unknown', parseInt(m.count) || 0])
+    )
+  };
+}
+
+/**
+ * Background worker that drains due jobs
+ */
+class EmbeddingWorker {
+  constructor(options = {}) {
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.batchSize = options.batchSize || BATCH_SIZE;
+    this.timer = null;
+    this.running = false;
+    this.pendingPoke = false;
+    this.entityFailures = 0;
+    this.entityRetryAt = 0;
+  }
+
+  get started() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Claim due pending jobs and mark them running
+   */
+  async claimBatch() {
+    const now = new Date().toISOString();
+    const jobs = await query(
+      `SELECT message_id, session_id, attempts FROM embedding_jobs
+       WHERE status = 'pending' AND next_attempt_at <= ?
+       ORDER BY next_attempt_at ASC
+       LIMIT ?`,
+      [now, this.batchSize]
+    );
+
+    for (const job of jobs) {
+      await run(
+        `UPDATE embedding_jobs SET status = 'running', updated_at = ? WHERE message_id = ?`,
+        [now, job.message_id]
+      );
+    }
+    return jobs;
+  }
+
+  async processJob(job) {
+    const attempts = Number(job.attempts) + 1;
+
+    try {
+      const messages = await query(
+        `SELECT content, status FROM conversation_messages WHERE id = ?`,
+        [job.message_id]
+      );
+
+      // Message deleted, its body offloaded by hibernation, or still streaming
+      // (message.finish queues it again): nothing to embed
+      if (messages.length === 0 || !messages[0].content || messages[0].status !== 'complete') {
+        await run(`DELETE FROM embedding_jobs WHERE message_id = ?`, [job.message_id]);
+        return;
+      }
+
+      const text = messages[0].content;
+      const { embeddingModel } = await storeMessageEmbedding(job.message_id, text);
+
+      const chunks = await storeMessageChunks(job.message_id, job.session_id, text);
+      if (chunks.chunkCount > 0 && chunks.embeddedCount < chunks.chunkCount) {
+        throw new Error(`Embedded ${chunks.embeddedCount}/${chunks.chunkCount} chunks`);
+      }
+
+      await run(
+        `UPDATE embedding_jobs
+         SET status = 'done', attempts = ?, last_error = NULL, embedding_model = ?, updated_at = ?
+         WHERE message_id = ?`,
+        [attempts, embeddingModel, new Date().toISOString(), job.message_id]
+      );
+    } catch (error) {
+      const failed = attempts >= MAX_ATTEMPTS;
+      const nextAttempt = new Date(Date.now() + backoffDelay(attempts)).toISOString();
+
+      await run(
+        `UPDATE embedding_jobs
+         SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+         WHERE message_id = ?`,
+        [failed ? 'failed' : 'pending', attempts, error.message, nextAttempt, new Date().toISOString(), job.message_id]
+      );
+
+      if (failed) {
+        console.error(`❌ [EMBED-QUEUE] Job for ${job.message_id} failed after ${attempts} attempts:`, error.message);
+      } else {
+        console.warn(`⚠️ [EMBED-QUEUE] Job for ${job.message_id} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying at ${nextAttempt}`);
+      }
+    }
+  }
+
+  /**
+   * Embed a batch of entities that have no embedding
+   * Returns how many were embedded. While the provider fails, entities wait
+   * out the job backoff instead of being retried on every poll.
+   */
+  async embedPendingEntities() {
+    if (!entityResolver.embeddingMatch || Date.now() < this.entityRetryAt) return 0;
+
+    const entities = await query(
+      `SELECT id, entity_value FROM session_entities
+       WHERE embedding IS NULL
+       ORDER BY first_mentioned_at ASC
+       LIMIT ?`,
+      [this.batchSize]
+    );
+
+    let embedded = 0;
+    for (const entity of entities) {
+      const result = await entityResolver.embed(entity.entity_value);
+      if (!result) {
+        this.entityFailures++;
+        this.entityRetryAt = Date.now() + backoffDelay(this.entityFailures);
+        return embedded;
+      }
+      // A value changed meanwhile is picked up by the next batch
+      await run(
+        `UPDATE session_entities SET embedding = ?::${VECTOR_TYPE}, embedding_model = ?
+         WHERE id = ? AND entity_value = ?`,
+        [toVectorParam(result.embedding), result.model, entity.id, entity.entity_value]
+      );
+      embedded++;
+    }
+    this.entityFailures = 0;
+    return embedded;
+  }
+
+  /**
+   * Process due jobs until none are left
+   */
+  async runOnce() {
+    if (this.running) {
+      this.pendingPoke = true;
+      return { processed: 0, skipped: true };
+    }
+
+    this.running = true;
+    let processed = 0;
+    let entities = 0;
+    try {
+      let jobs;
+      do {
+        this.pendingPoke = false;
+        jobs = await this.claimBatch();
+        for (const job of jobs) {
+          await this.processJob(job);
+          processed++;
+        }
+      } while (jobs.length > 0 || this.pendingPoke);
+
+      let batch;
+      do {
+        batch = await this.embedPendingEntities();
+        entities += batch;
+      } while (batch === this.batchSize);
+    } catch (error) {
+      console.error('❌ [EMBED-QUEUE] Worker run failed:', error);
+    } finally {
+      this.running = false;
+    }
+
+    if (processed > 0) {
+      console.log(`✅ [EMBED-QUEUE] Processed ${processed} embedding job(s)`);
+    }
+    if (entities > 0) {
+      console.log(`✅ [EMBED-QUEUE] Embedded ${entities} entit${entities === 1 ? 'y' : 'ies'}`);
+    }
+    return { processed, entities };
+  }
+
+  /**
+   * Process new jobs soon instead of waiting for the next poll
+   */
+  poke() {
+    if (!this.started) return;
+    setImmediate(() => this.runOnce());
+  }
+
+  /**
+   * Recover interrupted jobs, backfill unembedded messages and start polling
+   */
+  async start() {
+    if (this.started) return;
+
+    // Jobs left running by a crash or shutdown go back to the queue
+    await run(`UPDATE embedding_jobs SET status = 'pending' WHERE status = 'running'`);
+
+    const backfilled = await enqueueMissing();
+    if (backfilled > 0) {
+      console.log(`🔄 [EMBED-QUEUE] Queued ${backfilled} unembedded message(s) for backfill`);
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.pollIntervalMs);
+    this.timer.unref();
+    console.log(`✅ [EMBED-QUEUE] Worker started (polling every ${this.pollIntervalMs}ms)`);
+
+    this.poke();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+const embeddingWorker = new EmbeddingWorker();
+
+module.exports = {
+  enqueueMessage,
+  enqueueWhere,
+  enqueueMissing,
+  removeJobs,
+  getQueueStatus,
+  embeddingWorker,
+  JOB_STATUSES
+};
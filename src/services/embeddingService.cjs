@@ -0,0 +1,221 @@
+/**
+ * Embedding Service
+ * Pluggable embedding providers selected by config, with an offline local fallback
+ *
+ * Providers:
+ * - phi4:   ThinkDrop Phi4 service (`embedding.generate`)
+ * - openai: any OpenAI-compatible `/v1/embeddings` endpoint
+ * - local:  deterministic hashed n-gram vectors, no network required
+ *
+ * Every embedding is tagged with a model id (`provider:model`) so vectors
+ * from different models are never compared.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Vectors are stored as FLOAT[N]; every provider must produce exactly N values
+const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS || '384', 10);
+
+/**
+ * Phi4 HTTP provider
+ */
+class Phi4EmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'phi4';
+    this.endpoint = options.endpoint || process.env.PHI4_ENDPOINT || 'http://127.0.0.1:3003';
+    this.apiKey = options.apiKey || process.env.PHI4_API_KEY;
+    this.model = options.model || process.env.PHI4_EMBEDDING_MODEL || 'phi4-embedding';
+    this.timeout = options.timeout || 10000;
+  }
+
+  get modelId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async embed(text) {
+    const response = await axios.post(
+      `${this.endpoint}/embedding.generate`,
+      {
+        version: 'mcp.v1',
+        service: 'phi4',
+        action: 'embedding.generate',
+        requestId: `req_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        payload: {
+          text,
+          options: {
+            normalize: true,
+            pooling: 'mean'
+          }
+        }
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': this.apiKey
+        },
+        timeout: this.timeout
+      }
+    );
+
+    const embedding = response.data?.data?.embedding;
+    if (!Array.isArray(embedding)) {
+      throw new Error('Phi4 returned no embedding');
+    }
+    return embedding;
+  }
+}
+
+/**
+ * OpenAI-compatible provider (OpenAI, Ollama, LM Studio, vLLM, ...)
+ */
+class OpenAICompatibleEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.EMBEDDING_OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.EMBEDDING_OPENAI_API_KEY;
+    this.model = options.model || process.env.EMBEDDING_OPENAI_MODEL || 'text-embedding-3-small';
+    this.timeout = options.timeout || 10000;
+  }
+
+  get modelId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async embed(text) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/embeddings`,
+      { model: this.model, input: text },
+      { headers, timeout: this.timeout }
+    );
+
+    const embedding = response.data?.data?.[0]?.embedding;
+    if (!Array.isArray(embedding)) {
+      throw new Error('Embedding endpoint returned no embedding');
+    }
+    return embedding;
+  }
+}
+
+/**
+ * Local provider: signed feature hashing of word unigrams and character trigrams.
+ * Deterministic and offline; weaker than a neural model but good for lexical overlap.
+ */
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || EMBEDDING_DIMENSIONS;
+    this.model = `hash-ngram-v1-${this.dimensions}`;
+  }
+
+  get modelId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  // 32-bit FNV-1a
+  hash(feature) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+      h ^= feature.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  addFeature(vector, feature, weight) {
+    const h = this.hash(feature);
+    const sign = (h & 0x80000000) ? -1 : 1;
+    vector[h % this.dimensions] += sign * weight;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+
+    for (const word of words) {
+      this.addFeature(vector, `w:${word}`, 1);
+
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        this.addFeature(vector, `c:${padded.substring(i, i + 3)}`, 0.5);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map(v => v / norm);
+  }
+}
+
+const PROVIDERS = {
+  phi4: Phi4EmbeddingProvider,
+  openai: OpenAICompatibleEmbeddingProvider,
+  local: LocalEmbeddingProvider
+};
+
+function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider: ${name} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options);
+}
+
+function checkDimensions(embedding, provider) {
+  if (embedding.length !== EMBEDDING_DIMENSIONS) {
+    throw new Error(
+      `${provider.modelId} returned ${embedding.length} dimensions, expected ${EMBEDDING_DIMENSIONS} (EMBEDDING_DIMENSIONS)`
+    );
+  }
+  return embedding;
+}
+
+class EmbeddingService {
+  constructor() {
+    this.primary = createProvider(process.env.EMBEDDING_PROVIDER || 'phi4');
+
+    // EMBEDDING_FALLBACK_PROVIDER=none disables the fallback
+    const fallbackName = process.env.EMBEDDING_FALLBACK_PROVIDER || 'local';
+    this.fallback = fallbackName !== 'none' && fallbackName !== this.primary.name
+      ? createProvider(fallbackName)
+      : null;
+  }
+
+  /**
+   * Embed text with the primary provider, falling back when it fails
+   * or returns the wrong number of dimensions.
+   * Returns { embedding, model, provider, fallback }.
+   */
+  async embed(text) {
+    try {
+      const embedding = checkDimensions(await this.primary.embed(text), this.primary);
+      return { embedding, model: this.primary.modelId, provider: this.primary.name, fallback: false };
+    } catch (error) {
+      if (!this.fallback) {
+        throw error;
+      }
+      console.warn(`⚠️ [EMBEDDING] ${this.primary.name} failed (${error.message}), using ${this.fallback.name}`);
+      const embedding = checkDimensions(await this.fallback.embed(text), this.fallback);
+      return { embedding, model: this.fallback.modelId, provider: this.fallback.name, fallback: true };
+    }
+  }
+
+  /**
+   * Describe the configured providers
+   */
+  getInfo() {
+    return {
+      dimensions: EMBEDDING_DIMENSIONS,
+      primary: { provider: this.primary.name, model: this.primary.modelId },
+      fallback: this.fallback ? { provider: this.fallback.name, model: this.fallback.modelId } : null
+    };
+  }
+}
+
+module.exports = new EmbeddingService();
+module.exports.createProvider = createProvider;
+module.exports.EMBEDDING_DIMENSIONS = EMBEDDING_DIMENSIONS;
@@ -0,0 +1,224 @@
+/**
+ * Entity Resolver
+ * Maps a mentioned entity onto the session's canonical entity of the same type
+ *
+ * Matching, first hit wins:
+ * 1. dictionary: the alias dictionary names the canonical form ("NYC" → "New York City")
+ * 2. exact:      a known alias with the same normalized form (case, periods,
+ *                apostrophes and separators ignored)
+ * 3. fuzzy:      edit-distance similarity ≥ ENTITY_FUZZY_THRESHOLD
+ * 4. embedding:  cosine similarity of the canonical values' embeddings
+ *                ≥ ENTITY_EMBEDDING_THRESHOLD (same embedding model only)
+ *
+ * A mention is only embedded here when the earlier steps found nothing and
+ * the session has embedded entities of its type to compare with. New
+ * entities are stored without an embedding; the embedding worker adds it.
+ *
+ * Values whose numbers differ ("iPhone 14", "iPhone 15") never match by
+ * similarity. Types are never crossed: "Apple" the organization and "apple"
+ * the food stay apart.
+ *
+ * The dictionary is the built-in one below extended by the JSON file at
+ * ENTITY_ALIASES_FILE: { "<type or *>": { "<canonical>": ["<alias>", ...] } }.
+ */
+
+const fs = require('fs');
+const { query } = require('../database/connection.cjs');
+const embeddingService = require('./embeddingService.cjs');
+const { toVectorParam, VECTOR_TYPE } = require('./vectorStore.cjs');
+
+const FUZZY_THRESHOLD = parseFloat(process.env.ENTITY_FUZZY_THRESHOLD || '0.85');
+const EMBEDDING_THRESHOLD = parseFloat(process.env.ENTITY_EMBEDDING_THRESHOLD || '0.92');
+const EMBEDDING_MATCH = process.env.ENTITY_EMBEDDING_MATCH !== 'false';
+// Shorter values are too easy to confuse by edit distance ("Jon", "Jan")
+const FUZZY_MIN_LENGTH = 5;
+
+const BUILTIN_ALIASES = {
+  place: {
+    'New York City': ['NYC', 'New York', 'NY City'],
+    'Los Angeles': ['LA', 'L.A.'],
+    'San Francisco': ['SF', 'San Fran'],
+    'United States': ['US', 'USA', 'U.S.', 'U.S.A.', 'United States of America'],
+    'United Kingdom': ['UK', 'U.K.', 'Great Britain', 'Britain']
+  }
+};
+
+/**
+ * Lookup form of an entity value
+ */
+function normalizeEntityValue(value) {
+  return String(value)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[\s_,-]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein similarity in [0, 1]
+ */
+function editSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+function numbersOf(normalized) {
+  return (normalized.match(/\d+/g) || []).join(' ');
+}
+
+class EntityResolver {
+  constructor(options = {}) {
+    this.fuzzyThreshold = options.fuzzyThreshold ?? FUZZY_THRESHOLD;
+    this.embeddingThreshold = options.embeddingThreshold ?? EMBEDDING_THRESHOLD;
+    this.embeddingMatch = options.embeddingMatch ?? EMBEDDING_MATCH;
+    this.aliasesFile = options.aliasesFile ?? process.env.ENTITY_ALIASES_FILE;
+    this.dictionary = new Map();
+    this.loadDictionary();
+  }
+
+  /**
+   * (Re)build the dictionary: `${type}:${normalized alias}` → canonical value
+   */
+  loadDictionary() {
+    const sources = [BUILTIN_ALIASES];
+    if (this.aliasesFile) {
+      try {
+        sources.push(JSON.parse(fs.readFileSync(this.aliasesFile, 'utf8')));
+      } catch (error) {
+        console.warn(`⚠️ [ENTITY] Could not load alias dictionary ${this.aliasesFile}:`, error.message);
+      }
+    }
+
+    this.dictionary.clear();
+    for (const source of sources) {
+      for (const [type, entries] of Object.entries(source)) {
+        for (const [canonical, aliases] of Object.entries(entries || {})) {
+          for (const alias of [canonical, ...(Array.isArray(aliases) ? aliases : [])]) {
+            this.dictionary.set(`${type}:${normalizeEntityValue(alias)}`, canonical);
+          }
+        }
+      }
+    }
+    return this.dictionary.size;
+  }
+
+  /**
+   * Canonical form from the dictionary (type-specific entries before "*")
+   */
+  lookupDictionary(entityType, normalized) {
+    return this.dictionary.get(`${entityType}:${normalized}`)
+      || this.dictionary.get(`*:${normalized}`)
+      || null;
+  }
+
+  /**
+   * Embed a canonical value; null when no provider is available
+   */
+  async embed(value) {
+    if (!this.embeddingMatch) return null;
+    try {
+      const { embedding, model } = await embeddingService.embed(value);
+      return { embedding, model };
+    } catch (error) {
+      console.warn(`⚠️ [ENTITY] Could not embed "${value}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find the canonical entity a mention belongs to
+   * Returns { canonicalValue, normalized, entityId, matchedBy, similarity, embedding }:
+   * entityId is null when the mention is a new entity (to be stored as
+   * canonicalValue, with embedding if one was computed for matching).
+   */
+  async resolve(sessionId, entityType, value) {
+    const normalized = normalizeEntityValue(value);
+    const dictionaryValue = this.lookupDictionary(entityType, normalized);
+    const canonicalValue = dictionaryValue || String(value).trim();
+    const canonicalNormalized = normalizeEntityValue(canonicalValue);
+    const result = { canonicalValue, normalized, entityId: null, matchedBy: dictionaryValue ? 'dictionary' : 'exact', similarity: null, embedding: null };
+
+    const aliases = await query(
+      `SELECT a.entity_id, a.normalized_alias, e.mention_count, e.embedding IS NOT NULL AS embedded
+       FROM entity_aliases a
+       JOIN session_entities e ON e.id = a.entity_id
+       WHERE a.session_id = ? AND a.entity_type = ?`,
+      [sessionId, entityType]
+    );
+
+    // Exact (or dictionary) match, preferring the most mentioned entity
+    const exact = aliases
+      .filter(alias => alias.normalized_alias === normalized || alias.normalized_alias === canonicalNormalized)
+      .sort((a, b) => Number(b.mention_count) - Number(a.mention_count))[0];
+    if (exact) {
+      return { ...result, entityId: exact.entity_id, similarity: 1 };
+    }
+    if (dictionaryValue) {
+      return result;
+    }
+
+    const numbers = numbersOf(normalized);
+    if (normalized.length >= FUZZY_MIN_LENGTH) {
+      let best = null;
+      for (const alias of aliases) {
+        if (alias.normalized_alias.length < FUZZY_MIN_LENGTH || numbersOf(alias.normalized_alias) !== numbers) continue;
+        const similarity = editSimilarity(normalized, alias.normalized_alias);
+        if (similarity >= this.fuzzyThreshold && (!best || similarity > best.similarity)) {
+          best = { entityId: alias.entity_id, similarity };
+        }
+      }
+      if (best) {
+        return { ...result, entityId: best.entityId, matchedBy: 'fuzzy', similarity: Math.round(best.similarity * 1000) / 1000 };
+      }
+    }
+
+    // Nothing to compare an embedding with
+    if (!this.embeddingMatch || !aliases.some(alias => alias.embedded)) {
+      return result;
+    }
+    const embedded = await this.embed(canonicalValue);
+    result.embedding = embedded;
+    if (!embedded) {
+      return result;
+    }
+
+    const candidates = await query(
+      `SELECT id, entity_value, array_cosine_similarity(embedding, ?::${VECTOR_TYPE}) AS similarity
+       FROM session_entities
+       WHERE session_id = ? AND entity_type = ? AND embedding IS NOT NULL AND embedding_model = ?
+       ORDER BY similarity DESC
+       LIMIT 5`,
+      [toVectorParam(embedded.embedding), sessionId, entityType, embedded.model]
+    );
+    const match = candidates.find(candidate =>
+      Number(candidate.similarity) >= this.embeddingThreshold &&
+      numbersOf(normalizeEntityValue(candidate.entity_value)) === numbers
+    );
+    if (match) {
+      return { ...result, entityId: match.id, matchedBy: 'embedding', similarity: Math.round(Number(match.similarity) * 1000) / 1000 };
+    }
+    return result;
+  }
+}
+
+const entityResolver = new EntityResolver();
+
+module.exports = entityResolver;
+module.exports.EntityResolver = EntityResolver;
+module.exports.normalizeEntityValue = normalizeEntityValue;
+module.exports.editSimilarity = editSimilarity;
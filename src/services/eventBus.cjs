@@ -0,0 +1,101 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe for session, message and context changes
+ *
+ * Events look like { id, type, sessionId, timestamp, data }. Ids are
+ * `<bootId>-<seq>`: the last EVENT_BUFFER_SIZE events are kept so a client
+ * can resume after its Last-Event-ID. An id from an earlier process, or one
+ * that has already left the buffer, cannot be replayed and the client has to
+ * resync from the API instead.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = [
+  'session.created',
+  'session.updated',
+  'session.deleted',
+  'session.switched',
+  'message.added',
+  'message.appended',
+  'message.updated',
+  'message.deleted',
+  'context.extracted'
+];
+
+class EventBus {
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize ?? parseInt(process.env.EVENT_BUFFER_SIZE || '1000', 10);
+    this.bootId = crypto.randomBytes(4).toString('hex');
+    this.seq = 0;
+    this.buffer = [];
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Record an event and deliver it to every subscriber
+   * Subscriber errors are logged; they never fail the change that raised the event.
+   */
+  publish(type, sessionId, data = {}) {
+    const seq = ++this.seq;
+    const event = {
+      id: `${this.bootId}-${seq}`,
+      type,
+      sessionId: sessionId || null,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.buffer.push({ seq, event });
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    for (const listener of this.emitter.listeners('event')) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn(`⚠️ [EVENTS] Subscriber failed on ${type}:`, error.message);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Listen to every published event; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+
+  /**
+   * Buffered events published after lastEventId
+   * Returns null when that id cannot be resumed from.
+   */
+  since(lastEventId) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId));
+    if (!match || match[1] !== this.bootId) return null;
+
+    const seq = parseInt(match[2], 10);
+    if (seq > this.seq) return null;
+
+    const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.seq + 1;
+    if (seq < oldest - 1) return null; // events in between were dropped
+
+    return this.buffer.filter(entry => entry.seq > seq).map(entry => entry.event);
+  }
+
+  get lastEventId() {
+    return this.seq > 0 ? `${this.bootId}-${this.seq}` : null;
+  }
+}
+
+const eventBus = new EventBus();
+
+module.exports = eventBus;
+module.exports.EventBus = EventBus;
+module.exports.EVENT_TYPES = EVENT_TYPES;
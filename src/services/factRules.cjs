@@ -0,0 +1,475 @@
+/**
+ * Fact Rules
+ * Rule-based fact extraction, configurable without code changes
+ *
+ * The built-in rules below are extended by the JSON or YAML file at
+ * FACT_RULES_FILE ({ "rules": [...] } or a bare list). A file rule with the
+ * id of a built-in one overrides the fields it sets; "enabled: false"
+ * switches a rule off.
+ * The file is watched and reloaded when it changes; a file that fails to
+ * load leaves the previous rules in place.
+ *
+ * A rule:
+ *   id          unique name
+ *   pattern     regular expression (JavaScript syntax), first match is used
+ *   flags       regex flags (default "i"; g and y are not allowed)
+ *   key         key template, e.g. "favorite_{1}"
+ *   value       value template (default "{1}")
+ *   transform   one or a list of trim, lowercase, uppercase, capitalize,
+ *               titlecase, collapse (whitespace), number, applied in order
+ *   confidence  0..1 (default 0.8)
+ *   entity      only match when capture group 1 contains an extracted entity
+ *               of this type ("*" for any type)
+ *
+ * Templates take {1}, {2}, ... for capture groups, {name} for named groups
+ * and {entity.value} / {entity.type} for the entity an entity rule found.
+ *
+ * Patterns that can backtrack catastrophically are refused: longer than
+ * MAX_PATTERN_LENGTH, or with a repeated or counted group that itself
+ * contains a quantifier or alternation, as in (a+)+, (a|ab)* or (.*a){12}.
+ * Rule tests (extractor.rules.test) and extraction with anything but the
+ * built-in patterns run in a worker thread that is stopped after
+ * FACT_RULES_TEST_TIMEOUT_MS. A rule that times out during extraction is
+ * disabled until the rules file is reloaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const RULES_FILE = process.env.FACT_RULES_FILE;
+const RELOAD_MS = parseInt(process.env.FACT_RULES_RELOAD_MS || '2000', 10);
+const TEST_TIMEOUT_MS = parseInt(process.env.FACT_RULES_TEST_TIMEOUT_MS || '1000', 10);
+const DEFAULT_CONFIDENCE = 0.8;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_TEST_TEXT_LENGTH = 10000;
+const MAX_TEST_RULES = 100;
+
+// Matches each { pattern, flags } against text, reporting every result as it goes
+const MATCH_WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+workerData.rules.forEach(({ pattern, flags }, index) => {
+  const match = workerData.text.match(new RegExp(pattern, flags));
+  parentPort.postMessage({ index, match: match && { values: [...match], groups: match.groups && { ...match.groups } } });
+});
+`;
+
+const BUILTIN_RULES = [
+  {
+    id: 'favorite',
+    pattern: "my (?:favorite|fav) (\\w+) is ([\\w\\s]+?)(?:\\.|$|,)",
+    key: 'favorite_{1}',
+    value: '{2}',
+    confidence: 0.9
+  },
+  {
+    id: 'user_name',
+    pattern: 'my name is (\\w+)',
+    key: 'user_name',
+    confidence: 0.95
+  },
+  {
+    id: 'likes',
+    pattern: "I (?:love|like|enjoy|prefer) ([\\w\\s]+?)(?:\\.|$|,)",
+    entity: '*',
+    key: 'likes_{entity.type}',
+    value: '{entity.value}',
+    confidence: 0.85
+  },
+  {
+    id: 'home_location',
+    pattern: "I(?:'m| am) from ([\\w\\s]+?)(?:\\.|$|,)",
+    entity: 'place',
+    key: 'home_location',
+    value: '{entity.value}',
+    confidence: 0.9
+  }
+];
+
+const TRANSFORMS = {
+  trim: value => value.trim(),
+  lowercase: value => value.toLowerCase(),
+  uppercase: value => value.toUpperCase(),
+  capitalize: value => value.charAt(0).toUpperCase() + value.slice(1),
+  titlecase: value => value.toLowerCase().replace(/(^|\s)(\p{L})/gu, (_, space, letter) => space + letter.toUpperCase()),
+  collapse: value => value.replace(/\s+/g, ' '),
+  number: value => {
+    const number = parseFloat(value.replace(/[^\d.-]/g, ''));
+    return Number.isFinite(number) ? String(number) : '';
+  }
+};
+
+/**
+ * Whether a repeated group contains a quantifier or alternation, the shapes
+ * that backtrack exponentially: (a+)+, (a|ab)*, (\w+\s?){2,}
+ * A fixed count ({12}) of such a group backtracks polynomially to that degree,
+ * so it counts too. Optional (?) is not repetition.
+ */
+function hasNestedRepetition(pattern) {
+  const groups = [{ varies: false }];
+  let closedGroup = null; // the group that just closed, if a quantifier may follow it
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const current = groups[groups.length - 1];
+    const follows = closedGroup;
+    closedGroup = null;
+
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (ch === '(') {
+      groups.push({ varies: false });
+    } else if (ch === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      if (closedGroup.varies) groups[groups.length - 1].varies = true;
+    } else if (ch === '|') {
+      current.varies = true;
+    } else if (ch === '*' || ch === '+' || (ch === '{' && /^\{\d+,\d*\}/.test(pattern.slice(i)))) {
+      if (follows?.varies) return true;
+      current.varies = true;
+    } else if (ch === '{' && /^\{\d+\}/.test(pattern.slice(i))) {
+      if (follows?.varies) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate a rule definition and compile its pattern
+ * Throws with the rule's id when it is invalid.
+ */
+function compileRule(rule) {
+  const name = rule?.id || JSON.stringify(rule);
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid rule: ${name}`);
+  }
+  if (typeof rule.id !== 'string' || !rule.id) {
+    throw new Error(`Rule ${name}: id is required`);
+  }
+  if (typeof rule.pattern !== 'string' || !rule.pattern) {
+    throw new Error(`Rule ${name}: pattern is required`);
+  }
+  if (typeof rule.key !== 'string' || !rule.key) {
+    throw new Error(`Rule ${name}: key is required`);
+  }
+
+  if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Rule ${name}: pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (hasNestedRepetition(rule.pattern)) {
+    throw new Error(`Rule ${name}: pattern repeats or counts a group that contains a quantifier or alternation (risk of catastrophic backtracking)`);
+  }
+
+  const flags = rule.flags ?? 'i';
+  if (/[gy]/.test(flags)) {
+    throw new Error(`Rule ${name}: flags g and y are not supported`);
+  }
+  let regex;
+  try {
+    regex = new RegExp(rule.pattern, flags);
+  } catch (error) {
+    throw new Error(`Rule ${name}: ${error.message}`);
+  }
+
+  const transforms = [].concat(rule.transform ?? []);
+  const unknown = transforms.filter(transform => !TRANSFORMS[transform]);
+  if (unknown.length > 0) {
+    throw new Error(`Rule ${name}: unknown transform ${unknown.join(', ')} (expected ${Object.keys(TRANSFORMS).join(', ')})`);
+  }
+
+  const confidence = rule.confidence ?? DEFAULT_CONFIDENCE;
+  if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+    throw new Error(`Rule ${name}: confidence must be a number between 0 and 1`);
+  }
+
+  return {
+    id: rule.id,
+    pattern: rule.pattern,
+    flags,
+    regex,
+    key: rule.key,
+    value: rule.value ?? '{1}',
+    transforms,
+    confidence,
+    entity: rule.entity ?? null,
+    enabled: rule.enabled !== false,
+    builtInPattern: BUILTIN_RULES.some(builtIn => builtIn.pattern === rule.pattern && flags === 'i')
+  };
+}
+
+function renderTemplate(template, match, entity) {
+  return template.replace(/\{([\w.]+)\}/g, (_, name) => {
+    if (/^\d+$/.test(name)) return match[Number(name)] ?? '';
+    if (name === 'entity.value') return entity?.value ?? '';
+    if (name === 'entity.type') return entity?.type ?? '';
+    return match.groups?.[name] ?? '';
+  });
+}
+
+/**
+ * Run one compiled rule; returns the fact it finds or null
+ * match: the rule's match on text when it was already found elsewhere.
+ */
+function applyRule(rule, text, entities = [], match = text.match(rule.regex)) {
+  if (!match) return null;
+
+  let entity = null;
+  if (rule.entity) {
+    const captured = (match[1] ?? match[0]).toLowerCase();
+    entity = entities.find(candidate =>
+      (rule.entity === '*' || candidate.type === rule.entity) &&
+      captured.includes(String(candidate.value).toLowerCase())
+    );
+    if (!entity) return null;
+  }
+
+  const key = renderTemplate(rule.key, match, entity).trim();
+  const value = ['trim', ...rule.transforms]
+    .reduce((current, transform) => TRANSFORMS[transform](current), renderTemplate(rule.value, match, entity));
+  if (!key || !value) return null;
+
+  return { key, value, confidence: rule.confidence, ruleId: rule.id, match: match[0] };
+}
+
+/**
+ * Match compiled rules against text in a worker thread
+ * Resolves to one entry per rule: { match } (null if it did not match), or
+ * { error } for the rule still running when timeoutMs ran out (with
+ * timedOut: true) and the rules after it.
+ */
+function matchInWorker(rules, text, timeoutMs = TEST_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(rules.length).fill(null);
+    let received = 0;
+    const worker = new Worker(MATCH_WORKER_SOURCE, {
+      eval: true,
+      workerData: { text, rules: rules.map(({ pattern, flags }) => ({ pattern, flags })) }
+    });
+
+    const finish = () => {
+      clearTimeout(timer);
+      worker.removeAllListeners();
+      worker.terminate();
+      resolve(results);
+    };
+    const timer = setTimeout(() => {
+      results.forEach((result, index) => {
+        if (result) return;
+        results[index] = index === received
+          ? { error: `timed out after ${timeoutMs}ms`, timedOut: true }
+          : { error: `not run: rule ${rules[received].id} timed out` };
+      });
+      console.warn(`⚠️ [FACT-RULES] Rule ${rules[received].id} timed out after ${timeoutMs}ms`);
+      finish();
+    }, timeoutMs);
+
+    worker.on('message', ({ index, match }) => {
+      results[index] = { match: match && Object.assign(match.values, { groups: match.groups }) };
+      received++;
+      if (received === rules.length) finish();
+    });
+    worker.on('error', (error) => {
+      clearTimeout(timer);
+      worker.removeAllListeners();
+      reject(error);
+    });
+    if (rules.length === 0) finish();
+  });
+}
+
+/**
+ * Rule definitions from a JSON or YAML file
+ */
+function readRulesFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const parsed = /\.ya?ml$/i.test(file) ? require('yaml').parse(text) : JSON.parse(text);
+  const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('expected a list of rules or { "rules": [...] }');
+  }
+  return rules;
+}
+
+class FactRules {
+  constructor(options = {}) {
+    this.file = options.file ?? (RULES_FILE ? path.resolve(RULES_FILE) : null);
+    this.reloadMs = options.reloadMs ?? RELOAD_MS;
+    this.rules = [];
+    this.hits = new Map();
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watching = false;
+    this.load();
+  }
+
+  /**
+   * Rebuild the rule list from the built-ins and the rules file
+   * On error the current rules are kept and the error is remembered.
+   */
+  load() {
+    try {
+      const byId = new Map(BUILTIN_RULES.map(rule => [rule.id, rule]));
+      if (this.file) {
+        for (const rule of readRulesFile(this.file)) {
+          byId.set(rule?.id, { ...byId.get(rule?.id), ...rule });
+        }
+      }
+      this.rules = [...byId.values()].map(compileRule);
+      this.loadedAt = new Date().toISOString();
+      this.lastError = null;
+
+      const enabled = this.rules.filter(rule => rule.enabled).length;
+      console.log(`✅ [FACT-RULES] Loaded ${enabled} rule(s)${this.file ? ` (${this.file})` : ''}`);
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error(`❌ [FACT-RULES] Failed to load ${this.file}, keeping ${this.rules.length} rule(s):`, error.message);
+      if (this.rules.length === 0) {
+        this.rules = BUILTIN_RULES.map(compileRule);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Reload the rules file whenever it changes
+   */
+  watch() {
+    if (!this.file || this.watching || this.reloadMs <= 0) return;
+
+    fs.watchFile(this.file, { interval: this.reloadMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+      console.log(`🔄 [FACT-RULES] ${this.file} changed, reloading`);
+      this.load();
+    });
+    this.watching = true;
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.file);
+    this.watching = false;
+  }
+
+  /**
+   * Facts found by the enabled rules, counting a hit for each matching rule
+   * entities are those extracted from the same text (for entity rules).
+   * Built-in patterns match inline; the others match in a worker thread, and
+   * a rule that times out there is disabled and the rest are matched again.
+   */
+  async extract(text, entities = [], { entityRules } = {}) {
+    const selected = this.rules.filter(rule =>
+      rule.enabled && (entityRules === undefined || Boolean(rule.entity) === entityRules));
+
+    const matches = new Map();
+    for (const rule of selected) {
+      if (rule.builtInPattern) matches.set(rule, text.match(rule.regex));
+    }
+
+    let pending = selected.filter(rule => !rule.builtInPattern);
+    while (pending.length > 0) {
+      const results = await matchInWorker(pending, text);
+      const timedOut = results.findIndex(result => result.timedOut);
+      results.slice(0, timedOut === -1 ? undefined : timedOut)
+        .forEach((result, index) => matches.set(pending[index], result.match));
+      if (timedOut === -1) break;
+
+      this.disable(pending[timedOut], results[timedOut].error);
+      pending = pending.slice(timedOut + 1);
+    }
+
+    const facts = [];
+    for (const rule of selected) {
+      const fact = matches.has(rule) ? applyRule(rule, text, entities, matches.get(rule)) : null;
+      if (fact) {
+        const stats = this.hits.get(rule.id) || { hits: 0, lastHitAt: null };
+        this.hits.set(rule.id, { hits: stats.hits + 1, lastHitAt: new Date().toISOString() });
+        facts.push(fact);
+      }
+    }
+    return facts;
+  }
+
+  /**
+   * Switch off a rule that failed while extracting, until the next load
+   */
+  disable(rule, reason) {
+    rule.enabled = false;
+    rule.disabledReason = reason;
+    console.error(`❌ [FACT-RULES] Disabled rule ${rule.id}: ${reason}`);
+  }
+
+  /**
+   * Run rules against sample text without counting hits
+   * rules: definitions to try instead of the loaded ones.
+   * Matching runs in a worker thread, so a slow pattern times out instead of
+   * blocking the service.
+   * Returns every rule's outcome (fact or null, or its error).
+   */
+  async test(text, entities = [], rules = null) {
+    if (text.length > MAX_TEST_TEXT_LENGTH) {
+      throw new Error(`text is longer than ${MAX_TEST_TEXT_LENGTH} characters`);
+    }
+    if (rules && rules.length > MAX_TEST_RULES) {
+      throw new Error(`At most ${MAX_TEST_RULES} rules can be tested at once`);
+    }
+
+    const candidates = rules
+      ? rules.map(rule => {
+        try {
+          return compileRule(rule);
+        } catch (error) {
+          return { id: rule?.id ?? null, error: error.message };
+        }
+      })
+      : this.rules;
+
+    const runnable = candidates.filter(rule => !rule.error && rule.enabled);
+    const matches = new Map((await matchInWorker(runnable, text)).map((result, index) => [runnable[index], result]));
+
+    return candidates.map(rule => {
+      if (rule.error) return { ruleId: rule.id, error: rule.error, fact: null };
+      const result = matches.get(rule);
+      if (result?.error) return { ruleId: rule.id, enabled: rule.enabled, error: result.error, fact: null };
+      return {
+        ruleId: rule.id,
+        enabled: rule.enabled,
+        fact: result ? applyRule(rule, text, entities, result.match) : null
+      };
+    });
+  }
+
+  /**
+   * Loaded rules with their hit counters
+   */
+  list() {
+    return this.rules.map(rule => ({
+      id: rule.id,
+      pattern: rule.pattern,
+      flags: rule.flags,
+      key: rule.key,
+      value: rule.value,
+      transform: rule.transforms,
+      confidence: rule.confidence,
+      entity: rule.entity,
+      enabled: rule.enabled,
+      disabledReason: rule.disabledReason || null,
+      builtIn: BUILTIN_RULES.some(builtIn => builtIn.id === rule.id),
+      hits: this.hits.get(rule.id)?.hits || 0,
+      lastHitAt: this.hits.get(rule.id)?.lastHitAt || null
+    }));
+  }
+}
+
+const factRules = new FactRules();
+
+module.exports = factRules;
+module.exports.FactRules = FactRules;
+module.exports.compileRule = compileRule;
+module.exports.applyRule = applyRule;
+module.exports.hasNestedRepetition = hasNestedRepetition;
+module.exports.BUILTIN_RULES = BUILTIN_RULES;
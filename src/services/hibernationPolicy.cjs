@@ -0,0 +1,72 @@
+/**
+ * Hibernation Policy
+ * Periodically hibernates sessions idle beyond a configurable age
+ */
+
+const { hibernateIdleSessions } = require('../handlers/sessionHandlers.cjs');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+class HibernationPolicy {
+  constructor(options = {}) {
+    // 0 disables auto-hibernation
+    this.idleHours = options.idleHours ?? parseFloat(process.env.SESSION_HIBERNATE_IDLE_HOURS ?? '72');
+    this.checkIntervalMinutes = options.checkIntervalMinutes ?? parseFloat(process.env.SESSION_HIBERNATE_CHECK_MINUTES ?? '60');
+    this.offloadMessages = options.offloadMessages ?? process.env.SESSION_HIBERNATE_OFFLOAD === 'true';
+    this.timer = null;
+    this.running = false;
+  }
+
+  get enabled() {
+    return this.idleHours > 0 && this.checkIntervalMinutes > 0;
+  }
+
+  /**
+   * Run one pass of the policy
+   */
+  async runOnce() {
+    if (this.running) return { hibernated: [], count: 0, skipped: true };
+
+    this.running = true;
+    try {
+      const result = await hibernateIdleSessions({
+        maxIdleMs: this.idleHours * HOUR_MS,
+        offloadMessages: this.offloadMessages
+      });
+      if (result.count > 0) {
+        console.log(`💤 [HIBERNATION] Auto-hibernated ${result.count} idle session(s)`);
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ [HIBERNATION] Policy run failed:', error);
+      return { hibernated: [], count: 0, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  start() {
+    if (!this.enabled) {
+      console.log('ℹ️ [HIBERNATION] Auto-hibernation disabled');
+      return;
+    }
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.checkIntervalMinutes * MINUTE_MS);
+    this.timer.unref();
+    console.log(`✅ [HIBERNATION] Auto-hibernating sessions idle > ${this.idleHours}h (checking every ${this.checkIntervalMinutes}m)`);
+
+    // Catch up on sessions that went idle while the service was down
+    this.runOnce();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = HibernationPolicy;
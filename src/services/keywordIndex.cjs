@@ -0,0 +1,230 @@
+/**
+ * Keyword Index
+ * BM25 full-text search over conversation messages via the DuckDB fts extension.
+ * Falls back to term matching with ILIKE when the extension cannot be loaded.
+ *
+ * DuckDB fts indexes are static snapshots that can only be refreshed by
+ * rebuilding them over the whole table, so writes don't rebuild: they schedule
+ * a background rebuild at most once every KEYWORD_INDEX_REBUILD_MS, and
+ * searches in between use the last built index.
+ */
+
+const { query, run } = require('../database/connection.cjs');
+
+// Keep digits and underscores so error codes and identifiers stay searchable
+const FTS_IGNORE_PATTERN = '[^a-z0-9_]+';
+const MAX_QUERY_TERMS = 10;
+const REBUILD_INTERVAL_MS = parseInt(process.env.KEYWORD_INDEX_REBUILD_MS || '30000', 10);
+
+class KeywordIndex {
+  constructor(options = {}) {
+    this.rebuildIntervalMs = options.rebuildIntervalMs ?? REBUILD_INTERVAL_MS;
+    this.ftsAvailable = null; // null = not probed yet
+    this.dirty = true;
+    this.building = null;
+    this.builtAt = null; // ms timestamp of the last completed build
+    this.rebuildTimer = null;
+  }
+
+  /**
+   * Flag the index as stale and schedule a background rebuild.
+   * Call after any insert, update or delete of message content.
+   */
+  markDirty() {
+    this.dirty = true;
+    this.scheduleRebuild();
+  }
+
+  /**
+   * Rebuild once the minimum interval since the last build has passed
+   * Nothing is scheduled before the first search has built the index.
+   */
+  scheduleRebuild() {
+    if (this.rebuildTimer || !this.ftsAvailable || this.builtAt === null) return;
+
+    const delay = Math.max(0, this.builtAt + this.rebuildIntervalMs - Date.now());
+    this.rebuildTimer = setTimeout(async () => {
+      this.rebuildTimer = null;
+      try {
+        await this.rebuild();
+      } catch (error) {
+        console.warn('⚠️ [KEYWORD] Background index rebuild failed:', error.message);
+      }
+    }, delay);
+    this.rebuildTimer.unref();
+  }
+
+  /**
+   * Load the fts extension once
+   */
+  async loadExtension() {
+    if (this.ftsAvailable !== null) return this.ftsAvailable;
+
+    try {
+      await run(`INSTALL fts`);
+      await run(`LOAD fts`);
+      this.ftsAvailable = true;
+      console.log('✅ [KEYWORD] fts extension loaded');
+    } catch (error) {
+      this.ftsAvailable = false;
+      console.warn('⚠️ [KEYWORD] fts extension unavailable, using ILIKE fallback:', error.message);
+    }
+    return this.ftsAvailable;
+  }
+
+  /**
+   * Build the BM25 index if it has never been built
+   * Later changes are picked up by the scheduled rebuild, not here.
+   */
+  async ensureIndex() {
+    if (this.builtAt === null) {
+      await this.rebuild();
+    }
+  }
+
+  /**
+   * Rebuild the BM25 index over all messages if they changed since the last build
+   */
+  async rebuild() {
+    if (this.building) return this.building;
+    if (!this.dirty) return;
+
+    this.building = (async () => {
+      this.dirty = false;
+      try {
+        await run(
+          `PRAGMA create_fts_index('conversation_messages', 'id', 'content',
+             stemmer = 'porter', ignore = '${FTS_IGNORE_PATTERN}', overwrite = 1)`
+        );
+        this.builtAt = Date.now();
+      } catch (error) {
+        this.dirty = true;
+        throw error;
+      } finally {
+        this.building = null;
+      }
+      // Writes during the build are not in it
+      if (this.dirty) this.scheduleRebuild();
+    })();
+
+    return this.building;
+  }
+
+  /**
+   * Rank messages by keyword relevance
+   * Filters: sessionId, role, sessionType, dateFrom, dateTo (all optional).
+   * Returns [{ id, score }] ordered best first.
+   */
+  async search(searchQuery, filters = {}) {
+    const { limit = 50 } = filters;
+    const where = buildMessageFilters(filters);
+
+    if (await this.loadExtension()) {
+      try {
+        await this.ensureIndex();
+        const rows = await query(
+          `SELECT id, score FROM (
+             SELECT id, fts_main_conversation_messages.match_bm25(id, ?) AS score
+             FROM conversation_messages
+             WHERE ${where.clause}
+           ) WHERE score IS NOT NULL
+           ORDER BY score DESC
+           LIMIT ?`,
+          [searchQuery, ...where.params, limit]
+        );
+        return rows.map(row => ({ id: row.id, score: Number(row.score) }));
+      } catch (error) {
+        console.warn('⚠️ [KEYWORD] BM25 search failed, using ILIKE fallback:', error.message);
+      }
+    }
+
+    return this.searchWithLike(searchQuery, where, limit);
+  }
+
+  /**
+   * Count matching query terms per message (no extension required)
+   */
+  async searchWithLike(searchQuery, where, limit) {
+    const terms = tokenizeQuery(searchQuery);
+    if (terms.length === 0) return [];
+
+    const score = likeScoreExpression('content', terms);
+    const rows = await query(
+      `SELECT id, score FROM (
+         SELECT id, (${score.sql}) AS score
+         FROM conversation_messages
+         WHERE ${where.clause}
+       ) WHERE score > 0
+       ORDER BY score DESC
+       LIMIT ?`,
+      [...score.params, ...where.params, limit]
+    );
+
+    return rows.map(row => ({ id: row.id, score: Number(row.score) / terms.length }));
+  }
+}
+
+/**
+ * Build a WHERE clause for message searches
+ */
+function buildMessageFilters({ sessionId, role, sessionType, dateFrom, dateTo } = {}) {
+  // Nothing in the trash is searchable
+  const conditions = [
+    'deleted_at IS NULL',
+    'session_id NOT IN (SELECT id FROM conversation_sessions WHERE deleted_at IS NOT NULL)'
+  ];
+  const params = [];
+
+  if (sessionId) {
+    conditions.push('session_id = ?');
+    params.push(sessionId);
+  }
+  if (role) {
+    conditions.push('role = ?');
+    params.push(role);
+  }
+  if (sessionType) {
+    conditions.push('session_id IN (SELECT id FROM conversation_sessions WHERE type = ?)');
+    params.push(sessionType);
+  }
+  if (dateFrom) {
+    conditions.push('created_at >= ?');
+    params.push(dateFrom);
+  }
+  if (dateTo) {
+    conditions.push('created_at <= ?');
+    params.push(dateTo);
+  }
+
+  return { clause: conditions.join(' AND '), params };
+}
+
+/**
+ * Split a search query into distinct terms, keeping identifiers like ERR_42 or config.yaml intact
+ */
+function tokenizeQuery(searchQuery) {
+  return Array.from(new Set(
+    searchQuery
+      .split(/\s+/)
+      .map(term => term.replace(/^[^\w]+|[^\w]+$/g, ''))
+      .filter(term => term.length > 1)
+  )).slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * SQL expression counting how many terms a column contains (case-insensitive)
+ */
+function likeScoreExpression(column, terms) {
+  const escapeLike = term => term.replace(/[\\%_]/g, ch => `\\${ch}`);
+  return {
+    sql: terms.map(() => `CAST(${column} ILIKE ? ESCAPE '\\' AS INTEGER)`).join(' + '),
+    params: terms.map(term => `%${escapeLike(term)}%`)
+  };
+}
+
+const keywordIndex = new KeywordIndex();
+
+module.exports = keywordIndex;
+module.exports.tokenizeQuery = tokenizeQuery;
+module.exports.likeScoreExpression = likeScoreExpression;
+module.exports.buildMessageFilters = buildMessageFilters;
@@ -0,0 +1,228 @@
+/**
+ * Local Entity Recognizer
+ * Offline entity recognition for when Phi4 is unavailable (or to add to its results)
+ *
+ * Patterns find dates and times (including relative phrases such as "next
+ * Tuesday" or "in 3 days"), emails, URLs, phone numbers, money amounts and
+ * file paths; a gazetteer finds places, people, organizations and products by
+ * name. Entities come back in Phi4's shape with Phi4-style type labels
+ * (DATE, EMAIL, LOCATION, ...), to be mapped with normalizeEntityType.
+ *
+ * Where matches overlap the stronger kind wins (an email is not also a URL,
+ * a date is not also a phone number), then the longer match.
+ *
+ * The built-in gazetteer is extended by the JSON file at ENTITY_GAZETTEER_FILE:
+ * { "<type label>": ["<name>", ...] }. Names that start with a capital letter
+ * only match capitalized text ("Paris", not "paris"); others match any case.
+ */
+
+const fs = require('fs');
+
+const GAZETTEER_FILE = process.env.ENTITY_GAZETTEER_FILE;
+
+const BUILTIN_GAZETTEER = {
+  LOCATION: [
+    'New York City', 'New York', 'NYC', 'Los Angeles', 'San Francisco', 'Chicago', 'Seattle', 'Boston', 'Austin',
+    'Miami', 'Denver', 'Toronto', 'Vancouver', 'Montreal', 'Mexico City', 'London', 'Paris', 'Berlin', 'Madrid',
+    'Barcelona', 'Rome', 'Milan', 'Amsterdam', 'Brussels', 'Vienna', 'Zurich', 'Stockholm', 'Copenhagen', 'Oslo',
+    'Dublin', 'Lisbon', 'Prague', 'Warsaw', 'Athens', 'Istanbul', 'Moscow', 'Dubai', 'Cairo', 'Lagos', 'Nairobi',
+    'Cape Town', 'Mumbai', 'Delhi', 'Bangalore', 'Singapore', 'Hong Kong', 'Shanghai', 'Beijing', 'Tokyo', 'Osaka',
+    'Seoul', 'Sydney', 'Melbourne', 'Auckland', 'São Paulo', 'Buenos Aires',
+    'United States', 'USA', 'Canada', 'Mexico', 'Brazil', 'Argentina', 'United Kingdom', 'UK', 'England',
+    'Scotland', 'Ireland', 'France', 'Germany', 'Spain', 'Portugal', 'Italy', 'Netherlands', 'Belgium',
+    'Switzerland', 'Austria', 'Sweden', 'Norway', 'Denmark', 'Finland', 'Poland', 'Greece', 'Turkey', 'Russia',
+    'Ukraine', 'Egypt', 'Nigeria', 'Kenya', 'South Africa', 'India', 'China', 'Japan', 'South Korea', 'Australia',
+    'New Zealand', 'California', 'Texas', 'Florida'
+  ],
+  ORGANIZATION: [
+    'Google', 'Microsoft', 'Apple', 'Amazon', 'Meta', 'Netflix', 'OpenAI', 'Anthropic', 'IBM', 'Intel', 'Nvidia',
+    'Tesla', 'Spotify', 'GitHub', 'Stripe', 'Shopify', 'Salesforce', 'Oracle', 'Samsung', 'Sony'
+  ],
+  PRODUCT: [
+    'iPhone', 'iPad', 'MacBook', 'macOS', 'iOS', 'Android', 'Windows', 'Linux', 'ChatGPT', 'Claude', 'Gemini',
+    'Slack', 'Zoom', 'Notion', 'Figma', 'Excel', 'PowerPoint', 'Photoshop', 'VS Code', 'Visual Studio Code',
+    'Chrome', 'Firefox', 'Safari', 'Docker', 'Kubernetes', 'PostgreSQL', 'DuckDB', 'Node.js', 'React', 'Python',
+    'JavaScript', 'TypeScript', 'PlayStation', 'Xbox', 'Nintendo Switch', 'Kindle', 'AirPods', 'Apple Watch'
+  ],
+  PERSON: []
+};
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY = '(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+const NUMBER_WORD = '(?:\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|a few|a couple(?: of)?)';
+const PERIOD = '(?:day|week|month|year|weekend)';
+const PART_OF_DAY = '(?:\\s+(?:morning|afternoon|evening|night))?';
+const ORDINAL = '\\d{1,2}(?:st|nd|rd|th)?';
+
+// Kinds in order of precedence when matches overlap
+const PATTERNS = [
+  {
+    type: 'EMAIL',
+    confidence: 0.99,
+    regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g
+  },
+  {
+    type: 'URL',
+    confidence: 0.98,
+    regex: /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/gi,
+    clean: value => value.replace(/[.,;:!?)\]]+$/, '')
+  },
+  {
+    type: 'MONEY',
+    confidence: 0.95,
+    regex: /(?:[$€£¥]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:k|m|bn|thousand|million|billion)\b)?|\b\d[\d,]*(?:\.\d+)?\s?(?:k\s)?(?:usd|eur|gbp|jpy|dollars?|euros?|pounds?|bucks)\b)/gi
+  },
+  {
+    type: 'DATE',
+    confidence: 0.95,
+    regex: new RegExp([
+      '\\b\\d{4}-\\d{2}-\\d{2}\\b',
+      '\\b\\d{1,2}[/.]\\d{1,2}[/.]\\d{2,4}\\b',
+      `\\b${MONTH}\\.?\\s+${ORDINAL}(?:,?\\s+\\d{4})?\\b`,
+      `\\b${ORDINAL}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+\\d{4})?\\b`,
+      `\\b${MONTH}\\s+\\d{4}\\b`
+    ].join('|'), 'gi')
+  },
+  {
+    type: 'DATE',
+    confidence: 0.9,
+    regex: new RegExp([
+      `\\b(?:the\\s+day\\s+(?:after|before)\\s+)?(?:today|tomorrow|yesterday)${PART_OF_DAY}\\b`,
+      `\\b(?:next|last|this|coming)\\s+(?:${WEEKDAY}|${PERIOD})${PART_OF_DAY}\\b`,
+      `\\bin\\s+${NUMBER_WORD}\\s+${PERIOD}s?\\b`,
+      `\\b${NUMBER_WORD}\\s+${PERIOD}s?\\s+(?:ago|from\\s+now)\\b`,
+      `\\b(?:on\\s+)?${WEEKDAY}${PART_OF_DAY}\\b`
+    ].join('|'), 'gi')
+  },
+  {
+    type: 'TIME',
+    confidence: 0.9,
+    regex: /\b(?:(?:[01]?\d|2[0-3]):[0-5]\d(?:\s?[ap]\.?m\.?)?|(?:1[0-2]|0?[1-9])\s?[ap]\.?m\.?|(?:1[0-2]|0?[1-9])\s+o'clock|noon|midnight|tonight|this\s+(?:morning|afternoon|evening))(?![\w])/gi
+  },
+  {
+    type: 'FILE_PATH',
+    confidence: 0.9,
+    regex: /(?:\b[a-z]:\\(?:[^\\\s:*?"<>|]+\\)*[^\\\s:*?"<>|]*|(?<![\w/.])(?:~|\.{1,2})?\/(?:[\w.@-]+\/)*[\w.@-]+\/?|\b[\w.-]+(?:\/[\w.@-]+)+\.\w{1,8}\b)/gi,
+    clean: value => value.replace(/[.,;:!?)]+$/, '')
+  },
+  {
+    type: 'PHONE',
+    confidence: 0.85,
+    // A leading + or area code in parentheses, or at least three digit groups;
+    // "2023-2024" and "2019 1234" are not phone numbers
+    regex: /(?<![\w.+-])(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d{1,4}(?:[\s.-]\d{2,4}){1,3}|\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]\d{3,4}|\d{2,4}[\s.-]\d{3,4}[\s.-]\d{3,4})(?![\w.-]?\d)/g,
+    accept: value => {
+      const groups = value.match(/\d+/g);
+      const digits = groups.join('').length;
+      const allYears = groups.every(group => /^(?:1[89]|20)\d{2}$/.test(group));
+      return digits >= 7 && digits <= 15 && !allYears;
+    }
+  },
+  {
+    type: 'PERSON',
+    confidence: 0.75,
+    // A name after a title or a relation ("Dr. Jane Smith", "my sister Anna")
+    regex: /\b(?:(?:[Mm]rs?|[Mm]s|[Mm]iss|[Dd]r|[Pp]rof)\.?\s+|(?:[Mm]y|[Oo]ur)\s+(?:wife|husband|partner|friend|boss|manager|colleague|coworker|brother|sister|son|daughter|mom|mother|dad|father|uncle|aunt|cousin)\s+)((?:[A-Z][\p{Ll}'-]+)(?:\s+[A-Z][\p{Ll}'-]+)?)/gu,
+    group: 1
+  }
+];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class LocalEntityRecognizer {
+  constructor(options = {}) {
+    this.gazetteerFile = options.gazetteerFile ?? GAZETTEER_FILE;
+    this.loadGazetteer();
+  }
+
+  /**
+   * Compile the built-in gazetteer merged with ENTITY_GAZETTEER_FILE
+   */
+  loadGazetteer() {
+    const names = new Map();
+    const add = (type, name) => {
+      const trimmed = String(name).trim();
+      if (trimmed) names.set(trimmed.toLowerCase(), { type, name: trimmed });
+    };
+
+    for (const [type, list] of Object.entries(BUILTIN_GAZETTEER)) {
+      list.forEach(name => add(type, name));
+    }
+    if (this.gazetteerFile) {
+      try {
+        const extra = JSON.parse(fs.readFileSync(this.gazetteerFile, 'utf8'));
+        for (const [type, list] of Object.entries(extra)) {
+          if (Array.isArray(list)) list.forEach(name => add(type, name));
+        }
+      } catch (error) {
+        console.warn(`⚠️ [LOCAL-NER] Failed to load gazetteer ${this.gazetteerFile}:`, error.message);
+      }
+    }
+
+    this.gazetteer = names;
+    // Longest names first so "New York City" wins over "New York"
+    const alternatives = [...names.values()]
+      .map(entry => entry.name)
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex);
+    this.gazetteerRegex = alternatives.length > 0
+      ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu')
+      : null;
+  }
+
+  /**
+   * Entities in text as { type, value, confidence, startPos, endPos }
+   */
+  recognize(text) {
+    if (!text) return [];
+
+    const candidates = [];
+    PATTERNS.forEach((pattern, precedence) => {
+      for (const match of text.matchAll(pattern.regex)) {
+        const raw = pattern.group ? match[pattern.group] : match[0];
+        if (!raw) continue;
+        const value = pattern.clean ? pattern.clean(raw) : raw;
+        if (!value || (pattern.accept && !pattern.accept(value))) continue;
+
+        const startPos = match.index + (pattern.group ? match[0].indexOf(raw) : 0);
+        candidates.push({ type: pattern.type, value, confidence: pattern.confidence, startPos, endPos: startPos + value.length, precedence });
+      }
+    });
+
+    if (this.gazetteerRegex) {
+      for (const match of text.matchAll(this.gazetteerRegex)) {
+        const entry = this.gazetteer.get(match[0].toLowerCase());
+        // Capitalized names only match capitalized text ("Paris" but not "paris")
+        if (!entry || (/^\p{Lu}/u.test(entry.name) && !/^\p{Lu}/u.test(match[0]))) continue;
+        candidates.push({
+          type: entry.type,
+          value: entry.name,
+          confidence: 0.8,
+          startPos: match.index,
+          endPos: match.index + match[0].length,
+          precedence: PATTERNS.length
+        });
+      }
+    }
+
+    // Keep the strongest, then longest, of overlapping matches
+    candidates.sort((a, b) => a.precedence - b.precedence || (b.endPos - b.startPos) - (a.endPos - a.startPos));
+    const accepted = [];
+    for (const candidate of candidates) {
+      if (!accepted.some(other => candidate.startPos < other.endPos && other.startPos < candidate.endPos)) {
+        accepted.push(candidate);
+      }
+    }
+
+    return accepted
+      .sort((a, b) => a.startPos - b.startPos)
+      .map(({ precedence, ...entity }) => entity);
+  }
+}
+
+const localEntityRecognizer = new LocalEntityRecognizer();
+
+module.exports = localEntityRecognizer;
+module.exports.LocalEntityRecognizer = LocalEntityRecognizer;
@@ -0,0 +1,79 @@
+/**
+ * Message Chunker
+ * Splits long messages into overlapping chunks for chunk-level embeddings
+ */
+
+const CHUNK_THRESHOLD = parseInt(process.env.MESSAGE_CHUNK_THRESHOLD || '1500', 10);
+const CHUNK_SIZE = parseInt(process.env.MESSAGE_CHUNK_SIZE || '1000', 10);
+const CHUNK_OVERLAP = parseInt(process.env.MESSAGE_CHUNK_OVERLAP || '200', 10);
+
+// Preferred split points, strongest first
+const BOUNDARIES = ['\n\n', '\n', '. ', ' '];
+
+/**
+ * Whether a message is long enough to be chunked
+ */
+function shouldChunk(text, threshold = CHUNK_THRESHOLD) {
+  return typeof text === 'string' && text.length > threshold;
+}
+
+/**
+ * Find the best split point in text between min and max (exclusive end offset)
+ */
+function findBoundary(text, min, max) {
+  for (const boundary of BOUNDARIES) {
+    const pos = text.lastIndexOf(boundary, max - boundary.length);
+    if (pos >= min) {
+      return pos + boundary.length;
+    }
+  }
+  return max;
+}
+
+/**
+ * Split text into overlapping chunks
+ * Offsets are character positions in the original text ([startOffset, endOffset)).
+ */
+function chunkText(text, options = {}) {
+  const chunkSize = options.chunkSize || CHUNK_SIZE;
+  const overlap = Math.min(options.overlap ?? CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+
+    // Prefer ending on a paragraph, line, sentence or word boundary
+    if (end < text.length) {
+      end = findBoundary(text, start + Math.floor(chunkSize * 0.75), end);
+    }
+
+    chunks.push({
+      index: chunks.length,
+      startOffset: start,
+      endOffset: end,
+      text: text.slice(start, end)
+    });
+
+    if (end >= text.length) break;
+
+    // Step back by the overlap, then forward to the next word start
+    let next = end - overlap;
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) {
+      next = space + 1;
+    }
+    start = next > start ? next : end;
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  shouldChunk,
+  chunkText,
+  CHUNK_THRESHOLD,
+  CHUNK_SIZE,
+  CHUNK_OVERLAP
+};
@@ -0,0 +1,110 @@
+/**
+ * Message Tree
+ * Branch navigation over conversation_messages.parent_id
+ *
+ * A session's messages form a tree: regenerating an answer or editing an
+ * earlier turn adds a sibling instead of overwriting it. The session's
+ * active_leaf_id picks the branch that is shown; its path is the chain of
+ * parents from that leaf up to a root.
+ *
+ * Messages in the trash (deleted_at set) keep their place in the tree so they
+ * can be restored; paths step over them and they are never a leaf.
+ */
+
+const { query } = require('../database/connection.cjs');
+
+// Ancestors of a message (bind its id), depth 0 being the message itself
+const PATH_CTE = `
+  WITH RECURSIVE path AS (
+    SELECT id, parent_id, 0 AS depth FROM conversation_messages WHERE id = ?
+    UNION ALL
+    SELECT m.id, m.parent_id, path.depth + 1
+    FROM conversation_messages m
+    JOIN path ON m.id = path.parent_id
+  )`;
+
+/**
+ * Leaf of the branch shown for a session: the stored active leaf (or its
+ * nearest ancestor not in the trash), or the newest message when none is set
+ * (or it was deleted)
+ */
+async function getActiveLeafId(sessionId) {
+  const sessions = await query(
+    `SELECT active_leaf_id FROM conversation_sessions WHERE id = ?`,
+    [sessionId]
+  );
+  const storedLeafId = sessions[0]?.active_leaf_id;
+
+  if (storedLeafId) {
+    const rows = await query(
+      `${PATH_CTE}
+       SELECT m.id FROM path
+       JOIN conversation_messages m ON m.id = path.id
+       WHERE m.deleted_at IS NULL
+       ORDER BY path.depth
+       LIMIT 1`,
+      [storedLeafId]
+    );
+    if (rows.length > 0) return rows[0].id;
+  }
+
+  const rows = await query(
+    `SELECT id FROM conversation_messages
+     WHERE session_id = ? AND deleted_at IS NULL
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [sessionId]
+  );
+  return rows[0]?.id || null;
+}
+
+/**
+ * Parent for a new message: undefined continues the active branch, null
+ * starts a new root, an id must be a message of the same session
+ */
+async function resolveParentId(sessionId, parentId) {
+  if (parentId === undefined) {
+    return getActiveLeafId(sessionId);
+  }
+  if (parentId === null) {
+    return null;
+  }
+
+  const rows = await query(
+    `SELECT session_id FROM conversation_messages WHERE id = ? AND deleted_at IS NULL`,
+    [parentId]
+  );
+  if (rows.length === 0 || rows[0].session_id !== sessionId) {
+    throw new Error(`Parent message not found in session ${sessionId}: ${parentId}`);
+  }
+  return parentId;
+}
+
+/**
+ * Newest leaf in the subtree of a message (the message itself if it has no replies)
+ */
+async function findLeaf(messageId) {
+  const rows = await query(
+    `WITH RECURSIVE subtree AS (
+       SELECT id, created_at, deleted_at FROM conversation_messages WHERE id = ?
+       UNION ALL
+       SELECT m.id, m.created_at, m.deleted_at
+       FROM conversation_messages m
+       JOIN subtree ON m.parent_id = subtree.id
+     )
+     SELECT s.id FROM subtree s
+     WHERE s.deleted_at IS NULL
+       AND NOT EXISTS (SELECT 1 FROM conversation_messages c WHERE c.parent_id = s.id AND c.deleted_at IS NULL)
+     ORDER BY s.created_at DESC, s.id DESC
+     LIMIT 1`,
+    [messageId]
+  );
+  return rows[0]?.id || messageId;
+}
+
+module.exports = {
+  PATH_CTE,
+  getActiveLeafId,
+  resolveParentId,
+  findLeaf
+};
@@ -0,0 +1,51 @@
+/**
+ * Phi4 Text Generation
+ * Sends a prompt to Phi4's text action (PHI4_TEXT_ACTION, general.answer by
+ * default) and returns the generated text. Used for summaries and titles;
+ * callers fall back to local heuristics when it throws.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const ENDPOINT = process.env.PHI4_ENDPOINT || 'http://127.0.0.1:3003';
+const ACTION = process.env.PHI4_TEXT_ACTION || 'general.answer';
+
+/**
+ * Generate text for a prompt
+ * Throws when Phi4 is unreachable or answers without text.
+ */
+async function generateText(prompt, options = {}) {
+  const { maxTokens = 256, temperature = 0.2, timeout = 30000, requestPrefix = 'gen' } = options;
+  const requestId = `${requestPrefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+  const response = await axios.post(
+    `${ENDPOINT}/${ACTION}`,
+    {
+      version: 'mcp.v1',
+      service: 'phi4',
+      action: ACTION,
+      requestId,
+      payload: { query: prompt, options: { maxTokens, temperature } }
+    },
+    {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': process.env.PHI4_API_KEY,
+        'X-Service-Name': 'conversation-service',
+        'X-Request-ID': requestId
+      },
+      timeout
+    }
+  );
+
+  // general.answer replies with answer; other text actions use text or response
+  const data = response.data?.data || {};
+  const text = [data.answer, data.text, data.response].find(value => typeof value === 'string' && value.trim());
+  if (!text) {
+    throw new Error(`Phi4 ${ACTION} returned no text`);
+  }
+  return text.trim();
+}
+
+module.exports = { generateText };
@@ -0,0 +1,256 @@
+/**
+ * Session Summarizer
+ * Rolling summaries of a session's active branch
+ *
+ * A summary covers the active branch up to its last_message_id. Summarizing
+ * folds the messages after that point into the running summary, in spans of
+ * at most SUMMARY_SPAN_MESSAGES. Phi4 writes the summary when it is reachable;
+ * otherwise the most informative sentences of the span are appended
+ * (extractive), keeping the summary under SUMMARY_MAX_CHARS.
+ *
+ * If the covered messages are no longer on the active branch (another branch
+ * was selected, or a covered message was purged) the summary is rebuilt from
+ * the root.
+ */
+
+const { query, run } = require('../database/connection.cjs');
+const { PATH_CTE, getActiveLeafId } = require('./messageTree.cjs');
+const eventBus = require('./eventBus.cjs');
+const contextExtractor = require('./contextExtractor.cjs');
+const { generateText } = require('./phi4Text.cjs');
+
+const SUMMARY_EVERY = parseInt(process.env.SUMMARY_EVERY_MESSAGES || '20', 10);
+const SPAN_MESSAGES = parseInt(process.env.SUMMARY_SPAN_MESSAGES || '50', 10);
+const MAX_CHARS = parseInt(process.env.SUMMARY_MAX_CHARS || '2000', 10);
+const PROVIDER = process.env.SUMMARY_PROVIDER || 'phi4';
+const MESSAGE_CHARS = 1000; // Per message in the Phi4 prompt
+const EXTRACT_SENTENCES = 3; // Per span in the extractive fallback
+
+function toSummary(row) {
+  if (!row) return null;
+  return {
+    text: row.summary,
+    firstMessageId: row.first_message_id,
+    lastMessageId: row.last_message_id,
+    lastMessageAt: row.last_message_at,
+    messageCount: Number(row.message_count) || 0,
+    method: row.method,
+    updatedAt: row.updated_at
+  };
+}
+
+function splitSentences(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Most informative sentences of a span, in conversation order
+ * Sentences are scored by how frequent their words are across the span.
+ */
+function extractiveSummary(messages, count = EXTRACT_SENTENCES) {
+  const sentences = [];
+  for (const message of messages) {
+    for (const sentence of splitSentences(message.content)) {
+      const words = contextExtractor.contentWords(sentence);
+      if (words.length >= 3) {
+        sentences.push({ role: message.role, sentence, words, position: sentences.length });
+      }
+    }
+  }
+  if (sentences.length === 0) return '';
+
+  const frequency = new Map();
+  for (const { words } of sentences) {
+    for (const word of new Set(words)) {
+      frequency.set(word, (frequency.get(word) || 0) + 1);
+    }
+  }
+
+  return sentences
+    .map(entry => ({
+      ...entry,
+      score: entry.words.reduce((sum, word) => sum + frequency.get(word), 0) / Math.sqrt(entry.words.length)
+    }))
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .slice(0, count)
+    .sort((a, b) => a.position - b.position)
+    .map(({ role, sentence }) => `${role === 'user' ? 'User' : 'Assistant'}: ${sentence}`)
+    .join('\n');
+}
+
+/**
+ * Append lines to a summary, dropping the oldest lines after the first
+ * (which sets the topic) until it fits in maxChars
+ */
+function foldExtractive(previous, addition, maxChars = MAX_CHARS) {
+  if (!addition) return previous || '';
+  const lines = [...(previous ? previous.split('\n') : []), ...addition.split('\n')];
+  while (lines.length > 2 && lines.join('\n').length > maxChars) {
+    lines.splice(1, 1);
+  }
+  const folded = lines.join('\n');
+  return folded.length > maxChars ? `${folded.substring(0, maxChars - 3)}...` : folded;
+}
+
+class SessionSummarizer {
+  constructor(options = {}) {
+    this.every = options.every ?? SUMMARY_EVERY;
+    this.provider = options.provider || PROVIDER;
+    this.timeout = options.timeout || parseInt(process.env.SUMMARY_TIMEOUT_MS || '30000', 10);
+    // Summarizations of one session run one after another
+    this.chains = new Map();
+  }
+
+  /**
+   * Fold a span into the running summary with Phi4
+   */
+  async summarizeWithPhi4(previous, messages) {
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.length > MESSAGE_CHARS ? `${m.content.substring(0, MESSAGE_CHARS)}...` : m.content}`)
+      .join('\n');
+    const prompt = [
+      'You maintain a running summary of a conversation between a user and an assistant.',
+      previous ? `Summary so far:\n${previous}` : 'There is no summary yet.',
+      `New messages:\n${transcript}`,
+      `Write the updated summary: keep what still matters from the summary so far, add the topics, decisions, facts and open questions from the new messages. Plain prose, at most ${MAX_CHARS} characters, no preamble.`
+    ].join('\n\n');
+
+    const text = await generateText(prompt, {
+      maxTokens: Math.ceil(MAX_CHARS / 3),
+      timeout: this.timeout,
+      requestPrefix: 'sum'
+    });
+    return text.substring(0, MAX_CHARS);
+  }
+
+  async foldSpan(previous, messages) {
+    if (this.provider === 'phi4') {
+      try {
+        return { summary: await this.summarizeWithPhi4(previous, messages), method: 'phi4' };
+      } catch (error) {
+        console.warn('⚠️ [SUMMARY] Phi4 summarization failed, using extractive fallback:', error.message);
+      }
+    }
+    return { summary: foldExtractive(previous, extractiveSummary(messages)), method: 'extractive' };
+  }
+
+  async getSummary(sessionId) {
+    const rows = await query(`SELECT * FROM session_summaries WHERE session_id = ?`, [sessionId]);
+    return toSummary(rows[0]);
+  }
+
+  /**
+   * Complete messages of the active branch, root first
+   * (bodies offloaded by hibernation are read from the archive)
+   */
+  async activeBranch(sessionId) {
+    const leafId = await getActiveLeafId(sessionId);
+    if (!leafId) return [];
+    return query(
+      `${PATH_CTE}
+       SELECT m.id, m.role, COALESCE(a.content, m.content) AS content, m.created_at
+       FROM path
+       JOIN conversation_messages m ON m.id = path.id
+       LEFT JOIN session_message_archive a ON a.message_id = m.id
+       WHERE m.deleted_at IS NULL AND m.status = 'complete' AND COALESCE(a.content, m.content) <> ''
+       ORDER BY path.depth DESC`,
+      [leafId]
+    );
+  }
+
+  /**
+   * Fold the messages not yet covered into the session's summary
+   * rebuild: true summarizes the whole active branch from scratch.
+   */
+  summarize(sessionId, options = {}) {
+    const previous = this.chains.get(sessionId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this.summarizeNow(sessionId, options));
+    this.chains.set(sessionId, next);
+    next.finally(() => {
+      if (this.chains.get(sessionId) === next) this.chains.delete(sessionId);
+    }).catch(() => {});
+    return next;
+  }
+
+  async summarizeNow(sessionId, { rebuild = false } = {}) {
+    const current = await this.getSummary(sessionId);
+    const branch = await this.activeBranch(sessionId);
+
+    let start = 0;
+    let base = rebuild ? null : current;
+    if (base) {
+      const index = branch.findIndex(message => message.id === current.lastMessageId);
+      if (index === -1) {
+        base = null;
+      } else {
+        start = index + 1;
+      }
+    }
+
+    const pending = branch.slice(start);
+    if (pending.length === 0) {
+      return { sessionId, summary: base, summarized: 0, rebuilt: false };
+    }
+
+    let text = base ? base.text : '';
+    let method = base ? base.method : null;
+    for (let i = 0; i < pending.length; i += SPAN_MESSAGES) {
+      ({ summary: text, method } = await this.foldSpan(text, pending.slice(i, i + SPAN_MESSAGES)));
+    }
+
+    const first = base ? base.firstMessageId : branch[0].id;
+    const last = branch[branch.length - 1];
+    const now = new Date().toISOString();
+    await run(
+      `INSERT INTO session_summaries
+       (session_id, summary, first_message_id, last_message_id, last_message_at, message_count, method, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (session_id) DO UPDATE SET
+         summary = excluded.summary, first_message_id = excluded.first_message_id,
+         last_message_id = excluded.last_message_id, last_message_at = excluded.last_message_at,
+         message_count = excluded.message_count, method = excluded.method, updated_at = excluded.updated_at`,
+      [sessionId, text, first, last.id, new Date(last.created_at).toISOString(), branch.length, method, now, now]
+    );
+
+    const summary = await this.getSummary(sessionId);
+    console.log(`📝 [SUMMARY] Summarized ${pending.length} message(s) of ${sessionId} (${method}${base ? '' : ', from the root'})`);
+    eventBus.publish('session.updated', sessionId, { changes: { summary }, reason: 'summary' });
+
+    return { sessionId, summary, summarized: pending.length, rebuilt: Boolean(current) && !base };
+  }
+
+  /**
+   * Summarize in the background once SUMMARY_EVERY_MESSAGES messages are
+   * not covered yet (called after each completed message)
+   */
+  async maybeSummarize(sessionId) {
+    if (!(this.every > 0) || this.chains.has(sessionId)) return false;
+
+    const rows = await query(
+      `SELECT COUNT(*) AS count FROM conversation_messages m
+       LEFT JOIN session_summaries s ON s.session_id = m.session_id
+       WHERE m.session_id = ? AND m.deleted_at IS NULL AND m.status = 'complete'
+         AND (s.last_message_at IS NULL OR m.created_at > s.last_message_at)`,
+      [sessionId]
+    );
+    if ((parseInt(rows[0]?.count) || 0) < this.every) return false;
+
+    this.summarize(sessionId).catch(error =>
+      console.warn(`⚠️ [SUMMARY] Background summarization of ${sessionId} failed:`, error.message)
+    );
+    return true;
+  }
+}
+
+const sessionSummarizer = new SessionSummarizer();
+
+module.exports = sessionSummarizer;
+module.exports.SessionSummarizer = SessionSummarizer;
+module.exports.toSummary = toSummary;
+module.exports.extractiveSummary = extractiveSummary;
@@ -0,0 +1,213 @@
+/**
+ * Session Titler
+ * Short descriptive titles generated from a session's opening messages
+ *
+ * Phi4 writes the title when it is reachable. Otherwise it is built locally
+ * from the entities the context extractor finds in the opening messages and
+ * their most frequent keywords.
+ *
+ * Only sessions whose title_source is 'default' or 'auto' get a generated
+ * title; a title set by the client ('user') or carried by an import is never
+ * replaced, even if it is set while a title is being generated.
+ */
+
+const { query, run } = require('../database/connection.cjs');
+const { PATH_CTE, getActiveLeafId } = require('./messageTree.cjs');
+const eventBus = require('./eventBus.cjs');
+const contextExtractor = require('./contextExtractor.cjs');
+const { generateText } = require('./phi4Text.cjs');
+
+const TITLE_AUTO = process.env.SESSION_AUTOTITLE !== 'false';
+const PROVIDER = process.env.SESSION_TITLE_PROVIDER || 'phi4';
+const TIMEOUT_MS = parseInt(process.env.SESSION_TITLE_TIMEOUT_MS || '15000', 10);
+const MAX_LENGTH = 60;
+const OPENING_MESSAGES = 4;
+const MESSAGE_CHARS = 500; // Per message in the Phi4 prompt
+const GENERATED_SOURCES = ['default', 'auto'];
+// Entity types that make a useful title on their own
+const TITLE_ENTITY_TYPES = ['person', 'organization', 'place', 'product', 'event', 'media'];
+
+/**
+ * Trim a generated title to one line without quotes, labels or end punctuation
+ */
+function cleanTitle(text) {
+  let title = String(text).split('\n').map(line => line.trim()).find(Boolean) || '';
+  title = title
+    .replace(/^(?:title|session title)\s*[:\-]\s*/i, '')
+    .replace(/^["'“”‘’`*#\s]+|["'“”‘’`*\s]+$/g, '')
+    .replace(/[.!?:;,\s]+$/, '')
+    .replace(/\s+/g, ' ');
+  if (title.length > MAX_LENGTH) {
+    const cut = title.substring(0, MAX_LENGTH);
+    title = cut.includes(' ') ? cut.substring(0, cut.lastIndexOf(' ')) : cut;
+  }
+  return title;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+class SessionTitler {
+  constructor(options = {}) {
+    this.auto = options.auto ?? TITLE_AUTO;
+    this.provider = options.provider || PROVIDER;
+    this.timeout = options.timeout || TIMEOUT_MS;
+    // Sessions with a title being generated
+    this.pending = new Set();
+  }
+
+  /**
+   * First complete messages of the active branch
+   */
+  async openingMessages(sessionId) {
+    const leafId = await getActiveLeafId(sessionId);
+    if (!leafId) return [];
+    return query(
+      `${PATH_CTE}
+       SELECT m.role, COALESCE(a.content, m.content) AS content
+       FROM path
+       JOIN conversation_messages m ON m.id = path.id
+       LEFT JOIN session_message_archive a ON a.message_id = m.id
+       WHERE m.deleted_at IS NULL AND m.status = 'complete' AND COALESCE(a.content, m.content) <> ''
+       ORDER BY path.depth DESC
+       LIMIT ?`,
+      [leafId, OPENING_MESSAGES]
+    );
+  }
+
+  async titleWithPhi4(messages) {
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.length > MESSAGE_CHARS ? `${m.content.substring(0, MESSAGE_CHARS)}...` : m.content}`)
+      .join('\n');
+    const prompt = [
+      'Write a short title (3 to 6 words) for the conversation below. Name its topic; no quotes, no final punctuation, no preamble.',
+      transcript
+    ].join('\n\n');
+
+    const title = cleanTitle(await generateText(prompt, { maxTokens: 24, timeout: this.timeout, requestPrefix: 'title' }));
+    if (!title) {
+      throw new Error('Phi4 returned an empty title');
+    }
+    return title;
+  }
+
+  /**
+   * Title from the entities and keywords of the user's opening messages
+   * (all opening messages when the user has not said anything yet)
+   */
+  async titleLocally(messages) {
+    const userText = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    const text = userText || messages.map(m => m.content).join('\n');
+
+    const entities = (await contextExtractor.extractEntities(text))
+      .filter(entity => TITLE_ENTITY_TYPES.includes(entity.type) && entity.value)
+      .map(entity => entity.value.trim());
+    const keywords = contextExtractor.extractKeywords(text, 6)
+      .filter(word => !entities.some(entity => entity.toLowerCase().includes(word)));
+
+    // One word per stem ("migrate", "migration")
+    const words = [...new Set(entities)].slice(0, 2);
+    for (const keyword of keywords) {
+      const stem = keyword.substring(0, 5);
+      if (!words.some(word => word.toLowerCase().startsWith(stem))) {
+        words.push(capitalize(keyword));
+      }
+    }
+    const title = cleanTitle(words.slice(0, 4).join(' '));
+    return title || cleanTitle(text);
+  }
+
+  async generateTitle(messages) {
+    if (this.provider === 'phi4') {
+      try {
+        return { title: await this.titleWithPhi4(messages), method: 'phi4' };
+      } catch (error) {
+        console.warn('⚠️ [TITLE] Phi4 title generation failed, using local fallback:', error.message);
+      }
+    }
+    return { title: await this.titleLocally(messages), method: 'local' };
+  }
+
+  /**
+   * Generate and store a title unless the session's title was set by the user
+   * or imported. Auto titles are regenerated.
+   */
+  async autotitle(sessionId) {
+    const sessions = await query(
+      `SELECT title, title_source FROM conversation_sessions WHERE id = ?`,
+      [sessionId]
+    );
+    const { title: currentTitle, title_source: titleSource } = sessions[0];
+    if (!GENERATED_SOURCES.includes(titleSource)) {
+      const reason = titleSource === 'user' ? 'title was set by the user' : 'title was imported';
+      return { sessionId, title: currentTitle, titleSource, updated: false, reason };
+    }
+
+    const messages = await this.openingMessages(sessionId);
+    if (messages.length === 0) {
+      return { sessionId, title: currentTitle, titleSource, updated: false, reason: 'no messages' };
+    }
+
+    const { title, method } = await this.generateTitle(messages);
+    if (!title) {
+      return { sessionId, title: currentTitle, titleSource, updated: false, reason: 'no title generated' };
+    }
+
+    // The source check again: the user may have renamed the session meanwhile
+    const updated = await query(
+      `UPDATE conversation_sessions SET title = ?, title_source = 'auto', updated_at = ?
+       WHERE id = ? AND title_source IN ('default', 'auto')
+       RETURNING id`,
+      [title, new Date().toISOString(), sessionId]
+    );
+    if (updated.length === 0) {
+      const rows = await query(`SELECT title, title_source FROM conversation_sessions WHERE id = ?`, [sessionId]);
+      return { sessionId, title: rows[0]?.title, titleSource: rows[0]?.title_source, updated: false, reason: 'title was set meanwhile' };
+    }
+
+    console.log(`🏷️ [TITLE] Titled ${sessionId} "${title}" (${method})`);
+    eventBus.publish('session.updated', sessionId, {
+      changes: { title, titleSource: 'auto' },
+      reason: 'autotitle'
+    });
+
+    return { sessionId, title, titleSource: 'auto', updated: true, method };
+  }
+
+  /**
+   * Title a session in the background after its first exchange (a user
+   * message and an assistant reply), while it still has the placeholder title
+   */
+  async maybeAutotitle(sessionId) {
+    if (!this.auto || this.pending.has(sessionId)) return false;
+
+    const rows = await query(
+      `SELECT s.title_source,
+              COUNT(m.id) FILTER (WHERE m.role = 'user') AS user_count,
+              COUNT(m.id) FILTER (WHERE m.role = 'assistant') AS assistant_count
+       FROM conversation_sessions s
+       LEFT JOIN conversation_messages m
+         ON m.session_id = s.id AND m.deleted_at IS NULL AND m.status = 'complete'
+       WHERE s.id = ?
+       GROUP BY s.title_source`,
+      [sessionId]
+    );
+    const row = rows[0];
+    if (!row || row.title_source !== 'default' || !(Number(row.user_count) > 0 && Number(row.assistant_count) > 0)) {
+      return false;
+    }
+
+    this.pending.add(sessionId);
+    this.autotitle(sessionId)
+      .catch(error => console.warn(`⚠️ [TITLE] Background title generation for ${sessionId} failed:`, error.message))
+      .finally(() => this.pending.delete(sessionId));
+    return true;
+  }
+}
+
+const sessionTitler = new SessionTitler();
+
+module.exports = sessionTitler;
+module.exports.SessionTitler = SessionTitler;
+module.exports.cleanTitle = cleanTitle;
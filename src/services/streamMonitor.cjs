@@ -0,0 +1,75 @@
+/**
+ * Stream Monitor
+ * Periodically marks streaming messages with no recent append as interrupted
+ *
+ * Interrupted messages keep their partial text: a client can resume them with
+ * message.append, complete them with message.finish or drop them with message.abort.
+ */
+
+const { interruptStaleStreams, listUnfinishedMessages } = require('../handlers/messageHandlers.cjs');
+
+const MINUTE_MS = 60 * 1000;
+
+class StreamMonitor {
+  constructor(options = {}) {
+    // 0 disables the monitor
+    this.timeoutMinutes = options.timeoutMinutes ?? parseFloat(process.env.MESSAGE_STREAM_TIMEOUT_MINUTES ?? '10');
+    this.checkIntervalMinutes = options.checkIntervalMinutes ?? parseFloat(process.env.MESSAGE_STREAM_CHECK_MINUTES ?? '1');
+    this.timer = null;
+    this.running = false;
+  }
+
+  get enabled() {
+    return this.timeoutMinutes > 0 && this.checkIntervalMinutes > 0;
+  }
+
+  /**
+   * Run one pass of the monitor
+   */
+  async runOnce() {
+    if (this.running) return { interrupted: [], count: 0, skipped: true };
+
+    this.running = true;
+    try {
+      const result = await interruptStaleStreams({ maxIdleMs: this.timeoutMinutes * MINUTE_MS });
+      if (result.count > 0) {
+        console.log(`⚠️ [STREAM] Marked ${result.count} stalled streaming message(s) as interrupted`);
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ [STREAM] Monitor run failed:', error);
+      return { interrupted: [], count: 0, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async start() {
+    // Report streams left unfinished by a previous run
+    const unfinished = await listUnfinishedMessages();
+    if (unfinished.count > 0) {
+      console.log(`🔄 [STREAM] ${unfinished.count} unfinished streaming message(s) can be resumed or finished`);
+    }
+
+    if (!this.enabled) {
+      console.log('ℹ️ [STREAM] Stream timeout disabled');
+      return;
+    }
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.checkIntervalMinutes * MINUTE_MS);
+    this.timer.unref();
+    console.log(`✅ [STREAM] Interrupting streams idle > ${this.timeoutMinutes}m (checking every ${this.checkIntervalMinutes}m)`);
+
+    this.runOnce();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = StreamMonitor;
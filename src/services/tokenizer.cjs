@@ -0,0 +1,53 @@
+/**
+ * Tokenizer
+ * Token counters for prompt budgeting, selected by name
+ *
+ * The built-in counters are estimates that need no model files. A consumer
+ * with an exact tokenizer (e.g. tiktoken for its model) registers it once:
+ *
+ *   registerTokenizer('cl100k', text => encoder.encode(text).length);
+ *
+ * and passes tokenizer: 'cl100k' to context.window, or sets CONTEXT_TOKENIZER.
+ */
+
+const tokenizers = new Map();
+
+/**
+ * Register a counter: a function from text to its token count
+ */
+function registerTokenizer(name, countTokens) {
+  if (!name || typeof countTokens !== 'function') {
+    throw new Error('registerTokenizer requires a name and a count function');
+  }
+  tokenizers.set(name, countTokens);
+}
+
+/**
+ * Look up a counter by name; returns { name, count }
+ */
+function getTokenizer(name = process.env.CONTEXT_TOKENIZER || 'approx') {
+  const countTokens = tokenizers.get(name);
+  if (!countTokens) {
+    throw new Error(`Unknown tokenizer: ${name} (expected ${listTokenizers().join(', ')})`);
+  }
+  return {
+    name,
+    count: (text) => (text ? Math.max(0, Math.ceil(countTokens(text))) : 0)
+  };
+}
+
+function listTokenizers() {
+  return Array.from(tokenizers.keys());
+}
+
+// About four characters per token for English text with BPE vocabularies
+registerTokenizer('approx', text => text.length / 4);
+
+// Words and punctuation marks, a closer estimate for code and non-English text
+registerTokenizer('words', text => (text.match(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || []).length * 1.3);
+
+module.exports = {
+  registerTokenizer,
+  getTokenizer,
+  listTokenizers
+};
@@ -0,0 +1,69 @@
+/**
+ * Trash Purger
+ * Periodically and permanently removes sessions and messages that have been
+ * in the trash longer than the retention window
+ */
+
+const { purgeExpiredTrash, TRASH_RETENTION_DAYS } = require('../handlers/trashHandlers.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+class TrashPurger {
+  constructor(options = {}) {
+    // 0 disables purging (the trash is kept until emptied with permanent deletes)
+    this.retentionDays = options.retentionDays ?? TRASH_RETENTION_DAYS;
+    this.checkIntervalMinutes = options.checkIntervalMinutes ?? parseFloat(process.env.TRASH_PURGE_CHECK_MINUTES ?? '60');
+    this.timer = null;
+    this.running = false;
+  }
+
+  get enabled() {
+    return this.retentionDays > 0 && this.checkIntervalMinutes > 0;
+  }
+
+  /**
+   * Run one pass of the purger
+   */
+  async runOnce() {
+    if (this.running) return { sessions: [], messages: [], count: 0, skipped: true };
+
+    this.running = true;
+    try {
+      const result = await purgeExpiredTrash({ maxAgeMs: this.retentionDays * DAY_MS });
+      if (result.count > 0) {
+        console.log(`🗑️ [TRASH] Purged ${result.sessions.length} session(s) and ${result.messages.length} message(s) older than ${this.retentionDays}d`);
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ [TRASH] Purge run failed:', error);
+      return { sessions: [], messages: [], count: 0, error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  start() {
+    if (!this.enabled) {
+      console.log('ℹ️ [TRASH] Automatic purge disabled');
+      return;
+    }
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.checkIntervalMinutes * MINUTE_MS);
+    this.timer.unref();
+    console.log(`✅ [TRASH] Purging trash older than ${this.retentionDays}d (checking every ${this.checkIntervalMinutes}m)`);
+
+    // Catch up on items that expired while the service was down
+    this.runOnce();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = TrashPurger;
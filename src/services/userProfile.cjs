@@ -0,0 +1,191 @@
+/**
+ * User Profile
+ * Facts about the user that carry across sessions
+ *
+ * Session facts ("user_name", "home_location") are promoted to the profile
+ * automatically once their confidence reaches PROFILE_PROMOTE_CONFIDENCE, or
+ * explicitly with profile.promote. Keys are stored normalized ("User Name"
+ * becomes "user_name"). Each entry remembers the session, message and context
+ * item it came from.
+ *
+ * Values set with profile.set or promoted explicitly are user-confirmed:
+ * automatic promotion can confirm them but never replaces them with a
+ * different value.
+ */
+
+const { query, run } = require('../database/connection.cjs');
+const { normalizeContextKey } = require('./contextExtractor.cjs');
+
+const AUTO_PROMOTE = process.env.PROFILE_AUTO_PROMOTE !== 'false';
+const PROMOTE_CONFIDENCE = parseFloat(process.env.PROFILE_PROMOTE_CONFIDENCE || '0.9');
+const SEED_SESSIONS = process.env.PROFILE_SEED_SESSIONS === 'true';
+
+function toProfileEntry(row) {
+  return {
+    key: row.profile_key,
+    value: row.value,
+    confidence: row.confidence,
+    origin: row.origin,
+    userConfirmed: Boolean(row.user_confirmed),
+    source: {
+      sessionId: row.source_session_id,
+      messageId: row.source_message_id,
+      contextId: row.source_context_id
+    },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function sameValue(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+class UserProfile {
+  constructor(options = {}) {
+    this.autoPromote = options.autoPromote ?? AUTO_PROMOTE;
+    this.promoteConfidence = options.promoteConfidence ?? PROMOTE_CONFIDENCE;
+    this.seedSessions = options.seedSessions ?? SEED_SESSIONS;
+  }
+
+  /**
+   * Every profile entry, or the one for key (null if it is not set)
+   */
+  async get(key = null) {
+    if (key !== null) {
+      const rows = await query(`SELECT * FROM user_profile WHERE profile_key = ?`, [normalizeContextKey(key)]);
+      return rows.length > 0 ? toProfileEntry(rows[0]) : null;
+    }
+
+    const rows = await query(`SELECT * FROM user_profile ORDER BY profile_key ASC`);
+    return rows.map(toProfileEntry);
+  }
+
+  /**
+   * Store a value for key, replacing the current one
+   * origin: 'user' (profile.set), 'promote' (profile.promote) or 'auto'.
+   * source: { sessionId, messageId, contextId } the value came from.
+   */
+  async put(key, value, { confidence = 1.0, origin = 'user', userConfirmed = true, source = {} } = {}) {
+    const profileKey = normalizeContextKey(key);
+    if (!profileKey) {
+      throw new Error('key is required');
+    }
+
+    const now = new Date().toISOString();
+    const existing = await query(`SELECT created_at FROM user_profile WHERE profile_key = ?`, [profileKey]);
+    const params = [
+      String(value),
+      confidence,
+      origin,
+      userConfirmed,
+      source.sessionId || null,
+      source.messageId || null,
+      source.contextId || null,
+      now
+    ];
+
+    if (existing.length > 0) {
+      await run(
+        `UPDATE user_profile
+         SET value = ?, confidence = ?, origin = ?, user_confirmed = ?,
+             source_session_id = ?, source_message_id = ?, source_context_id = ?, updated_at = ?
+         WHERE profile_key = ?`,
+        [...params, profileKey]
+      );
+    } else {
+      await run(
+        `INSERT INTO user_profile
+         (value, confidence, origin, user_confirmed, source_session_id, source_message_id, source_context_id,
+          updated_at, profile_key, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [...params, profileKey, now]
+      );
+    }
+
+    console.log(`👤 [PROFILE] Set ${profileKey} = ${value} (${origin})`);
+    return this.get(profileKey);
+  }
+
+  /**
+   * Remove keys from the profile; returns the keys that were set
+   */
+  async forget(keys) {
+    const forgotten = [];
+    for (const key of keys) {
+      const deleted = await query(
+        `DELETE FROM user_profile WHERE profile_key = ? RETURNING profile_key`,
+        [normalizeContextKey(key)]
+      );
+      if (deleted.length > 0) forgotten.push(deleted[0].profile_key);
+    }
+
+    if (forgotten.length > 0) {
+      console.log(`🗑️ [PROFILE] Forgot ${forgotten.join(', ')}`);
+    }
+    return forgotten;
+  }
+
+  /**
+   * Promote a session context item to the profile (profile.promote)
+   * Returns null if the item does not exist.
+   */
+  async promoteContext(contextId) {
+    const rows = await query(
+      `SELECT id, session_id, context_data FROM session_context WHERE id = ? AND deleted_at IS NULL`,
+      [contextId]
+    );
+    if (rows.length === 0) return null;
+
+    const data = JSON.parse(rows[0].context_data || '{}');
+    return this.put(data.key, data.value, {
+      confidence: data.confidence ?? 1.0,
+      origin: 'promote',
+      userConfirmed: true,
+      source: { sessionId: rows[0].session_id, messageId: data.sourceMessageId, contextId }
+    });
+  }
+
+  /**
+   * Promote a fact that was just stored or confirmed if it is confident enough
+   * Returns the profile entry, or null when nothing was promoted.
+   */
+  async maybePromote({ sessionId, contextId, key, value, confidence, sourceMessageId }) {
+    if (!this.autoPromote || !(Number(confidence) >= this.promoteConfidence)) return null;
+
+    const current = await this.get(key);
+    if (current && sameValue(current.value, value)) {
+      if (Number(confidence) <= Number(current.confidence)) return null;
+      await run(
+        `UPDATE user_profile SET confidence = ?, updated_at = ? WHERE profile_key = ?`,
+        [confidence, new Date().toISOString(), normalizeContextKey(key)]
+      );
+      return this.get(key);
+    }
+    if (current?.userConfirmed) {
+      console.log(`🔒 [PROFILE] Kept user-confirmed ${current.key} = ${current.value} (session ${sessionId} has ${value})`);
+      return null;
+    }
+
+    return this.put(key, value, {
+      confidence,
+      origin: 'auto',
+      userConfirmed: false,
+      source: { sessionId, messageId: sourceMessageId, contextId }
+    });
+  }
+
+  /**
+   * Profile values as { key: value }, for a new session's context_data
+   */
+  async seedData() {
+    const entries = await this.get();
+    return Object.fromEntries(entries.map(entry => [entry.key, entry.value]));
+  }
+}
+
+const userProfile = new UserProfile();
+
+module.exports = userProfile;
+module.exports.UserProfile = UserProfile;
+module.exports.toProfileEntry = toProfileEntry;
@@ -0,0 +1,204 @@
+/**
+ * Vector Store
+ * Fixed-size FLOAT[N] embeddings ranked in DuckDB with array_cosine_similarity.
+ * Optionally maintains an HNSW index (DuckDB vss extension) for cross-session top-k.
+ */
+
+const { query, run } = require('../database/connection.cjs');
+const { buildMessageFilters } = require('./keywordIndex.cjs');
+const { EMBEDDING_DIMENSIONS } = require('./embeddingService.cjs');
+
+const VECTOR_TYPE = `FLOAT[${EMBEDDING_DIMENSIONS}]`;
+
+const HNSW_INDEX_NAME = 'idx_messages_embedding_hnsw';
+const HNSW_ENABLED = process.env.VECTOR_HNSW_INDEX === 'true';
+
+// HNSW top-k cannot apply WHERE filters, so over-fetch before filtering
+const HNSW_OVERFETCH = 4;
+
+/**
+ * Validate an embedding and encode it as a bindable parameter
+ */
+function toVectorParam(embedding) {
+  if (!Array.isArray(embedding) || embedding.length !== EMBEDDING_DIMENSIONS) {
+    throw new Error(
+      `Embedding has ${Array.isArray(embedding) ? embedding.length : 0} dimensions, expected ${EMBEDDING_DIMENSIONS} (EMBEDDING_DIMENSIONS)`
+    );
+  }
+  return JSON.stringify(embedding);
+}
+
+/**
+ * Rank messages by cosine similarity to the query vector
+ * Filters: sessionId, role, sessionType, dateFrom, dateTo.
+ * Returns [{ id, sessionId, similarity }] best first.
+ */
+async function searchMessageVectors(queryEmbedding, embeddingModel, options = {}) {
+  const { minSimilarity = -1, limit = 50, ...filters } = options;
+  const where = buildMessageFilters(filters);
+
+  const rows = await query(
+    `SELECT id, session_id, similarity FROM (
+       SELECT id, session_id, array_cosine_similarity(embedding, ?::${VECTOR_TYPE}) AS similarity
+       FROM conversation_messages
+       WHERE embedding IS NOT NULL AND embedding_model = ? AND ${where.clause}
+     ) WHERE similarity >= ?
+     ORDER BY similarity DESC
+     LIMIT ?`,
+    [toVectorParam(queryEmbedding), embeddingModel, ...where.params, minSimilarity, limit]
+  );
+
+  return rows.map(row => ({ id: row.id, sessionId: row.session_id, similarity: Number(row.similarity) }));
+}
+
+/**
+ * Best-matching chunk per parent message
+ * Returns [{ messageId, similarity, chunk: { id, index, startOffset, endOffset, text } }] best first.
+ */
+async function searchChunkVectors(queryEmbedding, embeddingModel, options = {}) {
+  const { sessionId, minSimilarity = -1, limit = 50 } = options;
+  const conditions = [
+    'embedding IS NOT NULL',
+    'embedding_model = ?',
+    'message_id IN (SELECT id FROM conversation_messages WHERE deleted_at IS NULL)'
+  ];
+  const params = [toVectorParam(queryEmbedding), embeddingModel];
+
+  if (sessionId) {
+    conditions.push('session_id = ?');
+    params.push(sessionId);
+  }
+
+  const rows = await query(
+    `SELECT id, message_id, chunk_index, chunk_text, start_offset, end_offset, similarity FROM (
+       SELECT *, array_cosine_similarity(embedding, ?::${VECTOR_TYPE}) AS similarity
+       FROM session_message_chunks
+       WHERE ${conditions.join(' AND ')}
+     ) WHERE similarity >= ?
+     QUALIFY row_number() OVER (PARTITION BY message_id ORDER BY similarity DESC) = 1
+     ORDER BY similarity DESC
+     LIMIT ?`,
+    [...params, minSimilarity, limit]
+  );
+
+  return rows.map(row => ({
+    messageId: row.message_id,
+    similarity: Number(row.similarity),
+    chunk: {
+      id: row.id,
+      index: row.chunk_index,
+      startOffset: row.start_offset,
+      endOffset: row.end_offset,
+      text: row.chunk_text
+    }
+  }));
+}
+
+/**
+ * Top-k messages across all sessions
+ * Uses the HNSW index when enabled; filters are applied after the top-k scan.
+ */
+async function searchAllMessageVectors(queryEmbedding, embeddingModel, options = {}) {
+  if (!HNSW_ENABLED) {
+    return searchMessageVectors(queryEmbedding, embeddingModel, options);
+  }
+
+  const { minSimilarity = -1, limit = 50, ...filters } = options;
+  const where = buildMessageFilters(filters);
+
+  const rows = await query(
+    `SELECT id, session_id, 1 - distance AS similarity FROM (
+       SELECT id, session_id, role, created_at, embedding_model, deleted_at,
+              array_cosine_distance(embedding, ?::${VECTOR_TYPE}) AS distance
+       FROM conversation_messages
+       ORDER BY distance
+       LIMIT ?
+     ) WHERE embedding_model = ? AND 1 - distance >= ? AND ${where.clause}
+     ORDER BY similarity DESC
+     LIMIT ?`,
+    [toVectorParam(queryEmbedding), limit * HNSW_OVERFETCH, embeddingModel, minSimilarity, ...where.params, limit]
+  );
+
+  return rows.map(row => ({ id: row.id, sessionId: row.session_id, similarity: Number(row.similarity) }));
+}
+
+/**
+ * Load the vss extension (required before touching an HNSW index)
+ */
+async function loadVss() {
+  await run(`INSTALL vss`);
+  await run(`LOAD vss`);
+  await run(`SET hnsw_enable_experimental_persistence = true`);
+}
+
+/**
+ * Create the HNSW index when VECTOR_HNSW_INDEX=true
+ * Failure is not fatal: searches fall back to exact scans.
+ */
+async function ensureHnswIndex() {
+  if (!HNSW_ENABLED) return false;
+
+  try {
+    await loadVss();
+    await run(
+      `CREATE INDEX IF NOT EXISTS ${HNSW_INDEX_NAME} ON conversation_messages
+       USING HNSW (embedding) WITH (metric = 'cosine')`
+    );
+    console.log('✅ [VECTOR] HNSW index ready');
+    return true;
+  } catch (error) {
+    console.warn('⚠️ [VECTOR] HNSW index unavailable, using exact search:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Drop the HNSW index if present. DuckDB cannot alter a table that has
+ * dependent indexes, so this runs before pending migrations; the index is
+ * rebuilt by ensureHnswIndex() at startup.
+ */
+async function dropHnswIndex() {
+  const existing = await query(
+    `SELECT index_name FROM duckdb_indexes() WHERE index_name = ?`,
+    [HNSW_INDEX_NAME]
+  );
+  if (existing.length === 0) return false;
+
+  await loadVss();
+  await run(`DROP INDEX IF EXISTS ${HNSW_INDEX_NAME}`);
+  console.log('🔄 [VECTOR] Dropped HNSW index for migration');
+  return true;
+}
+
+/**
+ * Fail fast when EMBEDDING_DIMENSIONS no longer matches the stored column type
+ */
+async function checkVectorColumns() {
+  const rows = await query(
+    `SELECT table_name, data_type FROM information_schema.columns
+     WHERE column_name = 'embedding' AND table_name IN ('conversation_messages', 'session_message_chunks')`
+  );
+  for (const row of rows) {
+    if (row.data_type !== VECTOR_TYPE) {
+      throw new Error(
+        `${row.table_name}.embedding is ${row.data_type} but EMBEDDING_DIMENSIONS=${EMBEDDING_DIMENSIONS}. ` +
+        `Restore the original EMBEDDING_DIMENSIONS, or roll back and re-apply migration 006 to re-embed with the new size.`
+      );
+    }
+  }
+}
+
+module.exports = {
+  EMBEDDING_DIMENSIONS,
+  VECTOR_TYPE,
+  HNSW_INDEX_NAME,
+  HNSW_ENABLED,
+  toVectorParam,
+  searchMessageVectors,
+  searchChunkVectors,
+  searchAllMessageVectors,
+  loadVss,
+  checkVectorColumns,
+  ensureHnswIndex,
+  dropHnswIndex
+};
@@ -0,0 +1,361 @@
+/**
+ * Webhook Queue
+ * Durable, HMAC-signed delivery of conversation events to webhook subscribers
+ *
+ * Every event from the event bus that matches a webhook's filters becomes a row
+ * in webhook_deliveries. The worker POSTs it with exponential backoff; after
+ * WEBHOOK_MAX_ATTEMPTS failures the delivery is kept as 'dead' until it is
+ * redelivered or its webhook is deleted.
+ *
+ * Each request carries:
+ * - X-ThinkDrop-Event:     event type
+ * - X-ThinkDrop-Delivery:  delivery id (stable across retries)
+ * - X-ThinkDrop-Timestamp: unix seconds when the request was signed
+ * - X-ThinkDrop-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+ *
+ * Webhook hosts must resolve to public addresses: loopback, private,
+ * link-local (cloud metadata) and reserved ranges are refused when a webhook
+ * is created and again when each request connects, unless the host is listed
+ * in WEBHOOK_ALLOWED_HOSTS.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { query, run } = require('../database/connection.cjs');
+const eventBus = require('./eventBus.cjs');
+const { EVENT_TYPES } = require('./eventBus.cjs');
+
+// Streamed deltas are only useful live (GET /events), not as one POST per token
+const WEBHOOK_EVENT_TYPES = EVENT_TYPES.filter(type => type !== 'message.appended');
+const DELIVERY_STATUSES = ['pending', 'running', 'dead'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS || '10000', 10);
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS || '5000', 10);
+const BATCH_SIZE = 20;
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  // IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Delay before the next attempt: exponential with jitter, capped at an hour
+ */
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Signature header value for a request body
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function isAllowedHost(hostname) {
+  return ALLOWED_HOSTS.includes(hostname.toLowerCase());
+}
+
+function findBlockedAddress(addresses) {
+  return addresses.find(({ address }) => {
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  });
+}
+
+function blockedAddressError(hostname, address) {
+  return new Error(
+    `Webhook host ${hostname} resolves to a private or reserved address (${address}); ` +
+    'list it in WEBHOOK_ALLOWED_HOSTS to allow it'
+  );
+}
+
+/**
+ * Throw unless url's host is allowed or resolves to public addresses only
+ */
+async function checkWebhookUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (isAllowedHost(hostname)) return;
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      throw new Error(`Cannot resolve webhook host ${hostname}: ${error.code || error.message}`);
+    }
+  }
+
+  const blocked = findBlockedAddress(addresses);
+  if (blocked) {
+    throw blockedAddressError(hostname, blocked.address);
+  }
+}
+
+/**
+ * dns.lookup for deliveries that refuses blocked addresses, so a host cannot
+ * be pointed at one after its webhook was checked
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = isAllowedHost(hostname) ? null : findBlockedAddress(addresses);
+    if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Background worker that enqueues matching events and drains due deliveries
+ */
+class WebhookWorker {
+  constructor(options = {}) {
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.batchSize = options.batchSize || BATCH_SIZE;
+    this.timer = null;
+    this.running = false;
+    this.pendingPoke = false;
+    this.webhooks = [];
+    this.unsubscribe = null;
+    // Enqueue events one at a time so deliveries are created in publish order
+    this.enqueueChain = Promise.resolve();
+  }
+
+  get started() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Reload active webhooks (called after they are created, changed or deleted)
+   */
+  async refresh() {
+    const rows = await query(`SELECT id, events, session_id FROM webhooks WHERE is_active = true`);
+    this.webhooks = rows.map(row => ({
+      id: row.id,
+      events: JSON.parse(row.events || '["*"]'),
+      sessionId: row.session_id
+    }));
+    return this.webhooks.length;
+  }
+
+  matching(event) {
+    if (!WEBHOOK_EVENT_TYPES.includes(event.type)) return [];
+    return this.webhooks.filter(webhook =>
+      (webhook.events.includes('*') || webhook.events.includes(event.type)) &&
+      (!webhook.sessionId || webhook.sessionId === event.sessionId)
+    );
+  }
+
+  /**
+   * Persist one delivery per matching webhook
+   */
+  async enqueueEvent(event) {
+    const webhooks = this.matching(event);
+    if (webhooks.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    for (const webhook of webhooks) {
+      await run(
+        `INSERT INTO webhook_deliveries
+         (id, webhook_id, event_id, event_type, session_id, payload, status, attempts, next_attempt_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)`,
+        [
+          `whd_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+          webhook.id,
+          event.id,
+          event.type,
+          event.sessionId,
+          JSON.stringify({ webhookId: webhook.id, event }),
+          now,
+          now,
+          now
+        ]
+      );
+    }
+    this.poke();
+    return webhooks.length;
+  }
+
+  /**
+   * Claim due pending deliveries (with their webhook) and mark them running
+   */
+  async claimBatch() {
+    const now = new Date().toISOString();
+    const deliveries = await query(
+      `SELECT d.id, d.webhook_id, d.event_type, d.payload, d.attempts, w.url, w.secret
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+       ORDER BY d.next_attempt_at ASC, d.created_at ASC
+       LIMIT ?`,
+      [now, this.batchSize]
+    );
+
+    for (const delivery of deliveries) {
+      await run(
+        `UPDATE webhook_deliveries SET status = 'running', updated_at = ? WHERE id = ?`,
+        [now, delivery.id]
+      );
+    }
+    return deliveries;
+  }
+
+  async processDelivery(delivery) {
+    const attempts = Number(delivery.attempts) + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      // Literal IP hosts never reach the lookup
+      await checkWebhookUrl(delivery.url);
+      const response = await axios.post(delivery.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ThinkDrop-Conversation-Webhooks/1.0',
+          'X-ThinkDrop-Event': delivery.event_type,
+          'X-ThinkDrop-Delivery': delivery.id,
+          'X-ThinkDrop-Timestamp': String(timestamp),
+          'X-ThinkDrop-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+        },
+        timeout: TIMEOUT_MS,
+        lookup: guardedLookup,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      if (response.status < 200 || response.status >= 300) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.responseStatus = response.status;
+        throw error;
+      }
+
+      const now = new Date().toISOString();
+      await run(`DELETE FROM webhook_deliveries WHERE id = ?`, [delivery.id]);
+      await run(`UPDATE webhooks SET last_success_at = ? WHERE id = ?`, [now, delivery.webhook_id]);
+    } catch (error) {
+      const dead = attempts >= MAX_ATTEMPTS;
+      const now = new Date().toISOString();
+      const nextAttempt = new Date(Date.now() + backoffDelay(attempts)).toISOString();
+
+      await run(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = ?, last_error = ?, response_status = ?, next_attempt_at = ?, updated_at = ?
+         WHERE id = ?`,
+        [dead ? 'dead' : 'pending', attempts, error.message, error.responseStatus ?? null, nextAttempt, now, delivery.id]
+      );
+      await run(`UPDATE webhooks SET last_failure_at = ? WHERE id = ?`, [now, delivery.webhook_id]);
+
+      if (dead) {
+        console.error(`❌ [WEBHOOK] Delivery ${delivery.id} to ${delivery.url} dead after ${attempts} attempts:`, error.message);
+      } else {
+        console.warn(`⚠️ [WEBHOOK] Delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying at ${nextAttempt}`);
+      }
+    }
+  }
+
+  /**
+   * Deliver due events until none are left
+   */
+  async runOnce() {
+    if (this.running) {
+      this.pendingPoke = true;
+      return { processed: 0, skipped: true };
+    }
+
+    this.running = true;
+    let processed = 0;
+    try {
+      let deliveries;
+      do {
+        this.pendingPoke = false;
+        deliveries = await this.claimBatch();
+        for (const delivery of deliveries) {
+          await this.processDelivery(delivery);
+          processed++;
+        }
+      } while (deliveries.length > 0 || this.pendingPoke);
+    } catch (error) {
+      console.error('❌ [WEBHOOK] Worker run failed:', error);
+    } finally {
+      this.running = false;
+    }
+
+    if (processed > 0) {
+      console.log(`✅ [WEBHOOK] Processed ${processed} webhook deliver${processed === 1 ? 'y' : 'ies'}`);
+    }
+    return { processed };
+  }
+
+  /**
+   * Deliver new events soon instead of waiting for the next poll
+   */
+  poke() {
+    if (!this.started) return;
+    setImmediate(() => this.runOnce());
+  }
+
+  /**
+   * Load webhooks, recover interrupted deliveries, subscribe to events and start polling
+   */
+  async start() {
+    if (this.started) return;
+
+    // Deliveries left running by a crash or shutdown go back to the queue
+    await run(`UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'running'`);
+    const count = await this.refresh();
+
+    this.unsubscribe = eventBus.subscribe((event) => {
+      if (this.matching(event).length === 0) return;
+      this.enqueueChain = this.enqueueChain
+        .then(() => this.enqueueEvent(event))
+        .catch(error => console.error(`❌ [WEBHOOK] Failed to enqueue ${event.type} ${event.id}:`, error.message));
+    });
+
+    this.timer = setInterval(() => this.runOnce(), this.pollIntervalMs);
+    this.timer.unref();
+    console.log(`✅ [WEBHOOK] Worker started (${count} active webhook(s), polling every ${this.pollIntervalMs}ms)`);
+
+    this.poke();
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+const webhookWorker = new WebhookWorker();
+
+module.exports = {
+  signPayload,
+  checkWebhookUrl,
+  webhookWorker,
+  WEBHOOK_EVENT_TYPES,
+  DELIVERY_STATUSES
+};